@@ -34,6 +34,7 @@ cp DEPLOY.md "$TMP_DIR/$PACKAGE_NAME/"
 mkdir -p "$TMP_DIR/$PACKAGE_NAME/configs"
 cp configs/health-check.service "$TMP_DIR/$PACKAGE_NAME/configs/"
 cp configs/health-check.timer "$TMP_DIR/$PACKAGE_NAME/configs/"
+cp configs/health-check.config.example.yaml "$TMP_DIR/$PACKAGE_NAME/configs/"
 
 # 创建快速启动脚本
 cat > "$TMP_DIR/$PACKAGE_NAME/quick-start.sh" << 'EOF'
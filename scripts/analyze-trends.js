@@ -12,8 +12,8 @@
  */
 
 const fs = require('fs').promises;
-const path = require('path');
 const { existsSync } = require('fs');
+const resultStore = require('./lib/result-store');
 
 /**
  * 解析命令行参数
@@ -44,79 +44,14 @@ function parseArgs() {
 }
 
 /**
- * 解析健康检查日志条目
+ * 将结果记录转换为分析条目
  */
-function parseHealthCheckLog(content) {
-  const entries = [];
-  const rawEntries = content.split(/={60}\n📅 /);
-
-  for (const entry of rawEntries) {
-    if (!entry.trim()) continue;
-
-    // 提取时间戳
-    const timestampMatch = entry.match(/^([\d-]+T[\d:]+.[\d:]+)\n/);
-    if (!timestampMatch) continue;
-
-    const timestamp = new Date(timestampMatch[1]);
-
-    // 提取摘要
-    const summaryMatch = entry.match(/## Summary\n([\s\S]+?)##/);
-    if (!summaryMatch) continue;
-
-    const summaryLines = summaryMatch[1].trim().split('\n');
-    const summary = {
-      total: 0,
-      passed: 0,
-      warnings: 0,
-      failed: 0,
-      errors: 0,
-      overallStatus: 'unknown'
-    };
-
-    for (const line of summaryLines) {
-      const match = line.match(/(Total|Passed|Warnings|Failed|Errors|Overall):\s*(:?\d+|✅|⚠️|❌|💥|PASS|WARNING|FAIL|ERROR|UNKNOWN)/i);
-      if (match) {
-        const key = match[1].toLowerCase();
-        const value = match[2];
-        if (key === 'overall') {
-          if (value.includes('✅') || value.includes('PASS')) summary.overallStatus = 'pass';
-          else if (value.includes('⚠️') || value.includes('WARNING')) summary.overallStatus = 'warning';
-          else if (value.includes('❌') || value.includes('FAIL')) summary.overallStatus = 'fail';
-          else if (value.includes('💥') || value.includes('ERROR')) summary.overallStatus = 'error';
-        } else {
-          summary[key] = parseInt(value) || 0;
-        }
-      }
-    }
-
-    // 提取各项检查结果
-    const checks = [];
-    const detailsMatch = entry.match(/## Details\n([\s\S]+)$/);
-    if (detailsMatch) {
-      const checkLines = detailsMatch[1].split('\n');
-      for (const line of checkLines) {
-        const checkMatch = line.match(/([✅⚠️❌💥❓])\s+(.+?)\s+\[(\d+)ms\]/);
-        if (checkMatch) {
-          let status = 'unknown';
-          const emoji = checkMatch[1];
-          if (emoji === '✅') status = 'pass';
-          else if (emoji === '⚠️') status = 'warning';
-          else if (emoji === '❌') status = 'fail';
-          else if (emoji === '💥') status = 'error';
-
-          checks.push({
-            name: checkMatch[2].trim(),
-            status,
-            duration: parseInt(checkMatch[3])
-          });
-        }
-      }
-    }
-
-    entries.push({ timestamp, summary, checks });
-  }
-
-  return entries.sort((a, b) => a.timestamp - b.timestamp);
+function toEntry(record) {
+  return {
+    timestamp: new Date(record.timestamp),
+    summary: record.summary,
+    checks: record.checks
+  };
 }
 
 /**
@@ -373,27 +308,23 @@ function formatMarkdownReport(analysis, options) {
 async function main() {
   const options = parseArgs();
 
-  // 日志文件路径
-  const logPath = process.env.HEALTH_CHECK_LOG_FILE || '/tmp/clawdbot/health-check.log';
+  // 结果存储路径
+  const storePath = resultStore.getStorePath();
 
-  // 检查日志文件是否存在
-  if (!existsSync(logPath)) {
-    console.error(`Log file not found: ${logPath}`);
-    console.error('Run a health check first to generate log data.');
+  // 检查结果文件是否存在
+  if (!existsSync(storePath)) {
+    console.error(`Results file not found: ${storePath}`);
+    console.error('Run a health check first to generate result data.');
     process.exit(1);
   }
 
-  // 读取日志
-  console.log(`📈 Analyzing health check trends from: ${logPath}`);
-  const content = await fs.readFile(logPath, 'utf-8');
-
-  // 解析日志
-  const entries = parseHealthCheckLog(content);
+  console.log(`📈 Analyzing health check trends from: ${storePath}`);
 
-  // 过滤指定天数内的数据
+  // 只读取指定天数内的数据
   const cutoffDate = new Date();
   cutoffDate.setDate(cutoffDate.getDate() - options.days);
-  const filteredEntries = entries.filter(e => e.timestamp >= cutoffDate);
+  const records = await resultStore.read(storePath, { since: cutoffDate });
+  const filteredEntries = records.map(toEntry);
 
   if (filteredEntries.length === 0) {
     console.log(`No health check data found in the last ${options.days} days.`);
@@ -0,0 +1,257 @@
+/**
+ * 🛡️ 依赖安全审计
+ * 离线对比根目录和各 skill 的 lockfile 中安装的包版本与本地安全公告数据库（由 sync-advisories.js 同步），
+ * 按严重程度报告受影响的包及引入它的依赖路径
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const advisories = require('../lib/advisories');
+const baseline = require('../lib/baseline');
+const lockfile = require('../lib/lockfile');
+
+// 同步脚本（数据库缺失或过期时的修复命令）
+const SYNC_SCRIPT = path.join(__dirname, '../sync-advisories.js');
+
+// 默认配置（可在配置文件 checks.audit 中覆盖）
+const DEFAULTS = {
+  // 安全公告数据库（环境变量 HEALTH_CHECK_ADVISORY_DB 优先）
+  database: advisories.DEFAULT_DATABASE_FILE,
+
+  // 同步用的 registry（npm 镜像需要支持 /-/npm/v1/security/advisories/bulk 接口）
+  registry: advisories.DEFAULT_REGISTRY,
+
+  // 低于该严重程度的公告不报告
+  minSeverity: 'low',
+
+  // 达到该严重程度的公告记为 fail，其余记为 warning
+  failSeverity: 'high',
+
+  // 是否审计 devDependencies 引入的包
+  includeDev: true,
+
+  // 数据库超过该天数未同步时警告（0 表示不检查）
+  maxAgeDays: 7,
+
+  // 每个公告最多列出的依赖路径数
+  maxPaths: 3
+};
+
+const CONFIG_SCHEMA = {
+  database: { type: 'string' },
+  registry: { type: 'string' },
+  minSeverity: { type: 'string', enum: advisories.SEVERITIES },
+  failSeverity: { type: 'string', enum: advisories.SEVERITIES },
+  includeDev: { type: 'boolean' },
+  maxAgeDays: { type: 'number', minimum: 0 },
+  maxPaths: { type: 'integer', minimum: 1 }
+};
+
+/**
+ * package.json 中声明的所有依赖名（依赖路径的起点）
+ */
+async function rootDependencies(dir, includeDev) {
+  try {
+    const pkg = JSON.parse(await fs.readFile(path.join(dir, 'package.json'), 'utf-8'));
+    const types = ['dependencies', 'optionalDependencies', 'peerDependencies', ...(includeDev ? ['devDependencies'] : [])];
+    return [...new Set(types.flatMap(type => Object.keys(pkg[type] || {})))];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * 审计单个项目的 lockfile
+ *
+ * 返回 { findings: [{ advisory, name, version, paths }], packages, uncovered }
+ */
+async function auditProject(dir, db, settings) {
+  const lock = await lockfile.read(dir);
+  if (!lock) return null;
+
+  const paths = lockfile.dependencyPaths(lock, await rootDependencies(dir, settings.includeDev));
+  const minRank = advisories.severityRank(settings.minSeverity);
+  const grouped = new Map();
+  let packages = 0;
+  let uncovered = 0;
+
+  for (const [location, entry] of lock.packages) {
+    if (!entry.version || (entry.dev && !settings.includeDev)) continue;
+    packages++;
+
+    const { covered, advisories: matched } = advisories.match(db, entry.name, entry.version);
+    if (!covered) uncovered++;
+
+    for (const advisory of matched) {
+      if (advisories.severityRank(advisory.severity) < minRank) continue;
+
+      const key = `${advisory.id}\0${entry.name}\0${entry.version}`;
+      if (!grouped.has(key)) {
+        grouped.set(key, { advisory, name: entry.name, version: entry.version, paths: [] });
+      }
+      // 不可达的包（多余的包）用安装位置表示
+      grouped.get(key).paths.push(paths.get(location) || [location]);
+    }
+  }
+
+  const findings = [...grouped.values()].sort((a, b) =>
+    advisories.severityRank(b.advisory.severity) - advisories.severityRank(a.advisory.severity) ||
+    a.name.localeCompare(b.name)
+  );
+
+  return { lock, findings, packages, uncovered };
+}
+
+/**
+ * 格式化依赖路径（最短的路径在前，超出 maxPaths 的只显示数量）
+ */
+function formatPaths(paths, maxPaths) {
+  const sorted = paths.map(p => p.join(' > ')).sort((a, b) => a.length - b.length || a.localeCompare(b));
+  const shown = sorted.slice(0, maxPaths).join(', ');
+  return sorted.length > maxPaths ? `${shown} (+${sorted.length - maxPaths} more)` : shown;
+}
+
+/**
+ * 运行安全审计
+ */
+async function run(clawdRoot, options = {}) {
+  const settings = { ...DEFAULTS, ...(options.config || {}) };
+  const databasePath = advisories.getDatabasePath(settings);
+  const details = [];
+  const fixes = [];
+  const syncFix = {
+    title: 'Sync the advisory database',
+    command: process.execPath,
+    args: [SYNC_SCRIPT],
+    risk: 'low'
+  };
+
+  const db = await advisories.load(databasePath);
+  if (!db) {
+    return {
+      status: 'warning',
+      message: 'Audit skipped: no advisory database',
+      details: [{ status: 'warning', message: `Advisory database not found: ${databasePath}` }],
+      fix: [syncFix]
+    };
+  }
+
+  const ageDays = (Date.now() - new Date(db.syncedAt).getTime()) / (24 * 60 * 60 * 1000);
+  let stale = false;
+  if (settings.maxAgeDays > 0 && !(ageDays <= settings.maxAgeDays)) {
+    stale = true;
+    details.push({
+      status: 'warning',
+      message: `Advisory database last synced ${Number.isFinite(ageDays) ? `${Math.floor(ageDays)} day(s) ago` : 'at an unknown time'} (maxAgeDays: ${settings.maxAgeDays})`
+    });
+  }
+
+  const failRank = advisories.severityRank(settings.failSeverity);
+  const counts = Object.fromEntries(advisories.SEVERITIES.map(severity => [severity, 0]));
+  let audited = 0;
+  let uncovered = 0;
+  let accepted = 0;
+
+  for (const project of await lockfile.listProjects(clawdRoot)) {
+    if (options.signal && options.signal.aborted) {
+      throw options.signal.reason;
+    }
+
+    let result;
+    try {
+      result = await auditProject(project.dir, db, settings);
+    } catch (error) {
+      details.push({ status: 'error', message: `${project.label}: ${error.message}` });
+      continue;
+    }
+    if (!result) continue;
+
+    audited++;
+    uncovered += result.uncovered;
+    const lockPath = path.relative(clawdRoot, result.lock.file).split(path.sep).join('/');
+    let reported = 0;
+
+    for (const finding of result.findings) {
+      const { advisory } = finding;
+      const message = `${project.label}: ${advisory.severity} ${finding.name}@${finding.version}: ${advisory.title}`;
+
+      const isAccepted = options.baseline && options.baseline.isAccepted({
+        fingerprint: baseline.fingerprint('audit', String(advisory.id), finding.name, lockPath),
+        rule: String(advisory.id),
+        file: lockPath,
+        message
+      });
+      if (isAccepted) {
+        accepted++;
+        continue;
+      }
+
+      reported++;
+      counts[advisory.severity] = (counts[advisory.severity] || 0) + 1;
+      details.push({
+        status: advisories.severityRank(advisory.severity) >= failRank ? 'fail' : 'warning',
+        message: `${message} (via ${formatPaths(finding.paths, settings.maxPaths)})${advisory.url ? ` ${advisory.url}` : ''}`,
+        file: lockPath
+      });
+    }
+
+    if (reported > 0) {
+      fixes.push({
+        title: `Apply compatible security updates (${project.label})`,
+        command: 'npm',
+        args: ['audit', 'fix'],
+        cwd: project.dir,
+        risk: 'medium'
+      });
+    } else {
+      details.push({ status: 'pass', message: `${project.label}: ${result.packages} package(s), no known vulnerabilities` });
+    }
+  }
+
+  if (uncovered > 0) {
+    stale = true;
+    details.push({
+      status: 'info',
+      message: `${uncovered} installed package version(s) not in the advisory database (sync again after dependency changes)`
+    });
+  }
+  if (accepted > 0) {
+    details.push({ status: 'info', message: `${accepted} accepted advisory finding(s) suppressed by baseline` });
+  }
+  if (stale) {
+    fixes.push(syncFix);
+  }
+
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  const failed = details.some(detail => detail.status === 'fail' || detail.status === 'error');
+  const warned = details.some(detail => detail.status === 'warning');
+  const status = failed ? 'fail' : warned || audited === 0 ? 'warning' : 'pass';
+
+  const breakdown = advisories.SEVERITIES.slice().reverse()
+    .filter(severity => counts[severity] > 0)
+    .map(severity => `${counts[severity]} ${severity}`)
+    .join(', ');
+
+  return {
+    status,
+    message: audited === 0
+      ? 'Audit: no lockfiles found'
+      : `Audit: ${total} advisor${total === 1 ? 'y' : 'ies'}${breakdown ? ` (${breakdown})` : ''} in ${audited} lockfile(s)`,
+    details,
+    fix: fixes.length > 0 ? fixes : undefined
+  };
+}
+
+module.exports = {
+  id: 'audit',
+  title: 'Security Audit',
+  description: '离线对比 lockfile 中的包版本与本地安全公告数据库',
+  tier: 'full',
+  order: 55,
+  timeout: 60000,
+  tags: ['security', 'dependencies'],
+  defaults: DEFAULTS,
+  configSchema: CONFIG_SCHEMA,
+  run
+};
@@ -6,27 +6,54 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { existsSync } = require('fs');
-
-// 必需的环境变量（根据你的项目配置）
-const REQUIRED_ENV_VARS = [
-  'NOTION_API_KEY',
-  'NOTION_DISCUSSION_DATABASE_ID',
-  'NOTION_DAILY_REPORT_DATABASE_ID',
-  'TELEGRAM_BOT_TOKEN',
-  'TELEGRAM_DISCUSSION_GROUP_ID',
-  'TELEGRAM_DAILY_REPORT_GROUP_ID'
-];
-
-// 可选但建议的环境变量
-const OPTIONAL_ENV_VARS = [
-  'TELEGRAM_GENERAL_GROUP_ID',
-  'NOTION_MEETING_DATABASE_ID'
-];
+const baseline = require('../lib/baseline');
+
+// 默认配置（可在配置文件 checks.config 中覆盖）
+const DEFAULTS = {
+  // 必需的环境变量（根据你的项目配置）
+  requiredEnvVars: [
+    'NOTION_API_KEY',
+    'NOTION_DISCUSSION_DATABASE_ID',
+    'NOTION_DAILY_REPORT_DATABASE_ID',
+    'TELEGRAM_BOT_TOKEN',
+    'TELEGRAM_DISCUSSION_GROUP_ID',
+    'TELEGRAM_DAILY_REPORT_GROUP_ID'
+  ],
+
+  // 可选但建议的环境变量
+  optionalEnvVars: [
+    'TELEGRAM_GENERAL_GROUP_ID',
+    'NOTION_MEETING_DATABASE_ID'
+  ],
+
+  // 必须存在的关键文件（相对 clawd 根目录）
+  keyFiles: [
+    { path: 'package.json', name: 'Root package.json' },
+    { path: 'skills/notion-persistence-universal/SKILL.md', name: 'Notion skill config' },
+    { path: 'skills/telegram-notification/SKILL.md', name: 'Telegram skill config' }
+  ]
+};
+
+const CONFIG_SCHEMA = {
+  requiredEnvVars: { type: 'array', items: { type: 'string' } },
+  optionalEnvVars: { type: 'array', items: { type: 'string' } },
+  keyFiles: {
+    type: 'array',
+    items: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { path: { type: 'string' }, name: { type: 'string' } }
+    }
+  }
+};
 
 /**
  * 检查单个 .env 文件
+ *
+ * context: { clawdRoot, baseline }，baseline 中已接受的可疑配置不再报告
  */
-async function checkEnvFile(envPath) {
+async function checkEnvFile(envPath, settings = DEFAULTS, context = {}) {
+  const { requiredEnvVars, optionalEnvVars } = settings;
   const details = [];
   const issues = [];
   const fixes = [];
@@ -34,11 +61,15 @@ async function checkEnvFile(envPath) {
   try {
     // 检查文件是否存在
     if (!existsSync(envPath)) {
+      // 有 .env.example 时可以直接复制（不覆盖已有文件）
+      const examplePath = path.join(path.dirname(envPath), '.env.example');
       return {
         status: 'fail',
         message: `.env file not found: ${envPath}`,
         details: [],
-        fix: [`Create .env file at: ${envPath}`]
+        fix: existsSync(examplePath)
+          ? [{ title: 'Create .env from .env.example', command: 'cp', args: ['-n', examplePath, envPath], risk: 'low' }]
+          : [`Create .env file at: ${envPath}`]
       };
     }
 
@@ -50,7 +81,7 @@ async function checkEnvFile(envPath) {
     const emptyVars = [];
     const missingVars = [];
 
-    for (const varName of REQUIRED_ENV_VARS) {
+    for (const varName of requiredEnvVars) {
       const line = lines.find(l => l.startsWith(`${varName}=`) || l.startsWith(`${varName} `));
 
       if (!line) {
@@ -68,7 +99,7 @@ async function checkEnvFile(envPath) {
 
     // 检查可选变量
     const missingOptional = [];
-    for (const varName of OPTIONAL_ENV_VARS) {
+    for (const varName of optionalEnvVars) {
       const line = lines.find(l => l.startsWith(`${varName}=`) || l.startsWith(`${varName} `));
       if (!line) {
         missingOptional.push(varName);
@@ -76,7 +107,7 @@ async function checkEnvFile(envPath) {
     }
 
     // 构建详情
-    details.push({ status: 'pass', message: `Found ${definedVars.length}/${REQUIRED_ENV_VARS.length} required variables` });
+    details.push({ status: 'pass', message: `Found ${definedVars.length}/${requiredEnvVars.length} required variables` });
 
     if (definedVars.length > 0) {
       details.push({ status: 'pass', message: `Defined: ${definedVars.join(', ')}` });
@@ -100,13 +131,40 @@ async function checkEnvFile(envPath) {
       { pattern: /secret|password|token|key/i, name: 'potential secret in env' }
     ];
 
+    const file = path.relative(context.clawdRoot || path.dirname(envPath), envPath);
+    let accepted = 0;
+
     for (const { pattern, name } of suspiciousPatterns) {
-      const match = content.match(pattern);
-      if (match) {
-        details.push({ status: 'warning', message: `Found ${name}: ${match[0]}` });
+      // 每个匹配的变量是一个发现，按变量名计算指纹（值变化后仍然匹配基线）
+      const fresh = [];
+      for (const line of lines) {
+        const match = line.trim().startsWith('#') ? null : line.match(pattern);
+        if (!match) continue;
+
+        const variable = line.split('=')[0].trim();
+        const isAccepted = context.baseline && context.baseline.isAccepted({
+          fingerprint: baseline.fingerprint('config', name, file, variable),
+          rule: name,
+          file,
+          message: `${file}: ${name} (${variable})`
+        });
+        if (isAccepted) {
+          accepted++;
+        } else {
+          fresh.push(match[0]);
+        }
+      }
+
+      if (fresh.length > 0) {
+        const more = fresh.length > 1 ? ` (+${fresh.length - 1} more)` : '';
+        details.push({ status: 'warning', message: `Found ${name}: ${fresh[0]}${more}` });
       }
     }
 
+    if (accepted > 0) {
+      details.push({ status: 'info', message: `${accepted} accepted finding(s) suppressed by baseline` });
+    }
+
     // 确定状态
     let status = 'pass';
     if (missingVars.length > 0 || emptyVars.length > 0) {
@@ -117,7 +175,7 @@ async function checkEnvFile(envPath) {
 
     return {
       status,
-      message: `Config check: ${definedVars.length}/${REQUIRED_ENV_VARS.length} required vars set`,
+      message: `Config check: ${definedVars.length}/${requiredEnvVars.length} required vars set`,
       details,
       error: issues.length > 0 ? issues.join('; ') : undefined,
       fix: fixes
@@ -135,14 +193,16 @@ async function checkEnvFile(envPath) {
 /**
  * 检查所有配置文件
  */
-async function run(clawdRoot) {
+async function run(clawdRoot, options = {}) {
+  const settings = { ...DEFAULTS, ...(options.config || {}) };
   const details = [];
   const allIssues = [];
   const allFixes = [];
 
   // 主 .env 文件
   const mainEnv = path.join(clawdRoot, '.env');
-  const mainResult = await checkEnvFile(mainEnv);
+  const context = { clawdRoot, baseline: options.baseline };
+  const mainResult = await checkEnvFile(mainEnv, settings, context);
   details.push(...(mainResult.details || []));
   if (mainResult.error) allIssues.push(mainResult.error);
   if (mainResult.fix) allFixes.push(...mainResult.fix);
@@ -160,7 +220,7 @@ async function run(clawdRoot) {
 
       try {
         await fs.access(skillEnv);
-        const skillResult = await checkEnvFile(skillEnv);
+        const skillResult = await checkEnvFile(skillEnv, settings, context);
 
         skillsChecked++;
 
@@ -191,13 +251,9 @@ async function run(clawdRoot) {
   }
 
   // 检查关键配置文件是否存在
-  const keyFiles = [
-    { path: path.join(clawdRoot, 'package.json'), name: 'Root package.json' },
-    { path: path.join(clawdRoot, 'skills', 'notion-persistence-universal', 'SKILL.md'), name: 'Notion skill config' },
-    { path: path.join(clawdRoot, 'skills', 'telegram-notification', 'SKILL.md'), name: 'Telegram skill config' }
-  ];
-
-  for (const { path: filePath, name } of keyFiles) {
+  for (const keyFile of settings.keyFiles) {
+    const filePath = path.resolve(clawdRoot, keyFile.path);
+    const name = keyFile.name || keyFile.path;
     try {
       await fs.access(filePath);
       details.push({ status: 'pass', message: `${name} exists` });
@@ -215,11 +271,22 @@ async function run(clawdRoot) {
 
   return {
     status,
-    message: `Config check: ${REQUIRED_ENV_VARS.length} required vars checked across ${skillsChecked + 1} env files`,
+    message: `Config check: ${settings.requiredEnvVars.length} required vars checked across ${skillsChecked + 1} env files`,
     details,
     error: allIssues.length > 0 ? allIssues.join('; ') : undefined,
     fix: allFixes
   };
 }
 
-module.exports = { run };
+module.exports = {
+  id: 'config',
+  title: 'Config Check',
+  description: '检查必需的环境变量和配置文件是否存在',
+  tier: 'quick',
+  order: 10,
+  timeout: 30000,
+  tags: ['config', 'env'],
+  defaults: DEFAULTS,
+  configSchema: CONFIG_SCHEMA,
+  run
+};
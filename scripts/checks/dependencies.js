@@ -1,90 +1,424 @@
 /**
  * 📦 依赖检查
- * 检查 npm 依赖是否正确安装
+ * 离线对比 package.json 中声明的依赖、package-lock.json 中锁定的版本和 node_modules 中实际安装的版本，
+ * 报告缺失、多余（extraneous）、与 lockfile 不一致以及不满足版本范围的包
+ *
+ * 开启 outdated 模式后，还会查询 registry，报告落后多个主版本和已废弃（deprecated）的包，以及各 skill 之间重复的版本
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const { existsSync } = require('fs');
+const semver = require('semver');
+
+const lockfile = require('../lib/lockfile');
+const npmRegistry = require('../lib/npm-registry');
+
+// 默认配置（可在配置文件 checks.dependencies 中覆盖）
+const DEFAULTS = {
+  // 是否检查 devDependencies
+  includeDev: true,
+
+  // 是否报告 lockfile 中没有的已安装包
+  reportExtraneous: true,
+
+  // 已废弃：所有声明的依赖都会被检查，保留此项只为兼容旧配置
+  criticalDeps: [],
+
+  // 过时依赖报告（需要访问 registry）
+  outdated: {
+    // off: 不检查; full: 只在 --full 时检查; always: 每次都检查
+    mode: 'off',
+    // registry 地址（npm、内网镜像），或包含 <包名>.json 元数据的本地目录
+    registry: npmRegistry.DEFAULT_REGISTRY,
+    // 落后至少该数量的主版本时警告
+    majorLag: 1,
+    // 报告各 skill 之间同一个包的不同版本
+    reportDuplicates: true,
+    // 单个请求的超时时间（毫秒）
+    timeout: 10000,
+    // 同时进行的请求数
+    concurrency: 4
+  }
+};
+
+const CONFIG_SCHEMA = {
+  includeDev: { type: 'boolean' },
+  reportExtraneous: { type: 'boolean' },
+  criticalDeps: { type: 'array', items: { type: 'string' } },
+  outdated: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      mode: { type: 'string', enum: ['off', 'full', 'always'] },
+      registry: { type: 'string' },
+      majorLag: { type: 'integer', minimum: 1 },
+      reportDuplicates: { type: 'boolean' },
+      timeout: { type: 'integer', minimum: 1 },
+      concurrency: { type: 'integer', minimum: 1 }
+    }
+  }
+};
+
+/**
+ * 读取 JSON 文件（不存在或格式错误时返回 null）
+ */
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 列出 node_modules 中的顶层包（包括 @scope 下的包）
+ */
+async function listInstalled(nodeModulesDir) {
+  const names = [];
+
+  let entries;
+  try {
+    entries = await fs.readdir(nodeModulesDir);
+  } catch {
+    return names;
+  }
+
+  for (const entry of entries) {
+    if (entry.startsWith('.')) continue;
+    if (entry.startsWith('@')) {
+      const scoped = await fs.readdir(path.join(nodeModulesDir, entry)).catch(() => []);
+      names.push(...scoped.filter(name => !name.startsWith('.')).map(name => `${entry}/${name}`));
+    } else {
+      names.push(entry);
+    }
+  }
+
+  return names.sort();
+}
+
+/**
+ * 依赖声明中可比较的 semver 范围（npm: 别名取 @ 后的范围；git、file:、URL 等返回 null）
+ */
+function rangeOf(spec) {
+  let range = String(spec).trim();
+  if (range.startsWith('npm:')) {
+    const at = range.lastIndexOf('@');
+    range = at > 4 ? range.slice(at + 1) : '*';
+  }
+  return semver.validRange(range) ? range : null;
+}
+
+/**
+ * 检查单个依赖，返回问题列表 [{ status, message }]
+ */
+async function inspectDependency(dep, lock, nodeModulesDir) {
+  const problems = [];
+  const range = rangeOf(dep.spec);
+  const installed = await readJson(path.join(nodeModulesDir, dep.name, 'package.json'));
+  const locked = lock ? lock.entries.get(dep.name) : undefined;
+
+  if (lock && !locked) {
+    problems.push({ status: 'fail', message: `not in ${lock.name}: ${dep.name}@${dep.spec} (lockfile out of date)` });
+  } else if (locked && range && locked.version && !semver.satisfies(locked.version, range)) {
+    problems.push({
+      status: 'fail',
+      message: `lockfile out of date: ${dep.name}@${locked.version} in ${lock.name} does not satisfy ${dep.spec}`
+    });
+  }
+
+  if (!installed) {
+    // 可选依赖可能因平台不支持而没有安装
+    problems.push({
+      status: dep.type === 'optionalDependencies' ? 'info' : 'fail',
+      message: `missing: ${dep.name}@${dep.spec}${dep.type === 'optionalDependencies' ? ' (optional)' : ''}`
+    });
+    return problems;
+  }
+
+  if (range && installed.version && !semver.satisfies(installed.version, range)) {
+    problems.push({ status: 'fail', message: `unsatisfied: ${dep.name}@${installed.version} installed, ${dep.spec} required` });
+  }
+
+  if (locked && locked.version && installed.version && locked.version !== installed.version) {
+    problems.push({
+      status: 'fail',
+      message: `version mismatch: ${dep.name}@${installed.version} installed, ${locked.version} in ${lock.name}`
+    });
+  }
+
+  return problems;
+}
 
 /**
  * 检查单个 package.json
  */
-async function checkPackageJson(pkgPath) {
+async function checkPackageJson(pkgPath, settings = DEFAULTS) {
   try {
     const content = await fs.readFile(pkgPath, 'utf-8');
     const pkg = JSON.parse(content);
 
-    const nodeModulesDir = path.join(path.dirname(pkgPath), 'node_modules');
-
-    // 检查 node_modules 是否存在
+    const dir = path.dirname(pkgPath);
+    const nodeModulesDir = path.join(dir, 'node_modules');
     const nodeModulesExists = existsSync(nodeModulesDir);
 
-    const dependencies = Object.keys(pkg.dependencies || {});
-    const devDependencies = Object.keys(pkg.devDependencies || {});
-
-    // 抽样检查一些关键依赖
-    const criticalDeps = ['dotenv', '@notionhq/client', 'node-telegram-bot-api'].filter(dep =>
-      dependencies.includes(dep) || devDependencies.includes(dep)
-    );
-
-    const missingCritical = [];
-    for (const dep of criticalDeps) {
-      const depPath = path.join(nodeModulesDir, dep);
-      if (!existsSync(depPath)) {
-        missingCritical.push(dep);
+    const types = ['dependencies', 'optionalDependencies', ...(settings.includeDev ? ['devDependencies'] : [])];
+    const declared = new Map();
+    for (const type of types) {
+      for (const [name, spec] of Object.entries(pkg[type] || {})) {
+        // optionalDependencies 中的包同时出现在 dependencies 中时按可选处理
+        declared.set(name, { name, spec, type });
       }
     }
 
+    const lockData = await lockfile.read(dir);
+    const lock = lockData ? { name: lockData.name, entries: lockfile.topLevel(lockData) } : null;
     const details = [
-      { status: 'pass', message: `${dependencies.length} dependencies defined` },
+      { status: 'pass', message: `${declared.size} dependencies declared` },
       { status: nodeModulesExists ? 'pass' : 'fail', message: `node_modules ${nodeModulesExists ? 'exists' : 'missing'}` }
     ];
 
-    if (criticalDeps.length > 0) {
-      details.push({ status: 'pass', message: `Critical deps: ${criticalDeps.join(', ')}` });
+    if (!lock && declared.size > 0) {
+      details.push({ status: 'warning', message: 'No package-lock.json, installed versions are not reproducible' });
+    }
+
+    if (nodeModulesExists) {
+      for (const dep of declared.values()) {
+        details.push(...await inspectDependency(dep, lock, nodeModulesDir));
+      }
+
+      if (lock && settings.reportExtraneous) {
+        for (const name of await listInstalled(nodeModulesDir)) {
+          if (lock.entries.has(name) || declared.has(name)) continue;
+          const installed = await readJson(path.join(nodeModulesDir, name, 'package.json'));
+          details.push({
+            status: 'warning',
+            message: `extraneous: ${name}${installed && installed.version ? `@${installed.version}` : ''} (not in ${lock.name})`
+          });
+        }
+      }
+    } else if (declared.size === 0) {
+      // 没有依赖时不需要 node_modules
+      details[1] = { status: 'pass', message: 'node_modules not needed' };
     }
 
-    if (missingCritical.length > 0) {
-      details.push({ status: 'fail', message: `Missing critical deps: ${missingCritical.join(', ')}` });
+    const failures = details.filter(d => d.status === 'fail');
+    const warnings = details.filter(d => d.status === 'warning');
+    const fix = [];
+
+    if (failures.length > 0) {
+      // npm install 会执行依赖包的安装脚本，不自动运行
+      fix.push({ title: 'Install dependencies', command: 'npm', args: ['install'], cwd: dir, risk: 'medium' });
+    }
+    if (warnings.some(d => d.message.startsWith('extraneous:'))) {
+      fix.push({ title: 'Remove extraneous packages', command: 'npm', args: ['prune'], cwd: dir, risk: 'medium' });
+    }
+    if (!lock && declared.size > 0) {
+      fix.push(`Run npm install in ${dir} and commit the generated package-lock.json`);
     }
 
     return {
-      status: missingCritical.length > 0 ? 'fail' : 'pass',
+      status: failures.length > 0 ? 'fail' : warnings.length > 0 ? 'warning' : 'pass',
       details,
-      fix: missingCritical.length > 0 ? [`Run: npm install in ${path.dirname(pkgPath)}`] : []
+      fix
     };
 
   } catch (error) {
     return {
       status: 'error',
-      details: [{ status: 'error', message: `Failed to check ${pkgPath}: ${error.message}` }]
+      details: [{ status: 'error', message: `Failed to check ${pkgPath}: ${error.message}` }],
+      fix: []
     };
   }
 }
 
+/**
+ * 收集各项目声明且已安装的依赖，返回 [{ label, dir, packages: [{ name, version }] }]
+ */
+async function collectInstalled(clawdRoot, settings) {
+  const projects = [];
+
+  for (const project of await lockfile.listProjects(clawdRoot)) {
+    const pkg = await readJson(path.join(project.dir, 'package.json'));
+    if (!pkg) continue;
+
+    const types = ['dependencies', 'optionalDependencies', ...(settings.includeDev ? ['devDependencies'] : [])];
+    const names = [...new Set(types.flatMap(type => Object.keys(pkg[type] || {})))].sort();
+    const packages = [];
+    for (const name of names) {
+      const installed = await readJson(path.join(project.dir, 'node_modules', name, 'package.json'));
+      // 未安装的包已由上面的检查报告；npm: 别名按实际的包名查询
+      if (installed && installed.version) {
+        packages.push({ name: installed.name || name, version: installed.version });
+      }
+    }
+
+    projects.push({ ...project, packages });
+  }
+
+  return projects;
+}
+
+/**
+ * 并发查询各包的 registry 元数据
+ *
+ * 返回 { packuments: Map<包名, packument|null>, error }；网络错误后停止查询，避免每个包都等待超时
+ */
+async function fetchPackuments(names, outdated, signal) {
+  const packuments = new Map();
+  const queue = [...names];
+  let error = null;
+
+  const worker = async () => {
+    while (queue.length > 0 && !error) {
+      if (signal && signal.aborted) throw signal.reason;
+      const name = queue.shift();
+      try {
+        packuments.set(name, await npmRegistry.fetchPackument(outdated.registry, name, {
+          timeout: outdated.timeout,
+          retries: 1,
+          signal
+        }));
+      } catch (fetchError) {
+        if (signal && signal.aborted) throw signal.reason;
+        error = fetchError;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(outdated.concurrency, names.length) }, worker));
+  return { packuments, error };
+}
+
+/**
+ * 过时依赖报告：主版本落后、已废弃的包，以及各 skill 之间重复的版本（按项目汇总）
+ */
+async function checkOutdated(clawdRoot, settings, signal) {
+  const outdated = { ...DEFAULTS.outdated, ...settings.outdated };
+  const details = [];
+  const fixes = [];
+  const projects = await collectInstalled(clawdRoot, settings);
+
+  const names = [...new Set(projects.flatMap(project => project.packages.map(pkg => pkg.name)))].sort();
+  const { packuments, error } = await fetchPackuments(names, outdated, signal);
+  if (error) {
+    details.push({ status: 'warning', message: `Registry ${outdated.registry} unreachable, outdated report incomplete: ${error.message}` });
+  }
+
+  let warnings = 0;
+  for (const project of projects) {
+    if (project.packages.length === 0) continue;
+
+    const findings = [];
+    const upgrades = [];
+    let upToDate = 0;
+    let behind = 0;
+    let deprecated = 0;
+    let unknown = 0;
+
+    for (const { name, version } of project.packages) {
+      const packument = packuments.get(name);
+      const latest = packument && packument['dist-tags'] && packument['dist-tags'].latest;
+      if (!latest || !semver.valid(latest) || !semver.valid(version)) {
+        unknown++;
+        continue;
+      }
+
+      const versionInfo = (packument.versions || {})[version] || {};
+      if (versionInfo.deprecated) {
+        deprecated++;
+        findings.push({ status: 'warning', message: `${project.label}: ${name}@${version} is deprecated: ${versionInfo.deprecated}` });
+        upgrades.push(name);
+      }
+
+      if (semver.gte(version, latest)) {
+        upToDate++;
+        continue;
+      }
+
+      behind++;
+      const lag = semver.major(latest) - semver.major(version);
+      if (lag >= outdated.majorLag) {
+        findings.push({ status: 'warning', message: `${project.label}: ${name}@${version} is ${lag} major version(s) behind latest ${latest}` });
+        if (!upgrades.includes(name)) upgrades.push(name);
+      }
+    }
+
+    const summary = [`${upToDate} up to date`, `${behind} outdated`];
+    if (deprecated > 0) summary.push(`${deprecated} deprecated`);
+    if (unknown > 0) summary.push(`${unknown} without registry data`);
+
+    details.push({
+      status: findings.length > 0 ? 'warning' : 'pass',
+      message: `${project.label}: ${project.packages.length} package(s), ${summary.join(', ')}`
+    });
+    details.push(...findings);
+    warnings += findings.length;
+
+    if (upgrades.length > 0) {
+      fixes.push({
+        title: `Upgrade ${upgrades.join(', ')} to latest (${project.label}, review breaking changes first)`,
+        command: 'npm',
+        args: ['install', ...upgrades.map(name => `${name}@latest`)],
+        cwd: project.dir,
+        risk: 'high'
+      });
+    }
+  }
+
+  if (outdated.reportDuplicates) {
+    // 包名 → 版本 → 使用该版本的项目
+    const versions = new Map();
+    for (const project of projects) {
+      for (const { name, version } of project.packages) {
+        if (!versions.has(name)) versions.set(name, new Map());
+        const byVersion = versions.get(name);
+        if (!byVersion.has(version)) byVersion.set(version, []);
+        byVersion.get(version).push(project.label);
+      }
+    }
+
+    for (const [name, byVersion] of versions) {
+      if (byVersion.size < 2) continue;
+      const list = [...byVersion.entries()]
+        .sort(([a], [b]) => (semver.valid(a) && semver.valid(b) ? semver.rcompare(a, b) : a.localeCompare(b)))
+        .map(([version, labels]) => `${version} (${labels.join(', ')})`)
+        .join(', ');
+      details.push({ status: 'info', message: `Duplicate versions of ${name}: ${list}` });
+    }
+  }
+
+  return { details, fixes, warnings, error };
+}
+
 /**
  * 运行依赖检查
  */
-async function run(clawdRoot) {
+async function run(clawdRoot, options = {}) {
+  const settings = { ...DEFAULTS, ...(options.config || {}) };
   const details = [];
   const fixes = [];
   let checked = 0;
   let passed = 0;
   let failed = 0;
+  let warned = 0;
+
+  if (settings.criticalDeps.length > 0) {
+    details.push({ status: 'info', message: 'checks.dependencies.criticalDeps is deprecated, all declared dependencies are checked' });
+  }
 
   // 检查根 package.json
   const rootPkg = path.join(clawdRoot, 'package.json');
   if (existsSync(rootPkg)) {
     checked++;
-    const result = await checkPackageJson(rootPkg);
-    details.push({ status: 'pass', message: 'Root package.json OK' });
+    const result = await checkPackageJson(rootPkg, settings);
+    details.push({ status: result.status, message: `Root package.json: ${result.status === 'pass' ? 'OK' : 'Issues found'}` });
     details.push(...result.details);
 
     if (result.status === 'pass') {
       passed++;
     } else {
-      failed++;
+      if (result.status === 'warning') warned++; else failed++;
       fixes.push(...result.fix);
     }
   }
@@ -99,7 +433,7 @@ async function run(clawdRoot) {
 
       if (existsSync(skillPkg)) {
         checked++;
-        const result = await checkPackageJson(skillPkg);
+        const result = await checkPackageJson(skillPkg, settings);
 
         const statusMsg = result.status === 'pass' ? 'OK' : 'Issues found';
         details.push({ status: result.status, message: `${skill}/package.json: ${statusMsg}` });
@@ -107,9 +441,9 @@ async function run(clawdRoot) {
         if (result.status === 'pass') {
           passed++;
         } else {
-          failed++;
+          if (result.status === 'warning') warned++; else failed++;
           details.push(...result.details);
-          fixes.push(...result.fix.map(f => `${f} (skill: ${skill})`));
+          fixes.push(...result.fix.map(f => typeof f === 'string' ? f : { ...f, title: `${f.title} (skill: ${skill})` }));
         }
       }
     }
@@ -119,18 +453,27 @@ async function run(clawdRoot) {
     try {
       const gitCheck = spawn('git', ['ls-files', 'node_modules/', '*/*/node_modules/'], {
         cwd: clawdRoot,
+        signal: options.signal,
         stdio: ['ignore', 'pipe', 'ignore']
       });
 
       const trackedModules = await new Promise((resolve) => {
         let output = '';
         gitCheck.stdout.on('data', (data) => { output += data.toString(); });
+        gitCheck.on('error', () => {}); // 中止或 git 不可用时由 close 事件结束
         gitCheck.on('close', () => resolve(output.trim().split('\n').filter(Boolean)));
       });
 
       if (trackedModules.length > 0) {
         details.push({ status: 'warning', message: `node_modules files tracked in git: ${trackedModules.length}` });
-        fixes.push('Add node_modules/ to .gitignore and remove from git: git rm -r --cached node_modules/');
+        fixes.push('Add node_modules/ to .gitignore');
+        fixes.push({
+          title: 'Remove node_modules from the git index',
+          command: 'git',
+          args: ['rm', '-r', '--cached', '--quiet', 'node_modules/'],
+          cwd: clawdRoot,
+          risk: 'medium'
+        });
       }
 
     } catch {
@@ -141,15 +484,38 @@ async function run(clawdRoot) {
     details.push({ status: 'warning', message: `Could not check skills: ${error.message}` });
   }
 
+  // 过时依赖报告
+  const outdatedMode = { ...DEFAULTS.outdated, ...settings.outdated }.mode;
+  let outdatedWarnings = 0;
+  let registryError = false;
+  if (outdatedMode === 'always' || (outdatedMode === 'full' && options.full)) {
+    const report = await checkOutdated(clawdRoot, settings, options.signal);
+    details.push(...report.details);
+    fixes.push(...report.fixes);
+    outdatedWarnings = report.warnings;
+    registryError = !!report.error;
+  }
+
   // 确定状态
-  const status = failed > 0 ? 'fail' : checked === 0 ? 'warning' : 'pass';
+  const status = failed > 0 ? 'fail' : warned > 0 || outdatedWarnings > 0 || registryError || checked === 0 ? 'warning' : 'pass';
 
   return {
     status,
-    message: `Dependencies: ${passed}/${checked} package.json checks passed`,
+    message: `Dependencies: ${passed}/${checked} package.json checks passed${outdatedWarnings > 0 ? `, ${outdatedWarnings} outdated warning(s)` : ''}`,
     details,
     fix: fixes
   };
 }
 
-module.exports = { run };
+module.exports = {
+  id: 'dependencies',
+  title: 'Dependencies Check',
+  description: '检查 npm 依赖是否正确安装',
+  tier: 'quick',
+  order: 30,
+  timeout: 60000,
+  tags: ['dependencies'],
+  defaults: DEFAULTS,
+  configSchema: CONFIG_SCHEMA,
+  run
+};
@@ -0,0 +1,277 @@
+/**
+ * 🟢 Node.js 版本兼容检查
+ * 检查根目录、各 skill 以及它们的依赖在 package.json 中声明的 engines.node，
+ * 是否被当前运行的 Node 和 systemd 服务（ExecStart）实际使用的 Node 满足
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const { existsSync } = require('fs');
+const semver = require('semver');
+
+const lockfile = require('../lib/lockfile');
+
+// Skill 根目录（serviceFiles 中的相对路径基于此目录）
+const SKILL_ROOT = path.join(__dirname, '../..');
+
+// 默认配置（可在配置文件 checks.engines 中覆盖）
+const DEFAULTS = {
+  // 运行健康检查的 systemd 服务文件（不存在的文件跳过），从 ExecStart 中读取 node 可执行文件
+  serviceFiles: [
+    'configs/health-check.service',
+    '/etc/systemd/system/health-check.service',
+    '/etc/systemd/system/clawd-health-check.service'
+  ],
+
+  // 是否检查依赖的 engines.node（来自 lockfile 或 node_modules）
+  checkDependencies: true,
+
+  // 是否包括 devDependencies
+  includeDev: false
+};
+
+const CONFIG_SCHEMA = {
+  serviceFiles: { type: 'array', items: { type: 'string' } },
+  checkDependencies: { type: 'boolean' },
+  includeDev: { type: 'boolean' }
+};
+
+/**
+ * 读取 JSON 文件（不存在或格式错误时返回 null）
+ */
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * engines 中的 node 范围（没有声明时返回 null；旧包中数组形式的 engines 忽略）
+ */
+function nodeRange(engines) {
+  return engines && !Array.isArray(engines) && typeof engines.node === 'string' ? engines.node.trim() : null;
+}
+
+/**
+ * 从服务文件的 ExecStart 中提取 node 可执行文件（不是直接运行 node 时返回 null）
+ */
+function execStartNode(content) {
+  const line = content.split('\n').map(l => l.trim()).find(l => /^ExecStart\s*=/.test(l));
+  if (!line) return null;
+
+  // 去掉 systemd 的 -、@、+、! 前缀和引号
+  const tokens = line.replace(/^ExecStart\s*=\s*/, '').replace(/^[-@+!:]+/, '').split(/\s+/)
+    .map(token => token.replace(/^["']|["']$/g, ''));
+
+  let index = 0;
+  if (path.basename(tokens[0]) === 'env') {
+    // /usr/bin/env [-S] [VAR=value ...] node
+    index = 1;
+    while (index < tokens.length && (tokens[index].startsWith('-') || tokens[index].includes('='))) index++;
+  }
+
+  const executable = tokens[index];
+  return executable && /^node(js)?$/.test(path.basename(executable)) ? executable : null;
+}
+
+/**
+ * 获取 node 可执行文件的版本
+ */
+function nodeVersion(executable, signal) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(executable, ['--version'], { signal, timeout: 10000, stdio: ['ignore', 'pipe', 'ignore'] });
+
+    let stdout = '';
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+    proc.on('error', reject);
+    proc.on('close', (code) => {
+      const version = semver.valid(stdout.trim());
+      if (code === 0 && version) {
+        resolve(version);
+      } else {
+        reject(new Error(`${executable} --version failed`));
+      }
+    });
+  });
+}
+
+/**
+ * 需要满足 engines 的 Node 运行时：当前进程，以及各服务文件使用的 node
+ *
+ * 返回 { runtimes: [{ version, labels }], details }；同一版本的运行时合并
+ */
+async function collectRuntimes(settings, signal) {
+  const details = [];
+  const found = [{ version: semver.clean(process.version), label: `current process (${process.execPath})` }];
+
+  for (const serviceFile of settings.serviceFiles) {
+    const fullPath = path.resolve(SKILL_ROOT, serviceFile);
+    if (!existsSync(fullPath)) continue;
+
+    const name = path.basename(fullPath);
+    const executable = execStartNode(await fs.readFile(fullPath, 'utf-8'));
+    if (!executable) {
+      details.push({ status: 'info', message: `${name}: ExecStart does not run node directly, skipped`, file: fullPath });
+      continue;
+    }
+
+    try {
+      found.push({ version: await nodeVersion(executable, signal), label: `${name} (${executable})` });
+    } catch (error) {
+      if (signal && signal.aborted) throw signal.reason;
+      details.push({
+        status: 'warning',
+        message: `${name}: node binary ${executable} from ExecStart cannot be run (${error.code || error.message})`,
+        file: fullPath
+      });
+    }
+  }
+
+  const byVersion = new Map();
+  for (const runtime of found) {
+    if (!byVersion.has(runtime.version)) byVersion.set(runtime.version, []);
+    byVersion.get(runtime.version).push(runtime.label);
+  }
+
+  return {
+    runtimes: [...byVersion.entries()].map(([version, labels]) => ({ version, labels })),
+    details
+  };
+}
+
+/**
+ * 项目依赖声明的 engines.node，返回 [{ name, version, range }]
+ *
+ * 优先使用 lockfile（lockfileVersion 2/3 记录了每个包的 engines），否则读取 node_modules 中的顶层包
+ */
+async function dependencyEngines(dir, settings) {
+  const lock = await lockfile.read(dir).catch(() => null);
+  const found = new Map();
+
+  if (lock && lock.lockfileVersion >= 2) {
+    for (const entry of lock.packages.values()) {
+      if (entry.dev && !settings.includeDev) continue;
+      const range = nodeRange(entry.engines);
+      if (range) found.set(`${entry.name}@${entry.version}`, { name: entry.name, version: entry.version, range });
+    }
+    return [...found.values()];
+  }
+
+  const pkg = await readJson(path.join(dir, 'package.json'));
+  const types = ['dependencies', 'optionalDependencies', ...(settings.includeDev ? ['devDependencies'] : [])];
+  for (const name of new Set(types.flatMap(type => Object.keys((pkg && pkg[type]) || {})))) {
+    const installed = await readJson(path.join(dir, 'node_modules', name, 'package.json'));
+    const range = installed && nodeRange(installed.engines);
+    if (range) found.set(`${name}@${installed.version}`, { name, version: installed.version, range });
+  }
+  return [...found.values()];
+}
+
+/**
+ * 运行时不满足范围时的说明（满足时返回 null）
+ */
+function unsatisfied(range, runtimes) {
+  const failing = runtimes.filter(runtime => !semver.satisfies(runtime.version, range));
+  if (failing.length === 0) return null;
+  return failing.map(runtime => `v${runtime.version} (${runtime.labels.join(', ')})`).join('; ');
+}
+
+/**
+ * 运行 Node.js 版本兼容检查
+ */
+async function run(clawdRoot, options = {}) {
+  const settings = { ...DEFAULTS, ...(options.config || {}) };
+  const { runtimes, details } = await collectRuntimes(settings, options.signal);
+  const fixes = [];
+  let constraints = 0;
+
+  for (const project of await lockfile.listProjects(clawdRoot)) {
+    if (options.signal && options.signal.aborted) {
+      throw options.signal.reason;
+    }
+
+    const pkg = await readJson(path.join(project.dir, 'package.json'));
+    const manifest = `${project.label === 'root' ? '' : `${project.label}/`}package.json`;
+    const range = nodeRange(pkg && pkg.engines);
+    let issues = 0;
+
+    if (range) {
+      constraints++;
+      if (!semver.validRange(range)) {
+        issues++;
+        details.push({ status: 'warning', message: `${manifest}: invalid engines.node range "${range}"` });
+      } else {
+        const failing = unsatisfied(range, runtimes);
+        if (failing) {
+          issues++;
+          details.push({ status: 'fail', message: `${manifest}: engines.node ${range} not satisfied by Node ${failing}` });
+        }
+      }
+    }
+
+    const dependencies = settings.checkDependencies ? await dependencyEngines(project.dir, settings) : [];
+    const stricter = [];
+    for (const dep of dependencies) {
+      constraints++;
+      if (!semver.validRange(dep.range)) continue;
+
+      const failing = unsatisfied(dep.range, runtimes);
+      if (failing) {
+        issues++;
+        details.push({
+          status: 'warning',
+          message: `${project.label}: ${dep.name}@${dep.version} requires Node ${dep.range}, not satisfied by Node ${failing}`
+        });
+      } else if (range && semver.validRange(range) && !semver.subset(range, dep.range)) {
+        // 依赖要求的版本比项目声明的更高，按项目声明的范围部署会出问题
+        stricter.push(dep);
+      }
+    }
+
+    if (stricter.length > 0) {
+      issues++;
+      const list = stricter.map(dep => `${dep.name}@${dep.version} (${dep.range})`).join(', ');
+      details.push({
+        status: 'warning',
+        message: `${manifest}: engines.node ${range} is wider than its dependencies allow: ${list}`
+      });
+      fixes.push(`Narrow engines.node in ${path.join(project.dir, 'package.json')} to the range its dependencies support`);
+    }
+
+    if (issues === 0) {
+      const declared = range ? `engines.node ${range}` : 'no engines.node';
+      details.push({ status: 'pass', message: `${project.label}: ${declared}, ${dependencies.length} dependency constraint(s) satisfied` });
+    }
+  }
+
+  if (details.some(detail => detail.status === 'fail')) {
+    fixes.push('Upgrade Node.js (or point ExecStart in the systemd service to a newer node binary)');
+  }
+
+  const failed = details.some(detail => detail.status === 'fail');
+  const warned = details.some(detail => detail.status === 'warning');
+  const versions = runtimes.map(runtime => `v${runtime.version}`).join(', ');
+
+  return {
+    status: failed ? 'fail' : warned ? 'warning' : 'pass',
+    message: `Engines: ${constraints} constraint(s) checked against Node ${versions}`,
+    details,
+    fix: fixes.length > 0 ? fixes : undefined
+  };
+}
+
+module.exports = {
+  id: 'engines',
+  title: 'Node.js Engines Check',
+  description: '检查 engines.node 是否被当前 Node 和 systemd 服务使用的 Node 满足',
+  tier: 'quick',
+  order: 32,
+  timeout: 30000,
+  tags: ['dependencies', 'runtime'],
+  defaults: DEFAULTS,
+  configSchema: CONFIG_SCHEMA,
+  run
+};
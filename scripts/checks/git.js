@@ -1,19 +1,32 @@
 /**
  * 🔄 Git 状态检查
  * 检查未提交的更改、潜在的 secret 泄露等
+ *
+ * 深度扫描（--deep 或配置 deepScan: true）额外扫描完整提交历史和未跟踪文件。
+ * 历史扫描是增量的：已扫描到的提交和发现记录在 scanStateFile 中，之后只扫描新提交；
+ * 规则变化或历史被改写时重新扫描全部历史
  */
 
 const { spawn } = require('child_process');
 const { existsSync } = require('fs');
+const fs = require('fs').promises;
 const path = require('path');
+const readline = require('readline');
+const { toRegExp } = require('../lib/config-loader');
+const baseline = require('../lib/baseline');
+
+const SCAN_STATE_VERSION = 2;
 
 /**
  * 执行 git 命令
+ *
+ * ctx: { cwd, signal, ... }，signal 中止时终止 git 子进程
  */
-function gitExec(cwd, ...args) {
+function gitExec(ctx, ...args) {
   return new Promise((resolve, reject) => {
     const proc = spawn('git', args, {
-      cwd,
+      cwd: ctx.cwd,
+      signal: ctx.signal,
       stdio: ['ignore', 'pipe', 'pipe']
     });
 
@@ -36,79 +49,304 @@ function gitExec(cwd, ...args) {
 }
 
 /**
- * 检查文件是否包含疑似 secret 的内容
+ * 执行 git 命令并逐行处理输出（用于输出很大的 git log -p）
+ */
+function gitStream(ctx, args, onLine) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('git', args, {
+      cwd: ctx.cwd,
+      signal: ctx.signal,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let stderr = '';
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+
+    const lines = readline.createInterface({ input: proc.stdout, crlfDelay: Infinity });
+    lines.on('line', onLine);
+
+    proc.on('close', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(stderr || `git ${args.join(' ')} failed`));
+      }
+    });
+
+    proc.on('error', reject);
+  });
+}
+
+// 默认配置（可在配置文件 checks.git 中覆盖，模式可写为 { pattern: '...', flags: 'i' }）
+const DEFAULTS = {
+  // 疑似 secret 的内容（按顺序匹配，同一位置只报告第一个匹配的规则，因此具体服务的规则在前）
+  // 有捕获组时只对第一个匹配到的捕获组（secret 本身）打码
+  secretPatterns: [
+    { name: 'Private Key', pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY( BLOCK)?-----/ },
+    { name: 'AWS Access Key ID', pattern: /\b((?:AKIA|ASIA)[0-9A-Z]{16})\b/ },
+    { name: 'AWS Secret Access Key', pattern: /aws.{0,20}?(?:secret|key).{0,20}?["\'\s:=]+([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/i },
+    { name: 'GitHub Token', pattern: /\b((?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{60,})/ },
+    { name: 'Slack Token', pattern: /\b(xox[abposr]-[A-Za-z0-9-]{10,})/ },
+    { name: 'Slack Webhook', pattern: /hooks\.slack\.com\/services\/(T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]{20,})/ },
+    { name: 'Stripe Secret Key', pattern: /\b((?:sk|rk)_live_[A-Za-z0-9]{20,})/ },
+    { name: 'Google API Key', pattern: /\b(AIza[0-9A-Za-z_-]{35})/ },
+    { name: 'Anthropic API Key', pattern: /\b(sk-ant-[A-Za-z0-9_-]{20,})/ },
+    { name: 'OpenAI API Key', pattern: /\b(sk-(?:proj-)?[A-Za-z0-9_-]{20,}T3BlbkFJ[A-Za-z0-9_-]{20,}|sk-proj-[A-Za-z0-9_-]{40,})/ },
+    { name: 'npm Token', pattern: /\b(npm_[A-Za-z0-9]{36})\b/ },
+    { name: 'SendGrid API Key', pattern: /\b(SG\.[A-Za-z0-9_-]{22}\.[A-Za-z0-9_-]{43})/ },
+    { name: 'JSON Web Token', pattern: /\b(eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/ },
+    { name: 'Notion API Token', pattern: /((?:secret|ntn)_[a-zA-Z0-9]{32,})/ },
+    { name: 'Telegram Bot Token', pattern: /(\d{8,}:[A-Za-z0-9_-]{35})/ },
+    { name: 'API Key', pattern: /api[_-]?key["\']?\s*[:=]\s*["\']?([a-zA-Z0-9_-]{20,})/i },
+    // 引号中的值，或紧跟 = 的值（KEY=value、URL 参数），至少 8 个字符；不匹配说明文字和 ${VAR} 引用
+    { name: 'Password', pattern: /password\w*["\']?(?:\s*[:=]\s*["\']([^"'\s]{8,})["\']|=([^\s"'`${}<>]{8,}))/i },
+    { name: 'Token', pattern: /token["\']?\s*[:=]\s*["\']?([a-zA-Z0-9_-]{20,})/i },
+    { name: 'Bearer Token', pattern: /bearer\s+([a-zA-Z0-9_-]{20,})/i },
+    { name: 'Base64 Secret', pattern: /["\']([A-Za-z0-9+/]{40,}={0,2})["\']/ }
+  ],
+
+  // 高熵字符串（赋值或引号中的随机字符串），阈值为 Shannon 熵（每字符比特数）
+  entropy: {
+    enabled: true,
+    minLength: 20,
+    base64Threshold: 4.5,
+    hexThreshold: 3.0,
+    // 不做熵检测的路径（lockfile 中的 integrity 哈希）
+    skipPaths: ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml']
+  },
+
+  // 不检查 secret 的路径（常见误报）
+  safePaths: ['.env.example', 'sample.env', '.env.template', 'test/fixtures'],
+
+  // 扫描完整历史和未跟踪文件
+  deepScan: false,
+
+  // 增量历史扫描的状态文件
+  scanStateFile: '/tmp/clawdbot/health-check-git-scan.json',
+
+  // 超过该大小（字节）的未跟踪文件不扫描
+  maxFileSize: 1024 * 1024
+};
+
+const CONFIG_SCHEMA = {
+  secretPatterns: {
+    type: 'array',
+    items: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { name: { type: 'string' }, pattern: { type: 'string' }, flags: { type: 'string' } }
+    }
+  },
+  entropy: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      enabled: { type: 'boolean' },
+      minLength: { type: 'integer', minimum: 8 },
+      base64Threshold: { type: 'number', minimum: 0 },
+      hexThreshold: { type: 'number', minimum: 0 },
+      skipPaths: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  safePaths: { type: 'array', items: { type: 'string' } },
+  deepScan: { type: 'boolean' },
+  scanStateFile: { type: 'string' },
+  maxFileSize: { type: 'integer', minimum: 1 }
+};
+
+// 熵检测的候选：引号中或 = / : 之后的连续 base64/hex 字符
+const ENTROPY_CANDIDATE = /(?:["'`]|[:=]\s*)([A-Za-z0-9+/=_-]+)/g;
+
+/**
+ * 将文件内容拆分为带行号的行
+ */
+function toLines(content) {
+  return content.split('\n').map((text, i) => ({ text, line: i + 1 }));
+}
+
+/**
+ * 从 diff 中提取新增的行及其在新文件中的行号
+ */
+function addedLinesFromDiff(diff) {
+  const lines = [];
+  let line = 0;
+
+  for (const text of diff.split('\n')) {
+    const hunk = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      line = parseInt(hunk[1]);
+    } else if (text.startsWith('+') && !text.startsWith('+++')) {
+      lines.push({ text: text.slice(1), line });
+      line++;
+    } else if (!text.startsWith('-')) {
+      line++;
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * 计算字符串的 Shannon 熵（每字符比特数）
+ */
+function shannonEntropy(text) {
+  const counts = new Map();
+  for (const char of text) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * 打码：较长的值保留前 4 个字符，其余替换为 *
+ */
+function mask(value) {
+  const visible = value.length >= 16 ? 4 : 0;
+  return value.slice(0, visible) + '*'.repeat(Math.min(Math.max(value.length - visible, 4), 12));
+}
+
+/**
+ * 查找一行中的高熵字符串
  */
-const SECRET_PATTERNS = [
-  { name: 'Notion API Token', pattern: /secret_[a-zA-Z0-9]{32,}/ },
-  { name: 'Telegram Bot Token', pattern: /\d{8,}:[A-Za-z0-9_-]{35}/ },
-  { name: 'API Key', pattern: /api[_-]?key["\']?\s*[:=]\s*["\']?[a-zA-Z0-9_-]{20,}/i },
-  { name: 'Password', pattern: /password["\']?\s*[:=]\s*["\']?[^\s"']+["\']?/i },
-  { name: 'Token', pattern: /token["\']?\s*[:=]\s*["\']?[a-zA-Z0-9_-]{20,}/i },
-  { name: 'Bearer Token', pattern: /bearer\s+[a-zA-Z0-9_-]{20,}/i },
-  { name: 'Base64 Secret', pattern: /["\'][A-Za-z0-9+/]{40,}={0,2}["\']/ }
-];
+function findHighEntropy(text, entropy) {
+  const matches = [];
+
+  for (const match of text.matchAll(ENTROPY_CANDIDATE)) {
+    const value = match[1].replace(/=+$/, '');
+    // 需要同时包含字母和数字，排除普通单词、路径和常量名
+    if (value.length < entropy.minLength || !/\d/.test(value) || !/[a-z]/i.test(value)) continue;
+
+    const threshold = /^[0-9a-f]+$/i.test(value) ? entropy.hexThreshold : entropy.base64Threshold;
+    if (shannonEntropy(value) >= threshold) {
+      matches.push({ index: match.index + match[0].length - match[1].length, value: match[1] });
+    }
+  }
+
+  return matches;
+}
 
 /**
- * 检查单个文件是否包含 secret
+ * 检查一行是否包含 secret（同一位置只报告第一个匹配的规则）
  */
-function checkFileForSecrets(content, filePath) {
+function scanLine(text, line, filePath, rules) {
   const findings = [];
+  const ranges = [];
+  const secrets = [];
+  const overlaps = (start, end) => ranges.some(([s, e]) => start < e && end > s);
+
+  const add = (type, index, match, secret) => {
+    if (overlaps(index, index + match.length)) return;
+    ranges.push([index, index + match.length]);
+
+    const start = index + Math.max(0, match.indexOf(secret));
+    secrets.push([start, start + secret.length]);
+    findings.push({ type, line, column: index + 1, masked: mask(secret) });
+  };
 
-  for (const { name, pattern } of SECRET_PATTERNS) {
-    const matches = content.match(pattern);
+  for (const { name, pattern } of rules.secretPatterns) {
+    const matches = text.match(pattern);
     if (matches) {
-      findings.push({
-        type: name,
-        match: matches[0].substring(0, 30) + '...'
-      });
+      // 有多个可选捕获组时使用第一个匹配到的
+      add(name, matches.index, matches[0], matches.slice(1).find(Boolean) || matches[0]);
+    }
+  }
+
+  const { entropy } = rules;
+  if (entropy.enabled && !entropy.skipPaths.some(skip => filePath.endsWith(skip))) {
+    for (const { index, value } of findHighEntropy(text, entropy)) {
+      add('High Entropy String', index, value, value);
     }
   }
 
+  // 指纹使用去掉所有 secret 的整行（基线文件会被提交，不能包含 secret 的哈希）；
+  // 不含行号和提交，代码移动或再次提交后仍能匹配基线
+  let context = text;
+  for (const [start, end] of [...secrets].sort((a, b) => b[0] - a[0])) {
+    context = `${context.slice(0, start)}<secret>${context.slice(end)}`;
+  }
+
+  const occurrences = {};
+  return findings.map(finding => {
+    occurrences[finding.type] = (occurrences[finding.type] || 0) + 1;
+    return {
+      ...finding,
+      fingerprint: baseline.fingerprint('git', finding.type, filePath, context.trim(), occurrences[finding.type])
+    };
+  });
+}
+
+/**
+ * 是否为不检查 secret 的路径
+ */
+function isSafePath(filePath, rules) {
+  return rules.safePaths.some(safe => filePath.includes(safe));
+}
+
+/**
+ * 检查文件内容（带行号的行）是否包含 secret
+ */
+function checkFileForSecrets(lines, filePath, rules) {
   // 排除常见误报
-  const safePaths = ['.env.example', 'sample.env', '.env.template', 'test/fixtures'];
-  if (safePaths.some(safe => filePath.includes(safe))) {
+  if (isSafePath(filePath, rules)) {
     return [];
   }
 
+  const findings = [];
+  for (const { text, line } of lines) {
+    findings.push(...scanLine(text, line, filePath, rules));
+  }
   return findings;
 }
 
+/**
+ * 是否为二进制内容
+ */
+function isBinary(content) {
+  return content.slice(0, 8000).includes('\0');
+}
+
 /**
  * 检查是否有未提交的更改包含 secrets
  */
-async function checkUncommittedForSecrets(cwd) {
+async function checkUncommittedForSecrets(ctx) {
   const findings = [];
 
   try {
     // 获取未暂存的更改
-    const changedFiles = (await gitExec(cwd, 'diff', '--name-only'))
+    const changedFiles = (await gitExec(ctx, 'diff', '--name-only'))
       .split('\n')
       .filter(Boolean);
 
     // 获取已暂存的更改
-    const stagedFiles = (await gitExec(cwd, 'diff', '--cached', '--name-only'))
+    const stagedFiles = (await gitExec(ctx, 'diff', '--cached', '--name-only'))
       .split('\n')
       .filter(Boolean);
 
     const allChangedFiles = [...new Set([...changedFiles, ...stagedFiles])];
 
     for (const file of allChangedFiles) {
-      // 只检查文本文件
-      if (/\.(js|ts|json|md|env|txt|yml|yaml)$/.test(file)) {
-        try {
-          const diff = await gitExec(cwd, 'diff', file);
-          const secretFindings = checkFileForSecrets(diff, file);
-
-          for (const finding of secretFindings) {
-            findings.push({
-              file,
-              type: finding.type,
-              match: finding.match
-            });
-          }
-        } catch {
-          // 忽略单个文件的错误
+      try {
+        // 未暂存和已暂存的新增行（二进制文件的 diff 没有新增行）
+        const diff = await gitExec(ctx, 'diff', '--', file) + '\n' +
+          await gitExec(ctx, 'diff', '--cached', '--', file);
+        const secretFindings = checkFileForSecrets(addedLinesFromDiff(diff), file, ctx);
+
+        const seen = new Set();
+        for (const finding of secretFindings) {
+          const key = `${finding.line}:${finding.type}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+
+          findings.push({ file, ...finding });
         }
+      } catch {
+        // 忽略单个文件的错误
       }
     }
 
@@ -120,55 +358,319 @@ async function checkUncommittedForSecrets(cwd) {
 }
 
 /**
- * 检查最近的提交是否有 secrets
+ * 检查未跟踪（且未被 .gitignore 忽略）的文件是否包含 secrets
+ */
+async function checkUntrackedForSecrets(ctx) {
+  const findings = [];
+  const files = (await gitExec(ctx, 'ls-files', '--others', '--exclude-standard', '-z'))
+    .split('\0')
+    .filter(Boolean);
+
+  for (const file of files) {
+    if (isSafePath(file, ctx)) continue;
+
+    try {
+      const fullPath = path.join(ctx.cwd, file);
+      const stat = await fs.stat(fullPath);
+      if (!stat.isFile() || stat.size > ctx.maxFileSize) continue;
+
+      const content = await fs.readFile(fullPath, 'utf-8');
+      if (isBinary(content)) continue;
+
+      for (const finding of checkFileForSecrets(toLines(content), file, ctx)) {
+        findings.push({ file, untracked: true, ...finding });
+      }
+    } catch {
+      // 文件可能已被删除
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * 检查最近 5 次提交新增的行中是否包含 secret（包括根提交）
  */
-async function checkRecentCommitsForSecrets(cwd) {
+async function checkRecentCommitsForSecrets(ctx) {
   const findings = [];
 
+  let commits;
   try {
-    // 检查最近5次提交
-    const commits = (await gitExec(cwd, 'log', '--oneline', '-5'))
-      .split('\n')
-      .filter(Boolean);
+    commits = (await gitExec(ctx, 'rev-list', '--max-count=5', 'HEAD')).split('\n').filter(Boolean);
+  } catch {
+    // 还没有提交
+    return findings;
+  }
+  if (commits.length === 0) {
+    return findings;
+  }
 
-    for (const commit of commits) {
-      const commitHash = commit.split(' ')[0];
+  // git show 输出每个提交相对父提交（根提交相对空树）的补丁，-U0 时只扫描新增的行
+  const parser = createPatchParser(ctx, { onFinding: finding => findings.push(finding) });
+  await gitStream(ctx, [
+    '-c', 'core.quotePath=false',
+    'show', '--format=%x00%H', '--unified=0', '--no-color', '--no-ext-diff', '--no-textconv', '--no-prefix',
+    ...commits
+  ], parser.line);
+  parser.end();
 
-      try {
-        // 获取提交中更改的文件
-        const files = (await gitExec(cwd, 'diff', '--name-only', `${commitHash}^..${commitHash}`))
-          .split('\n')
-          .filter(Boolean);
-
-        for (const file of files) {
-          if (/\.(js|ts|json|md|env|txt|yml|yaml)$/.test(file)) {
-            try {
-              const content = await gitExec(cwd, 'show', `${commitHash}:${file}`);
-              const secretFindings = checkFileForSecrets(content, file);
-
-              for (const finding of secretFindings) {
-                findings.push({
-                  commit: commitHash,
-                  file,
-                  type: finding.type,
-                  match: finding.match
-                });
-              }
-            } catch {
-              // 文件可能已被删除
-            }
+  return findings;
+}
+
+/**
+ * 创建 git diff / git log -p（-U0，--no-prefix）输出的逐行解析器，扫描每个新增行
+ *
+ * handlers.onFinding(finding): 发现 secret（含 commit、file）
+ * handlers.onCommit(commit): 一个提交已完整扫描（git log 输出需使用 --format=%x00%H）
+ */
+function createPatchParser(ctx, handlers) {
+  let commit = null;
+  let file = null;
+  let line = 0;
+  let inHunk = false;
+
+  return {
+    line(text) {
+      if (text.startsWith('\0')) {
+        // 新提交开始，上一个提交已经完整扫描
+        if (commit && handlers.onCommit) handlers.onCommit(commit);
+        commit = text.slice(1);
+        file = null;
+        inHunk = false;
+      } else if (text.startsWith('diff --git ')) {
+        file = null;
+        inHunk = false;
+      } else if (text.startsWith('@@ ')) {
+        const hunk = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+        line = hunk ? parseInt(hunk[1]) : 0;
+        inHunk = true;
+      } else if (!inHunk) {
+        if (text.startsWith('+++ ')) {
+          const target = text.slice(4).replace(/^"(.*)"$/, '$1');
+          file = target === '/dev/null' || isSafePath(target, ctx) ? null : target;
+        }
+      } else if (text.startsWith('+')) {
+        if (file) {
+          for (const finding of scanLine(text.slice(1), line, file, ctx)) {
+            handlers.onFinding({ ...(commit ? { commit } : {}), file, ...finding });
           }
         }
-      } catch {
-        // 跳过此提交
+        line++;
       }
+    },
+
+    // 输出结束，最后一个提交已完整扫描
+    end() {
+      if (commit && handlers.onCommit) handlers.onCommit(commit);
+    }
+  };
+}
+
+/**
+ * 读取历史扫描状态（文件不存在或无法解析时返回空状态）
+ *
+ * 结构: { version, repos: { [仓库路径]: { tips, rules, scannedAt, findings } } }
+ *   tips: 已扫描的提交（它们及其祖先都已扫描过）
+ *   rules: 规则的指纹，规则变化后需要重新扫描
+ *   findings: 历史中的发现（只保存打码后的值）
+ */
+async function loadScanState(stateFile) {
+  if (!existsSync(stateFile)) {
+    return { version: SCAN_STATE_VERSION, repos: {} };
+  }
+
+  try {
+    const state = JSON.parse(await fs.readFile(stateFile, 'utf-8'));
+    if (!state || state.version !== SCAN_STATE_VERSION || typeof state.repos !== 'object') {
+      return { version: SCAN_STATE_VERSION, repos: {} };
     }
+    return state;
+  } catch {
+    return { version: SCAN_STATE_VERSION, repos: {} };
+  }
+}
+
+/**
+ * 保存历史扫描状态（先写临时文件再重命名）
+ */
+async function saveScanState(stateFile, state) {
+  await fs.mkdir(path.dirname(stateFile), { recursive: true });
+  const tmpPath = `${stateFile}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(state));
+  await fs.rename(tmpPath, stateFile);
+}
+
+/**
+ * 提交是否是 HEAD 的祖先（历史被改写后旧的扫描结果不再可信）
+ */
+async function isAncestor(ctx, commit) {
+  try {
+    await gitExec(ctx, 'merge-base', '--is-ancestor', commit, 'HEAD');
+    return true;
+  } catch {
+    return false;
+  }
+}
 
+/**
+ * 增量扫描 HEAD 的完整历史，只检查每个提交新增的行
+ *
+ * 返回 { findings, commits }，commits 为本次新扫描的提交数
+ */
+async function scanHistory(ctx) {
+  let head;
+  try {
+    head = await gitExec(ctx, 'rev-parse', '--verify', 'HEAD');
   } catch {
-    // git log 失败，跳过
+    // 还没有提交
+    return { findings: [], commits: 0 };
   }
 
-  return findings;
+  const rules = baseline.fingerprint(
+    JSON.stringify(ctx.secretPatterns.map(p => [p.name, String(p.pattern)])),
+    JSON.stringify(ctx.entropy),
+    JSON.stringify(ctx.safePaths)
+  );
+  const state = await loadScanState(ctx.scanStateFile);
+  const previous = state.repos[ctx.cwd];
+
+  let tips = [];
+  let findings = [];
+  if (previous && previous.rules === rules && Array.isArray(previous.tips)) {
+    let reachable = true;
+    for (const tip of previous.tips) {
+      if (!(await isAncestor(ctx, tip))) {
+        reachable = false;
+        break;
+      }
+    }
+    if (reachable) {
+      tips = previous.tips;
+      findings = previous.findings || [];
+    }
+  }
+
+  const keyOf = (finding) => `${finding.commit}:${finding.file}:${finding.line}:${finding.type}`;
+  const seen = new Set(findings.map(keyOf));
+  let commits = 0;
+  let lastCompleted = null;
+
+  const parser = createPatchParser(ctx, {
+    onFinding(finding) {
+      if (seen.has(keyOf(finding))) return;
+      seen.add(keyOf(finding));
+      findings.push(finding);
+    },
+    onCommit(commit) {
+      lastCompleted = commit;
+      commits++;
+    }
+  });
+
+  // --reverse --topo-order: 父提交总在子提交之前，中断时最后完成的提交及其祖先都已扫描
+  const args = [
+    '-c', 'core.quotePath=false',
+    'log', '-p', '-U0', '--no-color', '--no-ext-diff', '--no-textconv', '--no-prefix',
+    '--reverse', '--topo-order', '--format=%x00%H',
+    head, ...(tips.length > 0 ? ['--not', ...tips] : [])
+  ];
+
+  try {
+    await gitStream(ctx, args, parser.line);
+    parser.end();
+    tips = [head];
+  } catch (error) {
+    if (lastCompleted) tips = [...tips, lastCompleted];
+    throw error;
+  } finally {
+    // --dry-run 时不更新扫描状态，下次仍然扫描这些提交
+    if (!ctx.dryRun) {
+      state.repos[ctx.cwd] = { tips, rules, scannedAt: new Date().toISOString(), findings };
+      await saveScanState(ctx.scanStateFile, state).catch(() => {});
+    }
+  }
+
+  return { findings, commits };
+}
+
+/**
+ * 拆分出基线中已接受的发现
+ *
+ * 基线条目的范围均为 'deep'：最近的提交会随新提交移出扫描窗口，
+ * 只有深度扫描（完整历史、未提交更改和未跟踪文件）能确认条目已不再出现
+ */
+function partitionAccepted(findings, options) {
+  const fresh = [];
+  let accepted = 0;
+
+  for (const finding of findings) {
+    const isAccepted = options.baseline && options.baseline.isAccepted({
+      fingerprint: finding.fingerprint,
+      rule: finding.type,
+      file: finding.file,
+      message: `${finding.file}: ${finding.type}`,
+      scope: 'deep'
+    });
+    if (isAccepted) {
+      accepted++;
+    } else {
+      fresh.push(finding);
+    }
+  }
+
+  return { fresh, accepted };
+}
+
+/**
+ * 创建扫描上下文（git 命令的工作目录、中止信号和编译后的规则）
+ */
+function createContext(clawdRoot, options = {}) {
+  const settings = { ...DEFAULTS, ...(options.config || {}) };
+  return {
+    cwd: clawdRoot,
+    signal: options.signal,
+    secretPatterns: settings.secretPatterns.map(p => ({ ...p, pattern: toRegExp(p) })),
+    entropy: { ...DEFAULTS.entropy, ...settings.entropy },
+    safePaths: settings.safePaths,
+    scanStateFile: settings.scanStateFile,
+    dryRun: !!options.dryRun,
+    maxFileSize: settings.maxFileSize
+  };
+}
+
+/**
+ * 扫描 git diff / git log -p 的新增行，返回未被基线接受的发现和已接受的数量
+ */
+async function scanPatch(clawdRoot, args, options) {
+  const ctx = createContext(clawdRoot, options);
+  const findings = [];
+  const parser = createPatchParser(ctx, { onFinding: finding => findings.push(finding) });
+
+  await gitStream(ctx, [
+    '-c', 'core.quotePath=false',
+    ...args, '-U0', '--no-color', '--no-ext-diff', '--no-textconv', '--no-prefix'
+  ], parser.line);
+  parser.end();
+
+  return partitionAccepted(findings, options);
+}
+
+/**
+ * 扫描已暂存的更改（pre-commit hook）
+ *
+ * options: { config, baseline, signal }
+ */
+function scanStaged(clawdRoot, options = {}) {
+  return scanPatch(clawdRoot, ['diff', '--cached'], options);
+}
+
+/**
+ * 扫描指定提交范围中每个提交新增的行（pre-push hook）
+ *
+ * revisions: git log 的版本参数，例如 ['origin/main..HEAD'] 或 [sha, '--not', '--remotes']
+ */
+function scanCommits(clawdRoot, revisions, options = {}) {
+  return scanPatch(clawdRoot, ['log', '-p', '--format=%x00%H', ...revisions], options);
 }
 
 /**
@@ -177,7 +679,13 @@ async function checkRecentCommitsForSecrets(cwd) {
 async function run(clawdRoot, options = {}) {
   const details = [];
   const fixes = [];
+  const settings = { ...DEFAULTS, ...(options.config || {}) };
+  const ctx = createContext(clawdRoot, options);
+  const deep = Boolean(options.deep || settings.deepScan);
   let status = 'pass';
+  let acceptedCount = 0;
+  // 深度扫描的各部分都成功时才判断基线条目是否过期
+  let scanned = deep;
 
   // 检查是否在 git 仓库中
   const gitDir = path.join(clawdRoot, '.git');
@@ -186,7 +694,7 @@ async function run(clawdRoot, options = {}) {
       status: 'warning',
       message: 'Not a git repository',
       details: [{ status: 'warning', message: '.git directory not found' }],
-      fix: ['Initialize git repo: git init']
+      fix: [{ title: 'Initialize git repo', command: 'git', args: ['init'], cwd: clawdRoot, risk: 'medium' }]
     };
   }
 
@@ -194,7 +702,7 @@ async function run(clawdRoot, options = {}) {
 
   // 检查未提交的更改
   try {
-    const statusOutput = await gitExec(clawdRoot, 'status', '--porcelain');
+    const statusOutput = await gitExec(ctx, 'status', '--porcelain');
 
     if (statusOutput) {
       const changedFiles = statusOutput.split('\n').filter(Boolean);
@@ -220,7 +728,12 @@ async function run(clawdRoot, options = {}) {
 
   // 检查未提交更改中的 secrets
   try {
-    const uncommittedSecrets = await checkUncommittedForSecrets(clawdRoot);
+    const found = await checkUncommittedForSecrets(ctx);
+    if (deep) {
+      found.push(...await checkUntrackedForSecrets(ctx));
+    }
+    const { fresh: uncommittedSecrets, accepted } = partitionAccepted(found, options);
+    acceptedCount += accepted;
 
     if (uncommittedSecrets.length > 0) {
       status = 'fail';
@@ -229,10 +742,13 @@ async function run(clawdRoot, options = {}) {
         message: `Found ${uncommittedSecrets.length} potential secret(s) in uncommitted changes`
       });
 
-      for (const secret of uncommittedSecrets.slice(0, 5)) {
+      for (const secret of uncommittedSecrets) {
         details.push({
           status: 'fail',
-          message: `  ${secret.file}: ${secret.type} detected`
+          message: `  ${secret.file}:${secret.line}: ${secret.type} detected (${secret.masked})${secret.untracked ? ' [untracked]' : ''}`,
+          file: secret.file,
+          line: secret.line,
+          column: secret.column
         });
       }
 
@@ -240,27 +756,41 @@ async function run(clawdRoot, options = {}) {
       fixes.push('Use environment variables for sensitive data');
     }
   } catch (error) {
+    scanned = false;
     details.push({
       status: 'warning',
       message: `Could not check for secrets in changes: ${error.message}`
     });
   }
 
-  // 检查最近提交中的 secrets
+  // 检查提交中的 secrets（深度扫描时为完整历史，否则为最近的提交）
   try {
-    const commitSecrets = await checkRecentCommitsForSecrets(clawdRoot);
+    let found;
+    if (deep) {
+      const history = await scanHistory(ctx);
+      found = history.findings;
+      details.push({ status: 'info', message: `Scanned ${history.commits} new commit(s) of history` });
+    } else {
+      found = await checkRecentCommitsForSecrets(ctx);
+    }
+    const { fresh: commitSecrets, accepted } = partitionAccepted(found, options);
+    acceptedCount += accepted;
 
     if (commitSecrets.length > 0) {
       status = 'fail';
       details.push({
         status: 'fail',
-        message: `Found ${commitSecrets.length} potential secret(s) in recent commits`
+        message: `Found ${commitSecrets.length} potential secret(s) in ${deep ? 'git history' : 'recent commits'}`
       });
 
-      for (const secret of commitSecrets.slice(0, 3)) {
+      for (const secret of commitSecrets) {
         details.push({
           status: 'fail',
-          message: `  Commit ${secret.commit}: ${secret.file} contains ${secret.type}`
+          message: `  Commit ${secret.commit.slice(0, 10)}: ${secret.file}:${secret.line} contains ${secret.type} (${secret.masked})`,
+          file: secret.file,
+          line: secret.line,
+          column: secret.column,
+          commit: secret.commit
         });
       }
 
@@ -268,15 +798,24 @@ async function run(clawdRoot, options = {}) {
       fixes.push('Rotate exposed secrets immediately');
     }
   } catch (error) {
+    scanned = false;
     details.push({
       status: 'warning',
-      message: `Could not check recent commits: ${error.message}`
+      message: `Could not check ${deep ? 'git history' : 'recent commits'}: ${error.message}`
     });
   }
 
+  if (acceptedCount > 0) {
+    details.push({ status: 'info', message: `${acceptedCount} accepted finding(s) suppressed by baseline` });
+  }
+
+  if (scanned && options.baseline) {
+    options.baseline.scanned('deep');
+  }
+
   // 检查远程仓库状态
   try {
-    const branches = await gitExec(clawdRoot, 'branch', '-vv');
+    const branches = await gitExec(ctx, 'branch', '-vv');
 
     // 检查是否有未推送的提交
     const pushNeeded = branches.split('\n').filter(line =>
@@ -301,4 +840,17 @@ async function run(clawdRoot, options = {}) {
   };
 }
 
-module.exports = { run };
+module.exports = {
+  id: 'git',
+  title: 'Git Status',
+  description: '检查未提交的更改和潜在的 secret 泄露',
+  tier: 'full',
+  order: 50,
+  timeout: 120000,
+  tags: ['git', 'security'],
+  defaults: DEFAULTS,
+  configSchema: CONFIG_SCHEMA,
+  run,
+  scanStaged,
+  scanCommits
+};
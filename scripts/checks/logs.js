@@ -1,239 +1,542 @@
 /**
  * 📋 日志分析检查
- * 分析最近的日志文件，检测错误模式
+ * 分析最近一段时间（lookbackMinutes）的日志，检测错误模式并计算每分钟错误数
+ *
+ * 分析是增量的：每个日志文件读到的位置（inode + 字节偏移）和窗口内的错误记录在 cursorFile 中，
+ * 之后只读取新写入的行；按天切分的日志（clawdbot-YYYY-MM-DD.log）在窗口跨天时一起分析，
+ * 文件被截断或替换（inode 变化）时从头读取
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const { existsSync } = require('fs');
+const { toRegExp } = require('../lib/config-loader');
+
+const LOG_FILE_PATTERN = /^clawdbot-(\d{4}-\d{2}-\d{2})\.log$/;
+
+const CURSOR_VERSION = 1;
+
+// 每次读取的块大小（字节）
+const CHUNK_SIZE = 1024 * 1024;
+
+// 行首的时间戳：完整的 ISO 时间（可带时区），或只有时间（日期取自文件名）
+const ISO_TIMESTAMP = /^\[?(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}:\d{2}(?:\.\d+)?)(Z|[+-]\d{2}:?\d{2})?/;
+const TIME_TIMESTAMP = /^\[?(\d{2}:\d{2}:\d{2})/;
+
+// 默认配置（可在配置文件 checks.logs 中覆盖，模式可写为 { pattern: '...', flags: 'i' }）
+const DEFAULTS = {
+  // Clawdbot 日志目录
+  logDir: '/tmp/clawdbot',
+
+  // 需要关注的错误模式
+  errorPatterns: [
+    { pattern: /Error:/i, category: 'General Error' },
+    { pattern: /Fatal error:/i, category: 'Fatal Error' },
+    { pattern: /SyntaxError:/i, category: 'Syntax Error' },
+    { pattern: /Cannot find module/i, category: 'Module Not Found' },
+    { pattern: /EACCES|permission denied/i, category: 'Permission Error' },
+    { pattern: /ENOENT.*no such file/i, category: 'File Not Found' },
+    { pattern: /validation_error/i, category: 'Validation Error' },
+    { pattern: /object_not_found/i, category: 'Notion Object Not Found' },
+    { pattern: /telegram.*not found|Bad Request/i, category: 'Telegram Error' },
+    { pattern: /dotenv.*injecting env/i, category: 'Dotenv Warning' },
+    { pattern: /MODULE_NOT_FOUND/i, category: 'Module Not Found' }
+  ],
+
+  // 需要特别关注的路径问题
+  pathPatterns: [
+    { pattern: /skills\/skills\//, message: 'Duplicate "skills" in path' },
+    { pattern: /undefined.*(?:url|id|database)/i, message: 'Undefined critical value' }
+  ],
+
+  // 分析最近多少分钟的日志（按行首时间戳判断，窗口跨天时包括前一天的日志文件）
+  lookbackMinutes: 60,
+
+  // 最近错误率（每分钟错误数）的计算区间（分钟）
+  rateWindowMinutes: 5,
+
+  // 窗口内错误总数的阈值
+  errorThresholds: { warning: 10, fail: 50 },
+
+  // 最近错误率（每分钟错误数）的阈值
+  rateThresholds: { warning: 1, fail: 5 },
+
+  // 读取位置和窗口内错误的状态文件
+  cursorFile: '/tmp/clawdbot/health-check-logs-cursor.json',
+
+  // 状态文件中最多保留的错误记录数（超出时丢弃最早的）
+  maxEvents: 5000,
+
+  // 每个文件每次最多读取的字节数（首次运行或文件被替换时，超出部分只读最后这么多，避免读取整个大日志）
+  maxReadBytes: 16 * 1024 * 1024
+};
+
+const THRESHOLDS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    warning: { type: 'number', minimum: 0 },
+    fail: { type: 'number', minimum: 0 }
+  }
+};
+
+const CONFIG_SCHEMA = {
+  logDir: { type: 'string' },
+  errorPatterns: {
+    type: 'array',
+    items: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { pattern: { type: 'string' }, flags: { type: 'string' }, category: { type: 'string' } }
+    }
+  },
+  pathPatterns: {
+    type: 'array',
+    items: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { pattern: { type: 'string' }, flags: { type: 'string' }, message: { type: 'string' } }
+    }
+  },
+  lookbackMinutes: { type: 'integer', minimum: 1 },
+  rateWindowMinutes: { type: 'integer', minimum: 1 },
+  errorThresholds: THRESHOLDS_SCHEMA,
+  rateThresholds: THRESHOLDS_SCHEMA,
+  cursorFile: { type: 'string' },
+  maxEvents: { type: 'integer', minimum: 1 },
+  maxReadBytes: { type: 'integer', minimum: 1024 }
+};
 
-// Clawdbot 日志目录
-const LOG_DIR = '/tmp/clawdbot';
-const LOG_FILE_PATTERN = /clawdbot-\d{4}-\d{2}-\d{2}\.log$/;
-
-// 需要关注的错误模式
-const ERROR_PATTERNS = [
-  { pattern: /Error:/i, category: 'General Error' },
-  { pattern: /Fatal error:/i, category: 'Fatal Error' },
-  { pattern: /SyntaxError:/i, category: 'Syntax Error' },
-  { pattern: /Cannot find module/i, category: 'Module Not Found' },
-  { pattern: /EACCES|permission denied/i, category: 'Permission Error' },
-  { pattern: /ENOENT.*no such file/i, category: 'File Not Found' },
-  { pattern: /validation_error/i, category: 'Validation Error' },
-  { pattern: /object_not_found/i, category: 'Notion Object Not Found' },
-  { pattern: /telegram.*not found|Bad Request/i, category: 'Telegram Error' },
-  { pattern: /dotenv.*injecting env/i, category: 'Dotenv Warning' },
-  { pattern: /MODULE_NOT_FOUND/i, category: 'Module Not Found' }
-];
-
-// 需要特别关注的路径问题
-const PATH_PATTERNS = [
-  { pattern: /skills\/skills\//, message: 'Duplicate "skills" in path' },
-  { pattern: /undefined.*(?:url|id|database)/i, message: 'Undefined critical value' }
-];
+/**
+ * 编译配置中的模式
+ */
+function compilePatterns(patterns) {
+  return patterns.map(p => ({ ...p, pattern: toRegExp(p) }));
+}
 
 /**
- * 解析日志文件
+ * 本地日期（YYYY-MM-DD），与日志文件名中的日期一致
  */
-async function parseLogFile(logPath) {
+function localDate(time) {
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * 本地时间（HH:MM:SS）
+ */
+function localTime(time) {
+  return new Date(time).toTimeString().slice(0, 8);
+}
+
+/**
+ * 解析行首的时间戳（毫秒），没有时间戳时返回 null
+ *
+ * 只有时间的行按本地时间解释，日期取自日志文件名
+ */
+function parseTimestamp(line, fileDate) {
+  const iso = line.match(ISO_TIMESTAMP);
+  const timeOnly = iso ? null : line.match(TIME_TIMESTAMP);
+
+  let time = NaN;
+  if (iso) {
+    time = Date.parse(`${iso[1]}T${iso[2]}${iso[3] || ''}`);
+  } else if (timeOnly) {
+    time = new Date(`${fileDate}T${timeOnly[1]}`).getTime();
+  }
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * 列出日志目录中的日志文件（按日期从早到晚），目录无法读取时返回 null
+ */
+async function listLogFiles(logDir) {
   try {
-    const content = await fs.readFile(logPath, 'utf-8');
-    const lines = content.split('\n');
-
-    const errors = [];
-    const warnings = [];
-    const errorsByCategory = {};
-
-    for (const line of lines) {
-      // 检查错误模式
-      for (const { pattern, category } of ERROR_PATTERNS) {
-        if (pattern.test(line)) {
-          if (!errorsByCategory[category]) {
-            errorsByCategory[category] = [];
-          }
-
-          // 提取有用信息
-          let message = line.trim();
-
-          // 提取时间戳
-          const timeMatch = line.match(/^(\d{2}:\d{2}:\d{2})/);
-          const timestamp = timeMatch ? timeMatch[1] : '';
-
-          // 提取错误消息
-          const errorMatch = line.match(/Error: (.+?)(?:\n|$)/);
-          if (errorMatch) {
-            message = errorMatch[1];
-          }
-
-          errorsByCategory[category].push({
-            timestamp,
-            message: message.substring(0, 200), // 限制长度
-            fullLine: line.substring(0, 500)
-          });
-
-          errors.push({ category, timestamp, message });
-          break;
-        }
+    const files = await fs.readdir(logDir);
+    return files
+      .map(name => ({ name, match: name.match(LOG_FILE_PATTERN) }))
+      .filter(f => f.match)
+      .map(f => ({ name: f.name, path: path.join(logDir, f.name), date: f.match[1] }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 读取游标状态（文件不存在、无法解析或日志目录变化时返回空状态）
+ *
+ * 结构: { version, logDir, updatedAt, files, events }
+ *   files: { [文件名]: { inode, offset, lastTime } }，lastTime 为读到的最后一个时间戳（用于没有时间戳的行）
+ *   events: 窗口内的错误和路径问题 [{ type: 'error' | 'path', time, file, category?, message }]
+ */
+async function loadCursor(cursorFile, logDir) {
+  const empty = { version: CURSOR_VERSION, logDir, files: {}, events: [] };
+  if (!existsSync(cursorFile)) {
+    return empty;
+  }
+
+  try {
+    const cursor = JSON.parse(await fs.readFile(cursorFile, 'utf-8'));
+    if (!cursor || cursor.version !== CURSOR_VERSION || cursor.logDir !== logDir ||
+        typeof cursor.files !== 'object' || !Array.isArray(cursor.events)) {
+      return empty;
+    }
+    return cursor;
+  } catch {
+    return empty;
+  }
+}
+
+/**
+ * 保存游标状态（先写临时文件再重命名）
+ */
+async function saveCursor(cursorFile, cursor) {
+  await fs.mkdir(path.dirname(cursorFile), { recursive: true });
+  const tmpPath = `${cursorFile}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(cursor));
+  await fs.rename(tmpPath, cursorFile);
+}
+
+/**
+ * 逐块读取日志文件中上次读到的位置之后的完整行，每行调用 onLine(line, read)
+ *
+ * previous 为上次的位置 { inode, offset }（没有时从头读取）。新内容超过 maxBytes 时只读取最后 maxBytes 字节，
+ * 丢弃开头不完整的行；正在写入的文件（growing，最新的日志）最后一行可能不完整，留到下次读取；
+ * 每块之间检查 signal。返回 read: { lines, inode, offset, mtime, reset, skipped }，
+ * reset 表示文件被截断或替换，已从头读取，skipped 为超过 maxBytes 跳过的字节数
+ */
+async function readNewLines(logPath, previous, options, onLine) {
+  const { growing, maxBytes, signal } = options;
+  const handle = await fs.open(logPath, 'r');
+  try {
+    const stat = await handle.stat();
+    const reset = !!previous && (previous.inode !== stat.ino || stat.size < previous.offset);
+    let start = previous && !reset ? previous.offset : 0;
+    const read = { lines: 0, inode: stat.ino, offset: start, mtime: stat.mtimeMs, reset, skipped: 0 };
+
+    // 从保留部分的前一个字节开始读，第一个换行之前的内容（可能不完整的行）丢弃
+    let discard = false;
+    if (stat.size - start > maxBytes) {
+      read.skipped = stat.size - maxBytes - start;
+      start = stat.size - maxBytes - 1;
+      read.offset = start;
+      discard = true;
+    }
+
+    const buffer = Buffer.alloc(Math.min(CHUNK_SIZE, stat.size - start));
+    let pending = [];
+    let position = start;
+
+    while (position < stat.size) {
+      // 超时后停止读取
+      if (signal && signal.aborted) {
+        throw signal.reason;
       }
 
-      // 检查路径问题
-      for (const { pattern, message } of PATH_PATTERNS) {
-        if (pattern.test(line)) {
-          warnings.push({
-            type: 'path_issue',
-            message,
-            line: line.trim()
-          });
+      const { bytesRead } = await handle.read(buffer, 0, Math.min(buffer.length, stat.size - position), position);
+      if (bytesRead === 0) break;
+
+      let from = 0;
+      let newline = buffer.indexOf(0x0a, from);
+      while (newline !== -1 && newline < bytesRead) {
+        const line = pending.length > 0
+          ? Buffer.concat([...pending, buffer.subarray(from, newline)]).toString('utf-8')
+          : buffer.toString('utf-8', from, newline);
+        pending = [];
+
+        if (discard) {
+          discard = false;
+        } else {
+          read.lines++;
+          onLine(line, read);
         }
+        from = newline + 1;
+        read.offset = position + from;
+        newline = buffer.indexOf(0x0a, from);
       }
+
+      // 还没有遇到换行的部分复制出来（buffer 会被下一块覆盖）
+      if (from < bytesRead) pending.push(Buffer.from(buffer.subarray(from, bytesRead)));
+      position += bytesRead;
     }
 
-    return { errors, warnings, errorsByCategory };
-  } catch (error) {
-    return { errors: [], warnings: [], parseError: error.message };
+    // 不再写入的文件，最后一行没有换行也是完整的
+    if (!growing && pending.length > 0 && !discard) {
+      read.lines++;
+      onLine(Buffer.concat(pending).toString('utf-8'), read);
+      read.offset = position;
+    }
+
+    return read;
+  } finally {
+    await handle.close();
   }
 }
 
 /**
- * 获取最新的日志文件
+ * 检查一行日志中的错误模式和路径问题，返回事件列表
  */
-async function getLatestLogFile() {
-  try {
-    const files = await fs.readdir(LOG_DIR);
-    const logFiles = files
-      .filter(f => LOG_FILE_PATTERN.test(f))
-      .map(f => ({
-        name: f,
-        path: path.join(LOG_DIR, f),
-        time: f.match(/clawdbot-(.+)\.log/)?.[1]
-      }))
-      .sort((a, b) => b.time.localeCompare(a.time));
-
-    return logFiles[0]?.path;
-  } catch {
-    return null;
+function analyzeLine(line, time, file, patterns) {
+  const events = [];
+
+  for (const { pattern, category } of patterns.errorPatterns) {
+    if (pattern.test(line)) {
+      // 提取错误消息
+      const errorMatch = line.match(/Error: (.+?)(?:\n|$)/);
+      const message = errorMatch ? errorMatch[1] : line.replace(ISO_TIMESTAMP, '').replace(TIME_TIMESTAMP, '').trim();
+
+      events.push({ type: 'error', time, file, category, message: message.substring(0, 200) });
+      break;
+    }
+  }
+
+  for (const { pattern, message } of patterns.pathPatterns) {
+    if (pattern.test(line)) {
+      events.push({ type: 'path', time, file, message });
+    }
   }
+
+  return events;
+}
+
+/**
+ * 每分钟错误数最多的一分钟，返回 { count, time }（没有错误时返回 null）
+ */
+function peakMinute(errors) {
+  const counts = new Map();
+  for (const error of errors) {
+    const minute = Math.floor(error.time / 60000);
+    counts.set(minute, (counts.get(minute) || 0) + 1);
+  }
+
+  let peak = null;
+  for (const [minute, count] of counts) {
+    if (!peak || count > peak.count) peak = { count, time: minute * 60000 };
+  }
+  return peak;
 }
 
 /**
  * 运行日志分析
  */
 async function run(clawdRoot, options = {}) {
+  const settings = { ...DEFAULTS, ...(options.config || {}) };
+  const errorThresholds = { ...DEFAULTS.errorThresholds, ...settings.errorThresholds };
+  const rateThresholds = { ...DEFAULTS.rateThresholds, ...settings.rateThresholds };
+  const patterns = {
+    errorPatterns: compilePatterns(settings.errorPatterns),
+    pathPatterns: compilePatterns(settings.pathPatterns)
+  };
   const details = [];
   const fixes = [];
 
-  const logPath = await getLatestLogFile();
+  const logFiles = await listLogFiles(settings.logDir);
 
-  if (!logPath) {
+  if (!logFiles || logFiles.length === 0) {
     return {
       status: 'warning',
       message: 'No log files found',
-      details: [{ status: 'warning', message: `Log directory not found or empty: ${LOG_DIR}` }],
+      details: [{ status: 'warning', message: `Log directory not found or empty: ${settings.logDir}` }],
       fix: ['Ensure Clawdbot has run at least once', 'Check log directory permissions']
     };
   }
 
-  details.push({ status: 'pass', message: `Analyzing log: ${path.basename(logPath)}` });
+  const now = Date.now();
+  const since = now - settings.lookbackMinutes * 60000;
 
-  const { errors, warnings, errorsByCategory, parseError } = await parseLogFile(logPath);
+  // 窗口开始那天及之后的日志文件（窗口跨天时包括前一天的文件）
+  const firstDate = localDate(since);
+  const windowFiles = logFiles.filter(f => f.date >= firstDate);
+  const latest = logFiles[logFiles.length - 1];
 
-  if (parseError) {
-    return {
-      status: 'error',
-      message: 'Failed to parse log file',
-      details: [{ status: 'error', message: parseError }]
-    };
-  }
+  const cursor = await loadCursor(settings.cursorFile, settings.logDir);
+  const files = {};
+  let events = cursor.events.filter(e => e.time >= since);
+  let newLines = 0;
 
-  // 统计错误
-  const totalErrors = errors.length;
-  const totalWarnings = warnings.length;
-  const recentErrors = errors.filter(e => {
-    // 简单判断最近1小时的错误
-    if (!e.timestamp) return true;
-    return true; // 日志可能跨天，暂时都算
-  });
+  for (const logFile of windowFiles) {
+    const previous = cursor.files[logFile.name];
+
+    // 没有时间戳的行（例如堆栈）沿用前一个时间戳，文件开头就没有时间戳时使用文件修改时间
+    let lastTime;
+    const fileEvents = [];
+    const onLine = (line, read) => {
+      if (lastTime === undefined) {
+        lastTime = previous && !read.reset ? previous.lastTime : null;
+      }
 
-  details.push({ status: 'info', message: `Found ${totalErrors} errors, ${totalWarnings} warnings` });
+      const time = parseTimestamp(line, logFile.date);
+      if (time !== null) lastTime = time;
 
-  // 按类别汇总
-  for (const [category, categoryErrors] of Object.entries(errorsByCategory)) {
-    if (categoryErrors.length > 0) {
-      const status = categoryErrors.length > 10 ? 'fail' : categoryErrors.length > 3 ? 'warning' : 'pass';
+      const eventTime = lastTime !== null ? lastTime : read.mtime;
+      if (eventTime >= since) {
+        fileEvents.push(...analyzeLine(line, eventTime, logFile.name, patterns));
+      }
+    };
+
+    let read;
+    try {
+      read = await readNewLines(logFile.path, previous, {
+        growing: logFile === latest,
+        maxBytes: settings.maxReadBytes,
+        signal: options.signal
+      }, onLine);
+    } catch (error) {
+      if (options.signal && options.signal.aborted) throw error;
+      return {
+        status: 'error',
+        message: 'Failed to read log file',
+        details: [{ status: 'error', message: `${logFile.name}: ${error.message}` }]
+      };
+    }
+
+    if (read.reset) {
+      // 从头重新读取，丢弃游标中该文件之前记录的事件，避免重复
+      events = events.filter(e => e.file !== logFile.name);
+      details.push({ status: 'info', message: `${logFile.name} was truncated or replaced, reading from the start` });
+    }
+    events.push(...fileEvents);
+    if (read.skipped > 0) {
       details.push({
-        status,
-        message: `${category}: ${categoryErrors.length} occurrence(s)`
+        status: 'info',
+        message: `${logFile.name}: skipped ${(read.skipped / 1024 / 1024).toFixed(1)} MB of older lines (maxReadBytes)`
       });
+    }
+    if (lastTime === undefined) {
+      lastTime = previous && !read.reset ? previous.lastTime : null;
+    }
 
-      // 添加最近的错误示例
-      const recentExample = categoryErrors[categoryErrors.length - 1];
-      if (recentExample) {
-        details.push({
-          status: 'info',
-          message: `  Latest: ${recentExample.message.substring(0, 80)}...`
-        });
-      }
+    newLines += read.lines;
+    files[logFile.name] = { inode: read.inode, offset: read.offset, lastTime };
+  }
 
-      // 根据错误类型提供建议
-      if (category === 'Module Not Found' && categoryErrors.length > 0) {
-        fixes.push('Run npm install in affected skill directories');
-      }
-      if (category === 'Syntax Error') {
-        fixes.push('Fix JavaScript syntax errors in affected files');
-      }
-      if (category === 'Notion Object Not Found') {
-        fixes.push('Check Notion database IDs and integration permissions');
-      }
-      if (category === 'Telegram Error') {
-        fixes.push('Check TELEGRAM_BOT_TOKEN and group chat IDs');
-      }
+  events = events.sort((a, b) => a.time - b.time).slice(-settings.maxEvents);
+
+  // --dry-run 时不移动游标，下次运行仍然读取这些行
+  if (!options.dryRun) {
+    await saveCursor(settings.cursorFile, {
+      version: CURSOR_VERSION,
+      logDir: settings.logDir,
+      updatedAt: new Date(now).toISOString(),
+      files,
+      events
+    }).catch(() => {});
+  }
+
+  if (windowFiles.length === 0) {
+    details.push({
+      status: 'pass',
+      message: `No log written in the last ${settings.lookbackMinutes}m (latest: ${latest.name})`
+    });
+  } else {
+    details.push({
+      status: 'pass',
+      message: `Analyzing log: ${windowFiles.map(f => f.name).join(', ')} (${newLines} new line(s) since last run)`
+    });
+  }
+
+  const errors = events.filter(e => e.type === 'error');
+  const pathIssues = events.filter(e => e.type === 'path');
+
+  // 错误率：窗口内平均值、最近 rateWindowMinutes 分钟的值和峰值（每分钟错误数）
+  const rateWindow = Math.min(settings.rateWindowMinutes, settings.lookbackMinutes);
+  const recentRate = errors.filter(e => e.time >= now - rateWindow * 60000).length / rateWindow;
+  const averageRate = errors.length / settings.lookbackMinutes;
+  const peak = peakMinute(errors);
+
+  details.push({
+    status: 'info',
+    message: `Last ${settings.lookbackMinutes}m: ${errors.length} errors, ${pathIssues.length} path issues, ` +
+      `${averageRate.toFixed(2)} errors/min average` +
+      (peak ? `, peak ${peak.count}/min at ${localTime(peak.time).slice(0, 5)}` : '')
+  });
+
+  // 按类别汇总
+  const errorsByCategory = {};
+  for (const error of errors) {
+    if (!errorsByCategory[error.category]) {
+      errorsByCategory[error.category] = [];
+    }
+    errorsByCategory[error.category].push(error);
+  }
+
+  for (const [category, categoryErrors] of Object.entries(errorsByCategory)) {
+    const status = categoryErrors.length > 10 ? 'fail' : categoryErrors.length > 3 ? 'warning' : 'pass';
+    details.push({
+      status,
+      message: `${category}: ${categoryErrors.length} occurrence(s)`
+    });
+
+    // 添加最近的错误示例
+    const recentExample = categoryErrors[categoryErrors.length - 1];
+    details.push({
+      status: 'info',
+      message: `  Latest (${localTime(recentExample.time)}): ${recentExample.message.substring(0, 80)}...`
+    });
+
+    // 根据错误类型提供建议
+    if (category === 'Module Not Found') {
+      fixes.push('Run npm install in affected skill directories');
+    }
+    if (category === 'Syntax Error') {
+      fixes.push('Fix JavaScript syntax errors in affected files');
+    }
+    if (category === 'Notion Object Not Found') {
+      fixes.push('Check Notion database IDs and integration permissions');
+    }
+    if (category === 'Telegram Error') {
+      fixes.push('Check TELEGRAM_BOT_TOKEN and group chat IDs');
     }
   }
 
-  // 检查路径问题
-  for (const warning of warnings) {
-    details.push({ status: 'warning', message: `Path issue: ${warning.message}` });
-    if (warning.type === 'path_issue' && warning.message.includes('Duplicate')) {
+  // 检查路径问题（同一问题合并）
+  const pathCounts = new Map();
+  for (const issue of pathIssues) {
+    pathCounts.set(issue.message, (pathCounts.get(issue.message) || 0) + 1);
+  }
+  for (const [message, count] of pathCounts) {
+    details.push({ status: 'warning', message: `Path issue: ${message} (${count} occurrence(s))` });
+    if (message.includes('Duplicate')) {
       fixes.push('Fix duplicate "skills" directory in skill paths');
     }
   }
 
   // 特别检查最近的错误率
-  const last100Lines = await getLastNLines(logPath, 100);
-  const recentErrorCount = last100Lines.filter(line =>
-    ERROR_PATTERNS.some(({ pattern }) => pattern.test(line))
-  ).length;
-
-  if (recentErrorCount > 20) {
-    details.push({ status: 'fail', message: `High error rate: ${recentErrorCount}% in recent logs` });
+  const rateLabel = `${recentRate.toFixed(1)} errors/min in the last ${rateWindow}m`;
+  if (recentRate > rateThresholds.fail) {
+    details.push({ status: 'fail', message: `High error rate: ${rateLabel}` });
+  } else if (recentRate > rateThresholds.warning) {
+    details.push({ status: 'warning', message: `Elevated error rate: ${rateLabel}` });
   }
 
   // 确定状态
   let status = 'pass';
-  if (totalErrors > 50 || recentErrorCount > 20) {
+  if (errors.length > errorThresholds.fail || recentRate > rateThresholds.fail) {
     status = 'fail';
-  } else if (totalErrors > 10 || recentErrorCount > 5) {
+  } else if (errors.length > errorThresholds.warning || recentRate > rateThresholds.warning) {
     status = 'warning';
   }
 
   return {
     status,
-    message: `Log analysis: ${totalErrors} errors found, ${recentErrorCount}% recent error rate`,
+    message: `Log analysis: ${errors.length} errors in the last ${settings.lookbackMinutes}m, ` +
+      `${recentRate.toFixed(1)} errors/min recent rate`,
     details,
     fix: fixes.length > 0 ? fixes : undefined
   };
 }
 
-/**
- * 获取日志文件的最后 N 行
- */
-async function getLastNLines(logPath, n) {
-  try {
-    const content = await fs.readFile(logPath, 'utf-8');
-    return content.split('\n').slice(-n);
-  } catch {
-    return [];
-  }
-}
-
-module.exports = { run };
+module.exports = {
+  id: 'logs',
+  title: 'Logs Analysis',
+  description: '增量分析最近一段时间的日志，检测错误模式和错误率',
+  tier: 'full',
+  order: 40,
+  timeout: 60000,
+  tags: ['logs'],
+  defaults: DEFAULTS,
+  configSchema: CONFIG_SCHEMA,
+  run
+};
@@ -0,0 +1,542 @@
+/**
+ * 🧭 模块解析检查
+ * 从各 skill 的 scripts/ 入口文件出发，静态解析每个 require()/import，
+ * 报告无法解析的模块、不存在的相对路径文件，以及使用了但未在 package.json 中声明的依赖
+ *
+ * 只解析字符串字面量形式的模块名；相对路径引入的文件会继续被检查（不进入 node_modules）
+ */
+
+const { existsSync } = require('fs');
+const fs = require('fs').promises;
+const { builtinModules } = require('module');
+const path = require('path');
+
+const syntaxCheck = require('./syntax');
+
+// 内置模块（module.isBuiltin 需要 Node 18.6+）
+const BUILTIN_MODULES = new Set(builtinModules.map(name => name.replace(/^node:/, '')));
+
+// require() 按顺序尝试的扩展名（与 Node 一致）
+const RESOLVE_EXTENSIONS = ['.js', '.json', '.node'];
+
+// 默认配置（可在配置文件 checks.modules 中覆盖）
+const DEFAULTS = {
+  // 每个 skill 中作为入口的目录（相对 skills/<skill>/）
+  entryDirs: ['scripts'],
+
+  // 入口目录中检查的文件类型
+  extensions: ['.js', '.mjs', '.cjs'],
+
+  // 不检查的模块（例如运行环境提供的模块），可以是包名或完整的模块名
+  ignoreModules: [],
+
+  // 超过该大小（字节）的文件不检查
+  maxFileSize: 2 * 1024 * 1024
+};
+
+const CONFIG_SCHEMA = {
+  entryDirs: { type: 'array', items: { type: 'string' } },
+  extensions: { type: 'array', items: { type: 'string' } },
+  ignoreModules: { type: 'array', items: { type: 'string' } },
+  maxFileSize: { type: 'integer', minimum: 1 }
+};
+
+/**
+ * 字符串字面量或没有表达式的模板字符串的值，其他情况返回 null
+ */
+function stringValue(node) {
+  if (!node) return null;
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+/**
+ * 收集 AST 中的模块引用
+ *
+ * 返回 { imports: [{ specifier, kind, line, column, optional }], dynamic }
+ * kind: require、import（静态 import/export from）或 dynamic（import()）；
+ * optional: 位于 try 块中（可选依赖，找不到时不算失败）；dynamic: 模块名不是字面量、无法静态检查的数量
+ */
+function collectImports(ast) {
+  const imports = [];
+  let dynamic = 0;
+
+  const add = (source, kind, optional) => {
+    const specifier = stringValue(source);
+    if (specifier === null) {
+      dynamic++;
+      return;
+    }
+    imports.push({ specifier, kind, line: source.loc.start.line, column: source.loc.start.column + 1, optional });
+  };
+
+  const walk = (node, optional) => {
+    if (!node || typeof node.type !== 'string') return;
+
+    switch (node.type) {
+      case 'ImportDeclaration':
+      case 'ExportAllDeclaration':
+        add(node.source, 'import', optional);
+        return;
+      case 'ExportNamedDeclaration':
+        if (node.source) {
+          add(node.source, 'import', optional);
+          return;
+        }
+        break;
+      case 'ImportExpression':
+        add(node.source, 'dynamic', optional);
+        break;
+      case 'CallExpression': {
+        const callee = node.callee;
+        const isRequire = callee.type === 'Identifier' && callee.name === 'require';
+        const isResolve = callee.type === 'MemberExpression' && !callee.computed &&
+          callee.object.type === 'Identifier' && callee.object.name === 'require' &&
+          callee.property.name === 'resolve';
+        if ((isRequire || isResolve) && node.arguments.length > 0) {
+          add(node.arguments[0], 'require', optional);
+        }
+        break;
+      }
+      case 'TryStatement':
+        walk(node.block, true);
+        walk(node.handler, optional);
+        walk(node.finalizer, optional);
+        return;
+    }
+
+    for (const key of Object.keys(node)) {
+      if (key === 'loc') continue;
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach(child => walk(child, optional));
+      } else if (value && typeof value === 'object') {
+        walk(value, optional);
+      }
+    }
+  };
+
+  walk(ast, false);
+  return { imports, dynamic };
+}
+
+/**
+ * 文件状态（不存在时返回 null）
+ */
+async function statOf(target) {
+  try {
+    return await fs.stat(target);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 读取 package.json（不存在或格式错误时返回 null）
+ */
+async function readManifest(dir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, 'package.json'), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 解析文件（原路径或补全扩展名）
+ */
+async function resolveFile(target) {
+  for (const candidate of [target, ...RESOLVE_EXTENSIONS.map(ext => target + ext)]) {
+    const stat = await statOf(candidate);
+    if (stat && stat.isFile()) return candidate;
+  }
+  return null;
+}
+
+/**
+ * 目录下的 index.js / index.json / index.node
+ */
+async function resolveIndex(dir) {
+  return resolveFile(path.join(dir, 'index'));
+}
+
+/**
+ * 按 require() 的规则解析文件或目录（package.json 的 main，再到 index 文件），返回文件路径或 null
+ */
+async function resolvePath(target) {
+  const file = await resolveFile(target);
+  if (file) return file;
+
+  const manifest = await readManifest(target);
+  if (manifest && typeof manifest.main === 'string') {
+    const main = path.join(target, manifest.main);
+    const resolved = await resolveFile(main) || await resolveIndex(main);
+    if (resolved) return resolved;
+  }
+  return resolveIndex(target);
+}
+
+/**
+ * 是否为内置模块（node: 前缀只能指向内置模块）
+ */
+function isBuiltin(specifier) {
+  return specifier.startsWith('node:') || BUILTIN_MODULES.has(specifier);
+}
+
+/**
+ * 模块名中的包名（@scope/name 或 name）
+ */
+function packageName(specifier) {
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * 从文件所在目录向上查找 node_modules 中的包目录
+ */
+function findPackageDir(fromDir, name) {
+  let dir = fromDir;
+
+  while (true) {
+    const candidate = path.join(dir, 'node_modules', name);
+    if (existsSync(candidate)) return candidate;
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * 查找文件所属的 package.json（不超出 clawd 根目录），返回 { dir, manifest } 或 null
+ */
+async function findManifest(filePath, clawdRoot, cache) {
+  let dir = path.dirname(filePath);
+
+  while (true) {
+    if (cache.has(dir)) return cache.get(dir);
+
+    if (existsSync(path.join(dir, 'package.json'))) {
+      const manifest = await readManifest(dir);
+      const result = manifest ? { dir, manifest } : null;
+      cache.set(dir, result);
+      return result;
+    }
+
+    const parent = path.dirname(dir);
+    if (dir === clawdRoot || parent === dir || !dir.startsWith(clawdRoot)) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * package.json 中声明的包名
+ */
+function declaredPackages(manifest) {
+  const declared = new Set();
+  for (const field of ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies']) {
+    Object.keys(manifest[field] || {}).forEach(name => declared.add(name));
+  }
+  // 包可以引用自身的 exports
+  if (manifest.name) declared.add(manifest.name);
+  return declared;
+}
+
+/**
+ * 解析单个模块引用
+ *
+ * 返回 { status: 'resolved', file? } 或 { status: 'missing-file' | 'missing-package' | 'needs-extension', ... }
+ * ES module（import 和 import()）的相对路径必须写完整，不会补全扩展名或查找 index 文件
+ */
+async function resolveImport(entry, fromFile) {
+  const { specifier, kind } = entry;
+  const esm = kind !== 'require';
+
+  if (specifier.startsWith('./') || specifier.startsWith('../') || specifier === '.' || specifier === '..' || path.isAbsolute(specifier)) {
+    const target = path.resolve(path.dirname(fromFile), specifier);
+    const resolved = await resolvePath(target);
+    if (!resolved) return { status: 'missing-file' };
+
+    if (esm) {
+      const stat = await statOf(target);
+      if (!stat || !stat.isFile()) {
+        const suggestion = path.relative(path.dirname(fromFile), resolved).split(path.sep).join('/');
+        return { status: 'needs-extension', suggestion: suggestion.startsWith('../') ? suggestion : `./${suggestion}` };
+      }
+    }
+    return { status: 'resolved', file: resolved };
+  }
+
+  // 包的 imports 映射（#internal）由 Node 解析，这里不检查
+  if (specifier.startsWith('#')) {
+    return { status: 'resolved' };
+  }
+
+  const name = packageName(specifier);
+  const packageDir = findPackageDir(path.dirname(fromFile), name);
+  if (!packageDir) return { status: 'missing-package', name };
+
+  const manifest = await readManifest(packageDir);
+  // 有 exports 映射的包由 Node 按映射解析，静态检查只确认包已安装
+  if (manifest && manifest.exports !== undefined) {
+    return { status: 'resolved', name };
+  }
+
+  const subpath = specifier.slice(name.length);
+  const resolved = await resolvePath(subpath ? path.join(packageDir, subpath) : packageDir);
+  return resolved ? { status: 'resolved', name } : { status: 'missing-package', name, installed: true };
+}
+
+/**
+ * 列出入口目录中的文件（跳过 node_modules）
+ */
+async function listEntries(dir, extensions) {
+  const files = [];
+
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return files;
+  }
+
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+      files.push(...await listEntries(fullPath, extensions));
+    } else if (extensions.includes(path.extname(entry.name))) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * 运行模块解析检查
+ */
+async function run(clawdRoot, options = {}) {
+  const root = path.resolve(clawdRoot);
+  const settings = { ...DEFAULTS, ...(options.config || {}) };
+  const details = [];
+  const fixes = [];
+  const ignored = new Set(settings.ignoreModules);
+  const manifestCache = new Map();
+  const packageCache = new Map();
+  const visited = new Set();
+  let files = 0;
+  let references = 0;
+  let unresolved = 0;
+  let undeclared = 0;
+  let dynamic = 0;
+  let skipped = 0;
+
+  // 需要 npm install 的目录，以及需要声明的包（按 package.json 所在目录）
+  const installDirs = new Set();
+  const undeclaredByDir = new Map();
+  let missingFiles = 0;
+
+  const addUndeclared = (owner, name) => {
+    if (!owner) return;
+    if (!undeclaredByDir.has(owner.dir)) undeclaredByDir.set(owner.dir, new Set());
+    undeclaredByDir.get(owner.dir).add(name);
+  };
+
+  const relative = (file) => path.relative(root, file).split(path.sep).join('/');
+
+  /**
+   * 检查单个文件，返回相对路径引入的 JavaScript 文件
+   */
+  const checkFile = async (filePath) => {
+    if (options.signal && options.signal.aborted) {
+      throw options.signal.reason;
+    }
+
+    const stat = await statOf(filePath);
+    if (!stat || stat.size > settings.maxFileSize) return [];
+
+    const sourceType = await syntaxCheck.sourceTypeOf(filePath, packageCache);
+    if (sourceType === 'json') return [];
+
+    let ast;
+    try {
+      ast = syntaxCheck.parseProgram(await fs.readFile(filePath, 'utf-8'), sourceType);
+    } catch {
+      // 语法错误由 Syntax 检查报告
+      skipped++;
+      return [];
+    }
+
+    files++;
+    const collected = collectImports(ast);
+    dynamic += collected.dynamic;
+
+    const owner = await findManifest(filePath, root, manifestCache);
+    const declared = owner ? declaredPackages(owner.manifest) : new Set();
+    const manifestName = owner ? `${relative(owner.dir) || '.'}/package.json` : null;
+    const next = [];
+
+    for (const entry of collected.imports) {
+      if (isBuiltin(entry.specifier)) continue;
+      if (ignored.has(entry.specifier) || ignored.has(packageName(entry.specifier))) continue;
+
+      references++;
+      const result = await resolveImport(entry, filePath);
+      const where = `${relative(filePath)}:${entry.line}:${entry.column}`;
+      const location = { file: relative(filePath), line: entry.line, column: entry.column };
+
+      if (result.status === 'resolved') {
+        if (result.file && syntaxCheck.shouldCheck(result.file, { extensions: settings.extensions }) &&
+            !result.file.split(path.sep).includes('node_modules') && result.file.startsWith(root + path.sep)) {
+          next.push(result.file);
+        }
+        if (result.name && !declared.has(result.name)) {
+          undeclared++;
+          details.push({
+            status: 'warning',
+            message: `${where}: '${result.name}' is used but not declared in ${manifestName || 'any package.json'}`,
+            ...location
+          });
+          addUndeclared(owner, result.name);
+        }
+        continue;
+      }
+
+      if (result.status === 'needs-extension') {
+        unresolved++;
+        missingFiles++;
+        details.push({
+          status: 'fail',
+          message: `${where}: Cannot find module '${entry.specifier}' (ES module imports need the full path: '${result.suggestion}')`,
+          ...location
+        });
+        continue;
+      }
+
+      let reason;
+      if (result.status === 'missing-file') {
+        reason = 'file not found';
+      } else if (result.installed) {
+        reason = `package '${result.name}' is installed but has no such entry`;
+      } else if (declared.has(result.name)) {
+        reason = `declared in ${manifestName} but not installed`;
+        installDirs.add(owner.dir);
+      } else {
+        reason = `not installed and not declared in ${manifestName || 'any package.json'}`;
+      }
+
+      if (entry.optional) {
+        // try/catch 中的 require() 通常是可选依赖
+        details.push({ status: 'info', message: `${where}: Optional module '${entry.specifier}' not found (${reason})`, ...location });
+        continue;
+      }
+
+      if (result.status === 'missing-package' && !result.installed && !declared.has(result.name)) {
+        addUndeclared(owner, result.name);
+      }
+
+      unresolved++;
+      if (result.status === 'missing-file') missingFiles++;
+      details.push({ status: 'fail', message: `${where}: Cannot find module '${entry.specifier}' (${reason})`, ...location });
+    }
+
+    return next;
+  };
+
+  // 遍历各 skill 的入口文件，以及它们通过相对路径引入的文件
+  const skillsDir = path.join(root, 'skills');
+  let skills = [];
+  try {
+    skills = (await fs.readdir(skillsDir, { withFileTypes: true }))
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort();
+  } catch (error) {
+    details.push({ status: 'warning', message: `Could not read skills: ${error.message}` });
+  }
+
+  let skillsChecked = 0;
+  for (const skill of skills) {
+    const queue = [];
+    for (const entryDir of settings.entryDirs) {
+      queue.push(...await listEntries(path.join(skillsDir, skill, entryDir), settings.extensions));
+    }
+    if (queue.length === 0) continue;
+
+    skillsChecked++;
+    const before = details.filter(detail => detail.status === 'fail' || detail.status === 'warning').length;
+    while (queue.length > 0) {
+      const filePath = queue.shift();
+      if (visited.has(filePath)) continue;
+      visited.add(filePath);
+      queue.push(...await checkFile(filePath));
+    }
+
+    const issues = details.filter(detail => detail.status === 'fail' || detail.status === 'warning').length - before;
+    if (issues === 0) {
+      details.push({ status: 'pass', message: `${skill}: all modules resolved` });
+    }
+  }
+
+  if (dynamic > 0) {
+    details.push({ status: 'info', message: `${dynamic} dynamic require()/import() with non-literal module names not checked` });
+  }
+  if (skipped > 0) {
+    details.push({ status: 'info', message: `${skipped} file(s) with syntax errors skipped (see Syntax Check)` });
+  }
+
+  for (const dir of installDirs) {
+    fixes.push({
+      title: `Install dependencies (${relative(dir) || 'clawd root'})`,
+      command: 'npm',
+      args: ['install'],
+      cwd: dir,
+      risk: 'medium'
+    });
+  }
+  for (const [dir, names] of undeclaredByDir) {
+    fixes.push({
+      title: `Declare ${[...names].join(', ')} in ${relative(dir) || '.'}/package.json`,
+      command: 'npm',
+      args: ['install', '--save', ...names],
+      cwd: dir,
+      risk: 'medium'
+    });
+  }
+  if (missingFiles > 0) {
+    fixes.push('Fix the relative imports listed above (file moved, renamed or missing extension)');
+  }
+
+  // 确定状态
+  let status = 'pass';
+  if (unresolved > 0) {
+    status = 'fail';
+  } else if (undeclared > 0 || skillsChecked === 0) {
+    status = 'warning';
+  }
+
+  const summary = [`${unresolved} unresolved`];
+  if (undeclared > 0) summary.push(`${undeclared} undeclared`);
+
+  return {
+    status,
+    message: `Modules: ${references} module reference(s) in ${files} file(s), ${summary.join(', ')}`,
+    details,
+    fix: fixes.length > 0 ? fixes : undefined
+  };
+}
+
+module.exports = {
+  id: 'modules',
+  title: 'Module Resolution Check',
+  description: '检查 skill 脚本中的 require()/import 能否解析，以及依赖是否在 package.json 中声明',
+  tier: 'quick',
+  order: 35,
+  timeout: 60000,
+  tags: ['dependencies', 'code'],
+  defaults: DEFAULTS,
+  configSchema: CONFIG_SCHEMA,
+  run
+};
@@ -1,144 +1,534 @@
 /**
- * 📝 JavaScript 语法检查
- * 检查关键脚本是否有语法错误
+ * 📝 JavaScript / JSON 语法检查
+ * 在进程内用 acorn 解析 .js/.mjs/.cjs，用 JSON.parse 解析 .json，报告错误的行、列和代码片段
+ *
+ * 解析结果按文件内容哈希缓存在 cacheFile 中，未修改的文件不会重新解析
  */
 
+const acorn = require('acorn');
+const crypto = require('crypto');
+const { existsSync } = require('fs');
 const fs = require('fs').promises;
 const path = require('path');
-const { existsSync } = require('fs');
 
-// 需要检查的关键文件
-const CRITICAL_FILES = [
-  'scripts/notion-heartbeat.js',
-  'skills/notion-persistence-universal/scripts/save-content.js',
-  'skills/telegram-notification/scripts/notify-group.js',
-  'skills/event-coordinator/scripts/coordinate.js'
-];
+const CACHE_VERSION = 1;
+
+// 缓存随解析器版本失效
+const PARSER = `acorn@${acorn.version}`;
+
+// 默认配置（可在配置文件 checks.syntax 中覆盖）
+const DEFAULTS = {
+  // 需要检查的关键文件（不存在时警告）
+  criticalFiles: [
+    'scripts/notion-heartbeat.js',
+    'skills/notion-persistence-universal/scripts/save-content.js',
+    'skills/telegram-notification/scripts/notify-group.js',
+    'skills/event-coordinator/scripts/coordinate.js'
+  ],
+
+  // 额外扫描的文件模式（相对 clawd 根目录，支持 * 和 **）
+  scanPatterns: ['scripts/**', 'skills/**'],
+
+  // 检查的文件类型
+  extensions: ['.js', '.mjs', '.cjs', '.json'],
+
+  // 不检查的文件（tsconfig 等允许注释的 JSON 也在此排除）
+  ignore: ['**/node_modules/**', '**/.git/**', '**/tsconfig*.json', '**/jsconfig*.json', '**/.vscode/**'],
+
+  // 额外扫描的最大文件数（0 表示不限制）
+  maxAdditionalFiles: 0,
+
+  // 超过该大小（字节）的文件不检查
+  maxFileSize: 2 * 1024 * 1024,
+
+  // 解析结果缓存
+  cacheFile: '/tmp/clawdbot/health-check-syntax-cache.json'
+};
 
-// 需要检查的目录模式
-const CHECK_PATTERNS = [
-  'skills/*/scripts/*.js',
-  'scripts/*.js'
-];
+const CONFIG_SCHEMA = {
+  criticalFiles: { type: 'array', items: { type: 'string' } },
+  scanPatterns: { type: 'array', items: { type: 'string' } },
+  extensions: { type: 'array', items: { type: 'string' } },
+  ignore: { type: 'array', items: { type: 'string' } },
+  maxAdditionalFiles: { type: 'integer', minimum: 0 },
+  maxFileSize: { type: 'integer', minimum: 1 },
+  cacheFile: { type: 'string' }
+};
 
 /**
- * 使用 Node.js 检查单个文件的语法
+ * 将文件模式转换为正则（* 不跨目录，** 匹配任意层目录）
  */
-async function checkFileSyntax(filePath) {
-  return new Promise((resolve) => {
-    const proc = spawn('node', ['--check', filePath], {
-      stdio: ['ignore', 'pipe', 'pipe']
-    });
+function globToRegExp(pattern) {
+  let source = '';
 
-    let stdout = '';
-    let stderr = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
 
-    proc.stdout.on('data', (data) => { stdout += data.toString(); });
-    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+  return new RegExp(`^${source}$`);
+}
 
-    proc.on('close', (code) => {
-      if (code === 0) {
-        resolve({ status: 'pass', message: path.basename(filePath) });
-      } else {
-        // 解析错误信息
-        const errorMatch = stderr.match(/(\w+\.js):(\d+)/);
-        const location = errorMatch ? `${errorMatch[1]}:${errorMatch[2]}` : filePath;
-
-        resolve({
-          status: 'fail',
-          message: `${location}: ${stderr.split('\n').find(l => l.includes('Error'))?.trim() || 'Syntax error'}`,
-          error: stderr.trim()
-        });
+/**
+ * 模式中第一个通配符之前的目录（从这里开始遍历）
+ */
+function baseDir(pattern) {
+  const segments = pattern.split('/');
+  const index = segments.findIndex(segment => /[*?]/.test(segment));
+  return index === -1 ? path.dirname(pattern) : segments.slice(0, index).join('/');
+}
+
+/**
+ * 查找匹配模式的文件（相对 clawd 根目录的路径）
+ */
+async function findFiles(clawdRoot, settings) {
+  const patterns = settings.scanPatterns.map(globToRegExp);
+  const ignore = settings.ignore.map(globToRegExp);
+  const isIgnored = (relative) => ignore.some(regex => regex.test(relative));
+  const files = new Set();
+  const visited = new Set();
+
+  const walk = async (relativeDir) => {
+    const fullDir = path.join(clawdRoot, relativeDir);
+    let realDir;
+    try {
+      realDir = await fs.realpath(fullDir);
+    } catch {
+      return;
+    }
+    // 避免符号链接造成循环
+    if (visited.has(realDir)) return;
+    visited.add(realDir);
+
+    const entries = await fs.readdir(fullDir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      const relative = relativeDir && relativeDir !== '.' ? `${relativeDir}/${entry.name}` : entry.name;
+      let isDirectory = entry.isDirectory();
+      let isFile = entry.isFile();
+
+      if (entry.isSymbolicLink()) {
+        const stat = await fs.stat(path.join(fullDir, entry.name)).catch(() => null);
+        isDirectory = Boolean(stat && stat.isDirectory());
+        isFile = Boolean(stat && stat.isFile());
       }
-    });
 
-    proc.on('error', (err) => {
-      resolve({ status: 'error', message: `Failed to check ${filePath}: ${err.message}` });
-    });
-  });
+      if (isDirectory) {
+        // 以 / 结尾时 **/node_modules/** 之类的模式可以匹配目录本身
+        if (!isIgnored(`${relative}/`)) await walk(relative);
+      } else if (isFile &&
+        settings.extensions.includes(path.extname(entry.name)) &&
+        patterns.some(regex => regex.test(relative)) &&
+        !isIgnored(relative)) {
+        files.add(relative);
+      }
+    }
+  };
+
+  for (const dir of new Set(settings.scanPatterns.map(baseDir))) {
+    await walk(dir);
+  }
+
+  return [...files].sort();
 }
 
 /**
- * 查找匹配模式的文件
+ * 文件类型在 extensions 中且不在 ignore 中（供 git hooks 过滤暂存的文件）
  */
-async function findFilesByPattern(rootDir, pattern) {
-  const { glob } = require('glob');
-  return new Promise((resolve, reject) => {
-    glob(pattern, { cwd: rootDir, absolute: true }, (err, files) => {
-      if (err) reject(err);
-      else resolve(files);
-    });
+function shouldCheck(relativePath, config = {}) {
+  const settings = { ...DEFAULTS, ...config };
+  return settings.extensions.includes(path.extname(relativePath)) &&
+    !settings.ignore.some(pattern => globToRegExp(pattern).test(relativePath));
+}
+
+/**
+ * 判断 .js 文件按 ES module 还是 CommonJS 解析（最近的 package.json 的 type 字段）
+ */
+async function packageType(fullPath, cache) {
+  let dir = path.dirname(fullPath);
+
+  while (true) {
+    if (cache.has(dir)) return cache.get(dir);
+
+    const manifest = path.join(dir, 'package.json');
+    if (existsSync(manifest)) {
+      let type = 'script';
+      try {
+        type = JSON.parse(await fs.readFile(manifest, 'utf-8')).type === 'module' ? 'module' : 'script';
+      } catch {
+        // package.json 本身的错误由 JSON 检查报告
+      }
+      cache.set(dir, type);
+      return type;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return 'script';
+    dir = parent;
+  }
+}
+
+/**
+ * 文件的解析方式：json、module 或 script
+ */
+async function sourceTypeOf(fullPath, packageCache = new Map()) {
+  const ext = path.extname(fullPath);
+  if (ext === '.json') return 'json';
+  if (ext === '.mjs') return 'module';
+  if (ext === '.cjs') return 'script';
+  return packageType(fullPath, packageCache);
+}
+
+/**
+ * 根据字符位置计算行号和列号（从 1 开始）
+ */
+function positionToLocation(source, position) {
+  const before = source.slice(0, position).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * 找出 JSON 文本中第一个语法错误的字符位置（文本合法时返回 -1）
+ *
+ * V8 的错误消息格式随版本变化（Node 20+ 的常见错误没有 "at position"），因此按 JSON 语法自行扫描，
+ * 返回无法继续解析的位置
+ */
+function jsonErrorOffset(text) {
+  const invalid = new Error('Invalid JSON');
+  const NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+  let pos = 0;
+
+  const space = () => {
+    while (pos < text.length && ' \t\n\r'.includes(text[pos])) pos++;
+  };
+
+  const expect = (literal) => {
+    for (const char of literal) {
+      if (text[pos] !== char) throw invalid;
+      pos++;
+    }
+  };
+
+  const string = () => {
+    expect('"');
+    while (true) {
+      const char = text[pos];
+      if (char === undefined || char < ' ') throw invalid;
+      pos++;
+      if (char === '"') return;
+      if (char === '\\') {
+        const escape = text[pos];
+        if (escape === 'u') {
+          for (let i = 1; i <= 4; i++) {
+            if (!/[0-9a-fA-F]/.test(text[pos + i] || '')) {
+              pos += i;
+              throw invalid;
+            }
+          }
+          pos += 5;
+        } else if (escape !== undefined && '"\\/bfnrt'.includes(escape)) {
+          pos++;
+        } else {
+          throw invalid;
+        }
+      }
+    }
+  };
+
+  const value = () => {
+    space();
+    const char = text[pos];
+
+    if (char === '{' || char === '[') {
+      const close = char === '{' ? '}' : ']';
+      pos++;
+      space();
+      if (text[pos] === close) {
+        pos++;
+        return;
+      }
+      while (true) {
+        if (close === '}') {
+          space();
+          string();
+          space();
+          expect(':');
+        }
+        value();
+        space();
+        if (text[pos] !== ',') break;
+        pos++;
+      }
+      expect(close);
+    } else if (char === '"') {
+      string();
+    } else if (char === 't' || char === 'f' || char === 'n') {
+      expect(char === 't' ? 'true' : char === 'f' ? 'false' : 'null');
+    } else {
+      NUMBER.lastIndex = pos;
+      if (!NUMBER.test(text)) throw invalid;
+      pos = NUMBER.lastIndex;
+    }
+  };
+
+  try {
+    value();
+    space();
+    if (pos < text.length) throw invalid;
+    return -1;
+  } catch (error) {
+    // 嵌套过深时返回已扫描到的位置
+    if (error !== invalid && !(error instanceof RangeError)) throw error;
+    return Math.min(pos, text.length);
+  }
+}
+
+/**
+ * 用 acorn 解析 JavaScript 源码，返回 AST（语法错误时抛出 SyntaxError）
+ *
+ * sourceType: module 或 script
+ */
+function parseProgram(source, sourceType) {
+  const parse = (type) => acorn.parse(source, {
+    ecmaVersion: 'latest',
+    sourceType: type,
+    allowHashBang: true,
+    locations: true,
+    // CommonJS 模块被包在函数中执行
+    allowReturnOutsideFunction: type === 'script'
   });
+
+  try {
+    return parse(sourceType);
+  } catch (error) {
+    // 没有 "type": "module" 但使用 import/export 的 .js 文件按 ES module 再解析一次
+    if (sourceType !== 'script' || !/sourceType: module/.test(error.message)) throw error;
+    return parse('module');
+  }
+}
+
+/**
+ * 解析源码，返回 null（没有错误）或 { message, line, column }
+ *
+ * sourceType: json、module 或 script
+ */
+function parseSource(source, sourceType) {
+  if (sourceType === 'json') {
+    try {
+      JSON.parse(source.replace(/^\uFEFF/, ''));
+      return null;
+    } catch (error) {
+      const text = source.replace(/^\uFEFF/, '');
+      const offset = jsonErrorOffset(text);
+      const location = positionToLocation(text, offset === -1 ? text.length : offset);
+      return { message: error.message.replace(/ (?:in JSON )?at position \d+.*$/, ''), ...location };
+    }
+  }
+
+  try {
+    parseProgram(source, sourceType);
+    return null;
+  } catch (error) {
+    if (!(error instanceof SyntaxError) || !error.loc) throw error;
+    return {
+      message: error.message.replace(/ \(\d+:\d+\)$/, ''),
+      line: error.loc.line,
+      column: error.loc.column + 1
+    };
+  }
+}
+
+/**
+ * 生成错误位置附近的代码片段（超长行只显示错误列附近的部分）
+ */
+function codeFrame(source, line, column, context = 2) {
+  if (!line) return undefined;
+
+  const lines = source.split(/\r?\n/);
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+  const start = Math.max(1, line - context);
+  const end = Math.min(lines.length, line + context);
+  const width = String(end).length;
+  const offset = Math.max(0, (column || 1) - 60);
+  const frame = [];
+
+  for (let n = start; n <= end; n++) {
+    const text = (lines[n - 1] || '').slice(offset, offset + 120);
+    frame.push(`${n === line ? '>' : ' '} ${String(n).padStart(width)} | ${text}`);
+
+    if (n === line && column) {
+      // 保留制表符，让 ^ 与错误列对齐
+      const padding = (lines[n - 1] || '').slice(offset, column - 1).replace(/[^\t]/g, ' ');
+      frame.push(`  ${' '.repeat(width)} | ${padding}^`);
+    }
+  }
+
+  return frame.join('\n');
+}
+
+/**
+ * 检查源码语法（供 git hooks 检查暂存区中的内容）
+ *
+ * filePath 用于判断解析方式；返回 null 或 { message, line, column, frame }
+ */
+async function checkSource(source, filePath) {
+  const error = parseSource(source, await sourceTypeOf(filePath));
+  return error ? { ...error, frame: codeFrame(source, error.line, error.column) } : null;
+}
+
+/**
+ * 读取缓存（解析器版本不同或无法读取时返回空缓存）
+ */
+async function loadCache(cacheFile) {
+  try {
+    if (existsSync(cacheFile)) {
+      const cache = JSON.parse(await fs.readFile(cacheFile, 'utf-8'));
+      if (cache && cache.version === CACHE_VERSION && cache.parser === PARSER && cache.files) {
+        return cache.files;
+      }
+    }
+  } catch {
+    // 缓存损坏时重新解析
+  }
+  return {};
+}
+
+/**
+ * 保存缓存（先写临时文件再重命名）
+ */
+async function saveCache(cacheFile, files) {
+  await fs.mkdir(path.dirname(cacheFile), { recursive: true });
+  const tmpPath = `${cacheFile}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify({ version: CACHE_VERSION, parser: PARSER, files }));
+  await fs.rename(tmpPath, cacheFile);
 }
 
 /**
  * 运行语法检查
  */
-async function run(clawdRoot) {
+async function run(clawdRoot, options = {}) {
+  const settings = { ...DEFAULTS, ...(options.config || {}) };
   const details = [];
   const errors = [];
   const fixes = [];
   let checked = 0;
   let passed = 0;
   let failed = 0;
+  let cached = 0;
+
+  const cache = await loadCache(settings.cacheFile);
+  const nextCache = {};
+  const packageCache = new Map();
+
+  /**
+   * 检查单个文件（相对路径），返回 null 或错误
+   */
+  const checkFile = async (relativePath) => {
+    if (options.signal && options.signal.aborted) {
+      throw options.signal.reason;
+    }
 
-  // 检查关键文件
-  for (const relativePath of CRITICAL_FILES) {
     const fullPath = path.join(clawdRoot, relativePath);
+    let source;
+    try {
+      source = await fs.readFile(fullPath, 'utf-8');
+    } catch (error) {
+      details.push({ status: 'warning', message: `Could not read ${relativePath}: ${error.message}`, file: relativePath });
+      return null;
+    }
+    const sourceType = await sourceTypeOf(fullPath, packageCache);
+    const hash = crypto.createHash('sha1').update(source).digest('hex');
 
-    if (!existsSync(fullPath)) {
-      details.push({ status: 'warning', message: `${relativePath} not found` });
-      continue;
+    let error;
+    const entry = cache[fullPath];
+    if (entry && entry.hash === hash && entry.sourceType === sourceType) {
+      error = entry.error;
+      cached++;
+    } else {
+      error = parseSource(source, sourceType);
     }
+    nextCache[fullPath] = { hash, sourceType, error };
 
     checked++;
-    const result = await checkFileSyntax(fullPath);
-
-    if (result.status === 'pass') {
+    if (!error) {
       passed++;
-      details.push({ status: 'pass', message: `${relativePath}: OK` });
+      return null;
+    }
+
+    failed++;
+    const location = error.line ? `:${error.line}:${error.column}` : '';
+    const message = `${relativePath}${location}: ${error.message}`;
+    details.push({
+      status: 'fail',
+      message,
+      file: relativePath,
+      line: error.line,
+      column: error.column,
+      frame: codeFrame(source, error.line, error.column)
+    });
+    errors.push(message);
+    return error;
+  };
+
+  // 检查关键文件
+  for (const relativePath of settings.criticalFiles) {
+    if (!existsSync(path.join(clawdRoot, relativePath))) {
+      details.push({ status: 'warning', message: `${relativePath} not found` });
+      continue;
+    }
+
+    const error = await checkFile(relativePath);
+    if (error) {
+      fixes.push(`Fix syntax error in ${relativePath}${error.line ? ` at line ${error.line}` : ''}`);
     } else {
-      failed++;
-      details.push({ status: 'fail', message: result.message });
-      errors.push(result.message);
-      fixes.push(`Fix syntax error in ${relativePath}`);
-
-      // 尝试提取更多有用的信息
-      if (result.error) {
-        const lineMatch = result.error.match(/(\d+)$/);
-        if (lineMatch) {
-          fixes.push(`Check line ${lineMatch[1]} in ${relativePath}`);
-        }
-      }
+      details.push({ status: 'pass', message: `${relativePath}: OK` });
     }
   }
 
-  // 扫描其他 JS 文件（在完整模式下）
-  try {
-    const { glob } = require('glob');
-    const allJsFiles = await glob('skills/*/scripts/*.js', {
-      cwd: clawdRoot,
-      absolute: true
+  // 扫描其他文件
+  const critical = new Set(settings.criticalFiles.map(file => path.normalize(file)));
+  let additionalFiles = (await findFiles(clawdRoot, settings)).filter(file => !critical.has(path.normalize(file)));
+  if (settings.maxAdditionalFiles > 0 && additionalFiles.length > settings.maxAdditionalFiles) {
+    details.push({
+      status: 'info',
+      message: `Only the first ${settings.maxAdditionalFiles} of ${additionalFiles.length} additional files checked (maxAdditionalFiles)`
     });
+    additionalFiles = additionalFiles.slice(0, settings.maxAdditionalFiles);
+  }
 
-    // 只检查还没有检查过的文件
-    const additionalFiles = allJsFiles.filter(
-      file => !CRITICAL_FILES.some(critical => file.endsWith(critical))
-    );
-
-    for (const file of additionalFiles.slice(0, 20)) { // 限制检查数量
-      const result = await checkFileSyntax(file);
-      checked++;
-      if (result.status === 'pass') {
-        passed++;
-      } else {
-        failed++;
-        details.push({ status: 'fail', message: result.message });
-        errors.push(result.message);
-      }
+  for (const relativePath of additionalFiles) {
+    try {
+      const stat = await fs.stat(path.join(clawdRoot, relativePath));
+      if (stat.size > settings.maxFileSize) continue;
+    } catch {
+      continue;
     }
-  } catch (globError) {
-    // glob 不可用时跳过
+
+    await checkFile(relativePath);
+  }
+
+  if (failed > 0 && fixes.length === 0) {
+    fixes.push('Fix the syntax errors listed above');
+  }
+  if (cached > 0) {
+    details.push({ status: 'info', message: `${cached} unchanged file(s) not reparsed (cached)` });
+  }
+
+  if (!options.dryRun) {
+    await saveCache(settings.cacheFile, nextCache).catch(() => {});
   }
 
   // 确定状态
@@ -158,4 +548,19 @@ async function run(clawdRoot) {
   };
 }
 
-module.exports = { run };
+module.exports = {
+  id: 'syntax',
+  title: 'Syntax Check',
+  description: '检查 JavaScript 和 JSON 文件的语法错误',
+  tier: 'quick',
+  order: 20,
+  timeout: 60000,
+  tags: ['code'],
+  defaults: DEFAULTS,
+  configSchema: CONFIG_SCHEMA,
+  run,
+  shouldCheck,
+  checkSource,
+  sourceTypeOf,
+  parseProgram
+};
@@ -9,106 +9,200 @@
  *   node dashboard/server.js                 # 启动服务 (默认端口 3000)
  *   node dashboard/server.js --port 8080     # 指定端口
  *   node dashboard/server.js --public        # 公网访问
+ *
+ * 静默管理 API（修改只接受带 Origin 的同源请求）:
+ *   GET    /api/silences         # 列出静默（含已到期）
+ *   POST   /api/silences         # 创建静默，JSON: { check, detail, all, until, reason }
+ *   DELETE /api/silences/<id>    # 结束静默
+ *
+ * 设置了 HEALTH_CHECK_DASHBOARD_TOKEN 时，修改需要 Authorization: Bearer <token>；
+ * 没有设置时只接受来自本机（loopback）的修改
  */
 
-const fs = require('fs');
-const { promises } = require('fs');
-const path = require('path');
-const { existsSync } = require('fs');
+const crypto = require('crypto');
 const http = require('http');
+const resultStore = require('../lib/result-store');
+const silences = require('../lib/silences');
 
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '127.0.0.1';
-const LOG_FILE = process.env.HEALTH_CHECK_LOG_FILE || '/tmp/clawdbot/health-check.log';
+const RESULTS_FILE = resultStore.getStorePath();
+const SILENCES_FILE = silences.getSilencesPath();
+const DASHBOARD_TOKEN = process.env.HEALTH_CHECK_DASHBOARD_TOKEN || '';
+
+// 请求体大小上限
+const MAX_BODY_SIZE = 16 * 1024;
 
 /**
- * 读取并解析健康检查日志
+ * 读取健康检查结果记录
  */
 async function readHealthChecks() {
   try {
-    if (!existsSync(LOG_FILE)) {
-      return [];
-    }
+    const records = await resultStore.read(RESULTS_FILE);
+
+    return records
+      .map(record => ({
+        id: record.id,
+        timestamp: record.timestamp,
+        host: record.host,
+        mode: record.mode,
+        overallStatus: record.summary.overallStatus,
+        summary: record.summary,
+        checks: record.checks
+      }))
+      .reverse();
+  } catch (error) {
+    console.error('Error reading health checks:', error);
+    return [];
+  }
+}
 
-    const content = await fs.readFile(LOG_FILE, 'utf-8');
-    const entries = [];
+/**
+ * 读取静默列表（未到期的在前）
+ */
+async function readSilences() {
+  const now = new Date();
+  let list;
+  try {
+    list = await silences.load(SILENCES_FILE);
+  } catch (error) {
+    console.error('Error reading silences:', error.message);
+    return [];
+  }
+  return list
+    .map(silence => ({ ...silence, active: silences.isActive(silence, now) }))
+    .sort((a, b) => b.active - a.active || a.expiresAt.localeCompare(b.expiresAt));
+}
 
-    // 解析每个日志条目
-    const rawEntries = content.split(/={60}\n📅 /);
+/**
+ * 读取 JSON 请求体
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new silences.SilenceError('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch {
+        reject(new silences.SilenceError('Request body must be JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
 
-    for (const entry of rawEntries) {
-      if (!entry.trim()) continue;
+/**
+ * 是否为同源请求（修改数据的接口不接受其他网页发起的跨域请求，也不接受没有 Origin 的请求）
+ */
+function isSameOrigin(req) {
+  const origin = req.headers.origin;
+  return !!origin && origin === `http://${req.headers.host}`;
+}
 
-      const timestampMatch = entry.match(/^([\d-]+T[\d:]+.[\d:]+)\n/);
-      if (!timestampMatch) continue;
+/**
+ * 是否允许修改数据：配置了 token 时校验 token，否则只允许本机请求
+ */
+function isAuthorized(req) {
+  if (!DASHBOARD_TOKEN) {
+    const address = req.socket.remoteAddress || '';
+    return address === '::1' || /^(::ffff:)?127\./.test(address);
+  }
 
-      const timestamp = new Date(timestampMatch[1]);
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return false;
 
-      // 提取摘要
-      let overallStatus = 'unknown';
-      let passed = 0, warnings = 0, failed = 0, errors = 0, total = 0;
+  // 比较哈希，长度不同时也是常量时间
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1].trim()), digest(DASHBOARD_TOKEN));
+}
 
-      const summaryMatch = entry.match(/Overall Status:\s*([✅⚠️❌💥])\s*(\w+)/);
-      if (summaryMatch) {
-        const emoji = summaryMatch[1];
-        if (emoji === '✅') overallStatus = 'pass';
-        else if (emoji === '⚠️') overallStatus = 'warning';
-        else if (emoji === '❌') overallStatus = 'fail';
-        else if (emoji === '💥') overallStatus = 'error';
-      }
+/**
+ * 发送 JSON 响应
+ */
+function sendJson(res, status, data) {
+  res.setHeader('Content-Type', 'application/json');
+  res.writeHead(status);
+  res.end(JSON.stringify(data));
+}
 
-      const totalMatch = entry.match(/Total Checks:\s*(\d+)/);
-      if (totalMatch) total = parseInt(totalMatch[1]);
-
-      const passedMatch = entry.match(/✅ Passed:\s*(\d+)/);
-      if (passedMatch) passed = parseInt(passedMatch[1]);
-
-      const warningsMatch = entry.match(/⚠️\s+Warnings:\s*(\d+)/);
-      if (warningsMatch) warnings = parseInt(warningsMatch[1]);
-
-      const failedMatch = entry.match(/❌ Failed:\s*(\d+)/);
-      if (failedMatch) failed = parseInt(failedMatch[1]);
-
-      const errorsMatch = entry.match(/💥 Errors:\s*(\d+)/);
-      if (errorsMatch) errors = parseInt(errorsMatch[1]);
-
-      // 提取各项检查结果
-      const checks = [];
-      const detailsMatch = entry.match(/## Details\n([\s\S]+)$/);
-      if (detailsMatch) {
-        const checkLines = detailsMatch[1].split('\n');
-        for (const line of checkLines) {
-          const checkMatch = line.match(/([✅⚠️❌💥❓])\s+(.+?)\s+\[(\d+)ms\]/);
-          if (checkMatch) {
-            let status = 'unknown';
-            const emoji = checkMatch[1];
-            if (emoji === '✅') status = 'pass';
-            else if (emoji === '⚠️') status = 'warning';
-            else if (emoji === '❌') status = 'fail';
-            else if (emoji === '💥') status = 'error';
-
-            checks.push({
-              name: checkMatch[2].trim(),
-              status,
-              duration: parseInt(checkMatch[3])
-            });
-          }
-        }
-      }
+/**
+ * 处理静默管理 API
+ */
+async function handleSilences(req, res) {
+  if (req.method === 'GET') {
+    sendJson(res, 200, await readSilences());
+    return;
+  }
+
+  if (!isSameOrigin(req)) {
+    sendJson(res, 403, { error: 'Only same-origin requests with an Origin header can modify silences' });
+    return;
+  }
+
+  if (!isAuthorized(req)) {
+    sendJson(res, 401, {
+      error: DASHBOARD_TOKEN
+        ? 'A valid dashboard token is required to modify silences'
+        : 'Silences can only be modified from localhost (set HEALTH_CHECK_DASHBOARD_TOKEN to allow remote changes)'
+    });
+    return;
+  }
+
+  let list;
+  try {
+    list = await silences.load(SILENCES_FILE);
+  } catch (error) {
+    // 静默文件损坏或版本更新时拒绝修改，避免覆盖
+    console.error('Error reading silences:', error.message);
+    sendJson(res, 500, { error: error.message });
+    return;
+  }
 
-      entries.push({
-        id: timestamp.getTime(),
-        timestamp: timestamp.toISOString(),
-        overallStatus,
-        summary: { total, passed, warnings, failed, errors },
-        checks
+  try {
+    if (req.method === 'POST' && req.url === '/api/silences') {
+      const body = await readJsonBody(req);
+      const silence = silences.create({
+        check: body.check,
+        detail: body.detail,
+        all: body.all === true,
+        until: body.until,
+        reason: body.reason,
+        createdBy: body.createdBy || 'dashboard'
       });
+      await silences.save(SILENCES_FILE, [...list, silence]);
+      console.log(`🔕 Silence ${silence.id} added: ${silences.describe(silence)}`);
+      sendJson(res, 201, silence);
+      return;
     }
 
-    return entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const match = /^\/api\/silences\/([\w-]+)$/.exec(req.url);
+    if (req.method === 'DELETE' && match) {
+      const remaining = list.filter(silence => silence.id !== match[1]);
+      if (remaining.length === list.length) {
+        sendJson(res, 404, { error: `No silence with id ${match[1]}` });
+        return;
+      }
+      await silences.save(SILENCES_FILE, remaining);
+      console.log(`🔕 Silence ${match[1]} removed`);
+      sendJson(res, 200, { removed: match[1] });
+      return;
+    }
+
+    sendJson(res, 405, { error: 'Method not allowed' });
   } catch (error) {
-    console.error('Error reading health checks:', error);
-    return [];
+    if (error instanceof silences.SilenceError) {
+      sendJson(res, 400, { error: error.message });
+      return;
+    }
+    console.error('Error handling silences request:', error);
+    sendJson(res, 500, { error: 'Internal server error' });
   }
 }
 
@@ -164,10 +258,21 @@ function getTrendData(entries) {
     .slice(-30); // 最近30天
 }
 
+/**
+ * 转义 HTML 特殊字符
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * HTML 模板
  */
-function getHtml(entries, stats, trends) {
+function getHtml(entries, stats, trends, silenceList) {
   const statusEmoji = { pass: '✅', warning: '⚠️', fail: '❌', error: '💥', unknown: '❓' };
   const statusColor = { pass: '#22c55e', warning: '#eab308', fail: '#ef4444', error: '#dc2626', unknown: '#6b7280' };
 
@@ -293,6 +398,37 @@ function getHtml(entries, stats, trends) {
       padding: 4px 0;
       color: #cbd5e1;
     }
+    .check-item.silenced { color: #64748b; }
+    .silence {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 12px;
+      padding: 10px 12px;
+      border-radius: 8px;
+      margin-bottom: 8px;
+      background: #0f172a;
+      font-size: 13px;
+    }
+    .silence.expired { opacity: 0.5; }
+    .silence-meta { color: #94a3b8; font-size: 12px; }
+    .silence-form {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+      gap: 8px;
+      margin-top: 16px;
+    }
+    .silence-form input, .silence-form button, .silence button {
+      background: #0f172a;
+      color: #e2e8f0;
+      border: 1px solid #334155;
+      border-radius: 6px;
+      padding: 6px 10px;
+      font-size: 13px;
+    }
+    .silence-form button, .silence button { cursor: pointer; }
+    .silence-form label { font-size: 13px; color: #94a3b8; display: flex; align-items: center; gap: 6px; }
+    .form-error { color: #ef4444; font-size: 12px; margin-top: 8px; }
     .empty-state {
       text-align: center;
       padding: 40px;
@@ -360,7 +496,7 @@ function getHtml(entries, stats, trends) {
               ${entry.checks.length > 0 ? `
                 <div class="check-list">
                   ${entry.checks.slice(0, 5).map(check => `
-                    <div class="check-item">${statusEmoji[check.status]} ${check.name} (${check.duration}ms)</div>
+                    <div class="check-item${check.silenced ? ' silenced' : ''}" title="${escapeHtml(check.silenced ? `Silenced until ${check.silenced.expiresAt}: ${check.silenced.reason}` : check.message || '')}">${statusEmoji[check.status]} ${escapeHtml(check.name)} (${check.duration}ms)${check.silenced ? ' 🔕 silenced' : ''}</div>
                   `).join('')}
                   ${entry.checks.length > 5 ? `<div class="check-item">+${entry.checks.length - 5} more...</div>` : ''}
                 </div>
@@ -389,78 +525,178 @@ function getHtml(entries, stats, trends) {
       </div>
     </div>
 
+    <div class="card" style="margin-bottom: 24px;">
+      <div class="card-title">🔕 Silences</div>
+      ${silenceList.length === 0 ? '<div class="empty-state">No silences</div>' : silenceList.map(silence => `
+        <div class="silence${silence.active ? '' : ' expired'}">
+          <div>
+            <div>${escapeHtml(silence.all ? 'All checks' : [silence.check, silence.detail ? `/${silence.detail}/` : null].filter(Boolean).join(' '))} — ${escapeHtml(silence.reason)}</div>
+            <div class="silence-meta">${silence.active ? 'Until' : 'Expired'} ${new Date(silence.expiresAt).toLocaleString('zh-CN')} · by ${escapeHtml(silence.createdBy)} · ${escapeHtml(silence.id)}</div>
+          </div>
+          ${silence.active ? `<button data-silence="${escapeHtml(silence.id)}">End</button>` : ''}
+        </div>
+      `).join('')}
+      <form class="silence-form" id="silence-form">
+        <input name="check" placeholder="Check id or name">
+        <input name="detail" placeholder="Detail pattern (regex)">
+        <label><input type="checkbox" name="all"> All checks</label>
+        <input name="until" placeholder="Until (4h, 2d, 2026-02-06)" required>
+        <input name="reason" placeholder="Reason" required>
+        ${DASHBOARD_TOKEN ? '<input name="token" type="password" placeholder="Dashboard token" autocomplete="off">' : ''}
+        <button type="submit">Silence</button>
+      </form>
+      <div class="form-error" id="silence-error"></div>
+    </div>
+
     <div class="refresh-hint">
-      🔄 Auto-refresh every 30 seconds | Data from: ${LOG_FILE}
+      🔄 Auto-refresh every 30 seconds | Data from: ${RESULTS_FILE}
     </div>
   </div>
 
   <script>
-    // 自动刷新
-    setTimeout(() => location.reload(), 30000);
+    // 自动刷新（正在填写静默表单时推迟）
+    setTimeout(function refresh() {
+      const form = document.getElementById('silence-form');
+      if (form.contains(document.activeElement) || [...form.elements].some(el => el.value && !['submit', 'checkbox', 'password'].includes(el.type))) {
+        setTimeout(refresh, 30000);
+        return;
+      }
+      location.reload();
+    }, 30000);
+
+    // 配置了 token 时，输入的 token 保存在本标签页中，结束静默时复用
+    function authHeaders() {
+      const input = document.getElementById('silence-form').token;
+      if (input && input.value) sessionStorage.setItem('dashboardToken', input.value);
+      const token = sessionStorage.getItem('dashboardToken');
+      return token ? { Authorization: 'Bearer ' + token } : {};
+    }
+
+    async function request(method, url, body) {
+      const res = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: body && JSON.stringify(body)
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || 'HTTP ' + res.status);
+      }
+    }
+
+    document.getElementById('silence-form').addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const form = event.target;
+      try {
+        await request('POST', '/api/silences', {
+          check: form.check.value.trim() || undefined,
+          detail: form.detail.value.trim() || undefined,
+          all: form.all.checked,
+          until: form.until.value.trim(),
+          reason: form.reason.value.trim()
+        });
+        location.reload();
+      } catch (error) {
+        document.getElementById('silence-error').textContent = error.message;
+      }
+    });
+
+    document.querySelectorAll('[data-silence]').forEach(button => {
+      button.addEventListener('click', async () => {
+        try {
+          await request('DELETE', '/api/silences/' + button.dataset.silence);
+          location.reload();
+        } catch (error) {
+          document.getElementById('silence-error').textContent = error.message;
+        }
+      });
+    });
   </script>
 </body>
 </html>`;
 }
 
 /**
- * 创建 HTTP 服务器
+ * 处理请求
  */
-function createServer() {
-  const server = http.createServer(async (req, res) => {
-    // 设置 CORS
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-    if (req.method === 'OPTIONS') {
-      res.writeHead(200);
-      res.end();
-      return;
-    }
+async function handleRequest(req, res) {
+  // 设置 CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return;
+  }
 
-    // API 路由
-    if (req.url === '/api/health-checks') {
-      const entries = await readHealthChecks();
-      res.setHeader('Content-Type', 'application/json');
-      res.writeHead(200);
-      res.end(JSON.stringify(entries));
-      return;
-    }
+  // API 路由
+  if (req.url === '/api/health-checks') {
+    const entries = await readHealthChecks();
+    res.setHeader('Content-Type', 'application/json');
+    res.writeHead(200);
+    res.end(JSON.stringify(entries));
+    return;
+  }
 
-    if (req.url === '/api/stats') {
-      const entries = await readHealthChecks();
-      const stats = getStats(entries);
-      res.setHeader('Content-Type', 'application/json');
-      res.writeHead(200);
-      res.end(JSON.stringify(stats));
-      return;
-    }
+  if (req.url === '/api/stats') {
+    const entries = await readHealthChecks();
+    const stats = getStats(entries);
+    res.setHeader('Content-Type', 'application/json');
+    res.writeHead(200);
+    res.end(JSON.stringify(stats));
+    return;
+  }
 
-    if (req.url === '/api/trends') {
-      const entries = await readHealthChecks();
-      const trends = getTrendData(entries);
-      res.setHeader('Content-Type', 'application/json');
-      res.writeHead(200);
-      res.end(JSON.stringify(trends));
-      return;
-    }
+  if (req.url === '/api/trends') {
+    const entries = await readHealthChecks();
+    const trends = getTrendData(entries);
+    res.setHeader('Content-Type', 'application/json');
+    res.writeHead(200);
+    res.end(JSON.stringify(trends));
+    return;
+  }
 
-    // 主页
-    if (req.url === '/' || req.url === '/index.html') {
-      const entries = await readHealthChecks();
-      const stats = getStats(entries);
-      const trends = getTrendData(entries);
-      const html = getHtml(entries, stats, trends);
+  if (req.url === '/api/silences' || req.url.startsWith('/api/silences/')) {
+    await handleSilences(req, res);
+    return;
+  }
 
-      res.setHeader('Content-Type', 'text/html; charset=utf-8');
-      res.writeHead(200);
-      res.end(html);
-      return;
-    }
+  // 主页
+  if (req.url === '/' || req.url === '/index.html') {
+    const entries = await readHealthChecks();
+    const stats = getStats(entries);
+    const trends = getTrendData(entries);
+    const html = getHtml(entries, stats, trends, await readSilences());
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.writeHead(200);
+    res.end(html);
+    return;
+  }
+
+  // 404
+  res.writeHead(404);
+  res.end('Not Found');
+}
 
-    // 404
-    res.writeHead(404);
-    res.end('Not Found');
+/**
+ * 创建 HTTP 服务器
+ */
+function createServer() {
+  const server = http.createServer(async (req, res) => {
+    try {
+      await handleRequest(req, res);
+    } catch (error) {
+      // 请求处理中的异常不能让 dashboard 退出
+      console.error('Error handling request:', error);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: 'Internal server error' });
+      } else {
+        res.end();
+      }
+    }
   });
 
   return server;
@@ -479,7 +715,7 @@ async function main() {
     console.log('✅ Dashboard is running!');
     console.log('');
     console.log(`   URL: http://${HOST}:${PORT}`);
-    console.log(`   Log: ${LOG_FILE}`);
+    console.log(`   Data: ${RESULTS_FILE}`);
     console.log('');
     console.log('Press Ctrl+C to stop');
     console.log('');
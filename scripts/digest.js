@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+
+/**
+ * 📬 Health Check 日报/周报
+ *
+ * 汇总结果历史中最近一天或一周的健康检查（通过率、新问题和已恢复的问题、最慢和最不稳定的检查），
+ * 并通过通知渠道发送
+ *
+ * 用法:
+ *   node digest.js                          # 输出最近一天的日报
+ *   node digest.js --period week            # 输出最近一周的周报
+ *   node digest.js --notify                 # 发送到通知渠道（digest.channels）
+ *   node digest.js --format markdown --output digest.md
+ *   node digest.js --config <file>          # 指定配置文件
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+// 加载 .env
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+
+const configLoader = require('./lib/config-loader');
+const notifier = require('./lib/notifier');
+const resultStore = require('./lib/result-store');
+
+// Skill 根目录（用于查找配置文件）
+const SKILL_ROOT = path.join(__dirname, '..');
+
+// 统计周期
+const PERIODS = {
+  day: { label: 'Daily', ms: 24 * 60 * 60 * 1000 },
+  week: { label: 'Weekly', ms: 7 * 24 * 60 * 60 * 1000 }
+};
+
+const FORMATS = ['text', 'markdown', 'json'];
+
+// 最慢/最不稳定的检查各列出几项
+const TOP_N = 5;
+
+// 配置
+const CONFIG = {
+  clawdRoot: path.join(__dirname, '../../'),
+  resultsFile: resultStore.getStorePath(),
+  notionDbId: process.env.HEALTH_CHECK_NOTION_DB_ID,
+  telegramGroup: process.env.HEALTH_CHECK_TELEGRAM_GROUP || 'discussion',
+  webhookUrl: process.env.HEALTH_CHECK_WEBHOOK_URL,
+  webhookSecret: process.env.HEALTH_CHECK_WEBHOOK_SECRET,
+  emailTo: splitList(process.env.HEALTH_CHECK_EMAIL_TO),
+  channels: {}
+};
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+
+  const valueOf = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] && !args[index + 1].startsWith('--')
+      ? args[index + 1]
+      : null;
+  };
+
+  return {
+    period: valueOf('--period') || 'day',
+    notify: args.includes('--notify'),
+    format: valueOf('--format') || 'text',
+    output: valueOf('--output'),
+    config: valueOf('--config')
+  };
+}
+
+/**
+ * 拆分逗号分隔的值
+ */
+function splitList(value) {
+  return value ? value.split(',').map(s => s.trim()).filter(Boolean) : [];
+}
+
+/**
+ * 是否为有问题的状态
+ */
+function isProblem(status) {
+  return status !== undefined && status !== 'pass';
+}
+
+/**
+ * 汇总统计周期内的结果
+ *
+ * records: 按时间升序的全部结果记录
+ * 返回日报数据（JSON 可序列化）
+ */
+function buildDigest(records, options) {
+  const until = options.now;
+  const since = new Date(until.getTime() - PERIODS[options.period].ms);
+
+  // 统计周期开始前每个检查的最后状态，用于判断问题是否在周期内出现
+  const baseline = {};
+  const inWindow = [];
+  for (const record of records) {
+    const time = new Date(record.timestamp);
+    if (time > until) continue;
+    if (time < since) {
+      for (const check of record.checks) {
+        const before = baseline[check.id];
+        // 问题持续期间保留最早出现的时间
+        const continuing = before && isProblem(before.status) && isProblem(check.status);
+        baseline[check.id] = { status: check.status, since: continuing ? before.since : record.timestamp };
+      }
+    } else {
+      inWindow.push(record);
+    }
+  }
+
+  const checks = {};
+  let passedRuns = 0;
+  let checkResults = 0;
+  let passedResults = 0;
+
+  for (const record of inWindow) {
+    if (record.summary.overallStatus === 'pass') passedRuns++;
+
+    for (const check of record.checks) {
+      if (!checks[check.id]) {
+        const before = baseline[check.id];
+        checks[check.id] = {
+          id: check.id,
+          name: check.name,
+          runs: 0,
+          passed: 0,
+          flips: 0,
+          totalDuration: 0,
+          maxDuration: 0,
+          hadProblem: isProblem(before && before.status),
+          status: before && before.status,
+          problemSince: isProblem(before && before.status) ? before.since : null
+        };
+      }
+
+      const stat = checks[check.id];
+      if (stat.runs > 0 && check.status !== stat.status) stat.flips++;
+      if (isProblem(check.status) && !isProblem(stat.status)) stat.problemSince = record.timestamp;
+      if (isProblem(check.status)) stat.hadProblem = true;
+
+      stat.runs++;
+      stat.status = check.status;
+      stat.message = check.message;
+      stat.totalDuration += check.duration || 0;
+      stat.maxDuration = Math.max(stat.maxDuration, check.duration || 0);
+      if (check.status === 'pass') stat.passed++;
+
+      checkResults++;
+      if (check.status === 'pass') passedResults++;
+    }
+  }
+
+  const stats = Object.values(checks);
+  const open = stats.filter(stat => isProblem(stat.status));
+  const issue = stat => ({ id: stat.id, name: stat.name, status: stat.status, since: stat.problemSince, message: stat.message });
+  const rate = (part, total) => total > 0 ? Number((part / total * 100).toFixed(1)) : null;
+
+  return {
+    period: options.period,
+    since: since.toISOString(),
+    until: until.toISOString(),
+    runs: inWindow.length,
+    passRate: rate(passedRuns, inWindow.length),
+    checkPassRate: rate(passedResults, checkResults),
+    newIssues: open.filter(stat => new Date(stat.problemSince) >= since).map(issue),
+    ongoingIssues: open.filter(stat => new Date(stat.problemSince) < since).map(issue),
+    resolvedIssues: stats
+      .filter(stat => stat.hadProblem && !isProblem(stat.status))
+      .map(stat => ({ id: stat.id, name: stat.name })),
+    slowest: stats
+      .filter(stat => stat.runs > 0)
+      .map(stat => ({
+        id: stat.id,
+        name: stat.name,
+        avgDuration: Math.round(stat.totalDuration / stat.runs),
+        maxDuration: stat.maxDuration,
+        runs: stat.runs
+      }))
+      .sort((a, b) => b.avgDuration - a.avgDuration)
+      .slice(0, TOP_N),
+    flakiest: stats
+      .filter(stat => stat.flips > 0)
+      .map(stat => ({
+        id: stat.id,
+        name: stat.name,
+        flips: stat.flips,
+        runs: stat.runs,
+        passRate: rate(stat.passed, stat.runs)
+      }))
+      .sort((a, b) => b.flips - a.flips || a.passRate - b.passRate)
+      .slice(0, TOP_N)
+  };
+}
+
+/**
+ * 日报标题
+ */
+function formatTitle(digest) {
+  return `📬 ${PERIODS[digest.period].label} Health Digest (${digest.since.split('T')[0]} → ${digest.until.split('T')[0]})`;
+}
+
+/**
+ * 格式化为文本
+ */
+function formatText(digest) {
+  const lines = [];
+
+  if (digest.runs === 0) {
+    lines.push(`⚠️ No health check runs between ${digest.since} and ${digest.until}.`);
+    lines.push('Check that the health check timer or cron job is still running.');
+    return lines.join('\n');
+  }
+
+  lines.push('## Overview');
+  lines.push(`Runs: ${digest.runs}`);
+  lines.push(`Run Pass Rate: ${digest.passRate}%`);
+  lines.push(`Check Pass Rate: ${digest.checkPassRate}%`);
+
+  const sections = [
+    { title: '🆕 New Issues', items: digest.newIssues, line: i => `${i.name}: ${i.status}${i.message ? ` - ${i.message}` : ''}` },
+    { title: '⏳ Still Open', items: digest.ongoingIssues, line: i => `${i.name}: ${i.status} since ${i.since}` },
+    { title: '✅ Resolved', items: digest.resolvedIssues, line: i => i.name },
+    { title: '🐢 Slowest Checks', items: digest.slowest, line: i => `${i.name}: avg ${i.avgDuration}ms, max ${i.maxDuration}ms` },
+    { title: '🎲 Flakiest Checks', items: digest.flakiest, line: i => `${i.name}: ${i.flips} status change(s) in ${i.runs} runs, ${i.passRate}% pass` }
+  ];
+
+  for (const section of sections) {
+    if (section.items.length === 0) continue;
+    lines.push('');
+    lines.push(`## ${section.title}`);
+    for (const item of section.items) {
+      lines.push(`• ${section.line(item)}`);
+    }
+  }
+
+  if (digest.newIssues.length === 0 && digest.ongoingIssues.length === 0) {
+    lines.push('');
+    lines.push('✅ No open issues at the end of the period.');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 格式化为 Markdown
+ */
+function formatMarkdown(digest) {
+  if (digest.runs === 0) {
+    return `> ⚠️ No health check runs between ${digest.since} and ${digest.until}.\n`;
+  }
+
+  let md = '## Overview\n\n';
+  md += '| Metric | Value |\n';
+  md += '|--------|-------|\n';
+  md += `| Runs | ${digest.runs} |\n`;
+  md += `| Run Pass Rate | ${digest.passRate}% |\n`;
+  md += `| Check Pass Rate | ${digest.checkPassRate}% |\n\n`;
+
+  const lists = [
+    { title: '🆕 New Issues', items: digest.newIssues, line: i => `**${i.name}**: ${i.status}${i.message ? ` - ${i.message}` : ''}` },
+    { title: '⏳ Still Open', items: digest.ongoingIssues, line: i => `**${i.name}**: ${i.status} since ${i.since}` },
+    { title: '✅ Resolved', items: digest.resolvedIssues, line: i => `**${i.name}**` }
+  ];
+  for (const list of lists) {
+    if (list.items.length === 0) continue;
+    md += `## ${list.title}\n\n`;
+    md += list.items.map(item => `- ${list.line(item)}\n`).join('');
+    md += '\n';
+  }
+
+  if (digest.slowest.length > 0) {
+    md += '## 🐢 Slowest Checks\n\n';
+    md += '| Check | Avg | Max | Runs |\n';
+    md += '|-------|-----|-----|------|\n';
+    for (const item of digest.slowest) {
+      md += `| ${item.name} | ${item.avgDuration}ms | ${item.maxDuration}ms | ${item.runs} |\n`;
+    }
+    md += '\n';
+  }
+
+  if (digest.flakiest.length > 0) {
+    md += '## 🎲 Flakiest Checks\n\n';
+    md += '| Check | Status Changes | Runs | Pass Rate |\n';
+    md += '|-------|----------------|------|-----------|\n';
+    for (const item of digest.flakiest) {
+      md += `| ${item.name} | ${item.flips} | ${item.runs} | ${item.passRate}% |\n`;
+    }
+    md += '\n';
+  }
+
+  return md;
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+  const options = parseArgs();
+
+  if (!PERIODS[options.period]) {
+    console.error(`💥 Unknown period: ${options.period} (expected one of: ${Object.keys(PERIODS).join(', ')})`);
+    process.exit(1);
+  }
+  if (!FORMATS.includes(options.format)) {
+    console.error(`💥 Unknown format: ${options.format} (expected one of: ${FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+
+  // 加载配置文件（--config > HEALTH_CHECK_CONFIG > skill 目录 > clawd 根目录）
+  const fileConfig = await configLoader.load({
+    file: options.config,
+    searchDirs: [SKILL_ROOT, CONFIG.clawdRoot]
+  });
+  if (fileConfig.clawdRoot) {
+    CONFIG.clawdRoot = fileConfig.clawdRoot;
+  }
+  notifier.validateChannels(fileConfig.channels, fileConfig.source);
+  CONFIG.channels = fileConfig.channels || {};
+  CONFIG.routing = fileConfig.routing;
+  CONFIG.digest = fileConfig.digest;
+  notifier.validateRouting(CONFIG, fileConfig.source);
+
+  // 报告输出到 stdout 时，进度信息改写到 stderr
+  const log = options.output ? console.log : console.error;
+
+  log(`📬 Building ${options.period} digest from: ${CONFIG.resultsFile}`);
+  const records = await resultStore.read(CONFIG.resultsFile);
+  const data = buildDigest(records, { period: options.period, now: new Date() });
+
+  const digest = {
+    title: formatTitle(data),
+    text: formatText(data),
+    markdown: formatMarkdown(data),
+    data
+  };
+
+  let report;
+  switch (options.format) {
+    case 'json':
+      report = JSON.stringify(data, null, 2);
+      break;
+    case 'markdown':
+      report = `# ${digest.title}\n\n${digest.markdown}`;
+      break;
+    default:
+      report = `${digest.title}\n\n${digest.text}`;
+  }
+
+  if (options.output) {
+    await fs.writeFile(options.output, report);
+    log(`✓ Digest saved to: ${options.output}`);
+  } else {
+    console.log(report);
+  }
+
+  if (options.notify) {
+    log('📤 Sending digest...');
+    const sent = await notifier.sendDigest(CONFIG, digest);
+    if (sent.length > 0 && !sent.some(r => r.success)) {
+      console.error('✗ Digest could not be delivered to any channel');
+      process.exit(1);
+    }
+  }
+}
+
+main().catch((error) => {
+  if (error instanceof configLoader.ConfigError) {
+    console.error(`💥 Configuration error: ${error.message}`);
+    process.exit(1);
+  }
+  console.error('💥 Fatal error:', error);
+  process.exit(1);
+});
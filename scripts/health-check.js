@@ -8,34 +8,63 @@
  *   node health-check.js --full       # 完整检查
  *   node health-check.js --notify     # 发送通知
  *   node health-check.js --dry-run    # 试运行（不写入日志）
+ *   node health-check.js --concurrency 2  # 最多同时执行 2 个检查
+ *   node health-check.js --config <file>  # 指定配置文件
+ *   node health-check.js --only config,git  # 只执行指定检查
+ *   node health-check.js --skip logs       # 跳过指定检查
+ *   node health-check.js --tag security    # 只执行带指定标签的检查
+ *   node health-check.js --list            # 列出所有可用检查
+ *   node health-check.js --format sarif --output report.sarif  # 输出机器可读报告
+ *   node health-check.js --fail-on fail    # 仅 fail/error 时退出码非 0
+ *   node health-check.js --fix             # 逐个确认后执行低风险的修复命令
+ *   node health-check.js --fix --yes       # 不经确认直接执行低风险的修复命令
+ *   node health-check.js --full --update-baseline  # 把当前所有发现写入基线（视为已接受）
+ *   node health-check.js --only git --deep         # 扫描完整提交历史和未跟踪文件中的 secret
+ *
+ * 退出码: 0 通过，1 失败，2 警告，3 检查出错或内部错误（见 lib/policy.js）
  */
 
 const path = require('path');
 const fs = require('fs').promises;
-const { spawn } = require('child_process');
+const readline = require('readline');
 
 // 加载 .env
 require('dotenv').config({ path: path.join(__dirname, '../../.env') });
 
-// 检查模块
-const checks = {
-  config: require('./checks/config'),
-  syntax: require('./checks/syntax'),
-  dependencies: require('./checks/dependencies'),
-  logs: require('./checks/logs'),
-  git: require('./checks/git')
-};
-
+const configLoader = require('./lib/config-loader');
+const registry = require('./lib/registry');
+const scheduler = require('./lib/scheduler');
 const logger = require('./lib/logger');
 const notifier = require('./lib/notifier');
+const resultStore = require('./lib/result-store');
+const reporters = require('./lib/reporters');
+const policy = require('./lib/policy');
+const remediation = require('./lib/remediation');
+const alertState = require('./lib/alert-state');
+const silences = require('./lib/silences');
+const baseline = require('./lib/baseline');
+
+// Skill 根目录（用于查找配置文件）
+const SKILL_ROOT = path.join(__dirname, '..');
 
 // 配置
 const CONFIG = {
   clawdRoot: path.join(__dirname, '../../'),
   healthLog: process.env.HEALTH_CHECK_LOG_FILE || '/tmp/clawdbot/health-check.log',
+  resultsFile: resultStore.getStorePath(),
   notionDbId: process.env.HEALTH_CHECK_NOTION_DB_ID,
   telegramGroup: process.env.HEALTH_CHECK_TELEGRAM_GROUP || 'discussion',
-  alertOnly: process.env.HEALTH_CHECK_ALERT_ONLY !== 'false'
+  alertOnly: process.env.HEALTH_CHECK_ALERT_ONLY !== 'false',
+  stateFile: alertState.getStatePath(),
+  silencesFile: silences.getSilencesPath(),
+  reminderInterval: process.env.HEALTH_CHECK_REMINDER_INTERVAL
+    ? parseInt(process.env.HEALTH_CHECK_REMINDER_INTERVAL)
+    : null,
+  webhookUrl: process.env.HEALTH_CHECK_WEBHOOK_URL,
+  webhookSecret: process.env.HEALTH_CHECK_WEBHOOK_SECRET,
+  emailTo: splitList(process.env.HEALTH_CHECK_EMAIL_TO),
+  channels: {},
+  concurrency: parseInt(process.env.HEALTH_CHECK_CONCURRENCY) || null
 };
 
 /**
@@ -43,25 +72,81 @@ const CONFIG = {
  */
 function parseArgs() {
   const args = process.argv.slice(2);
+
+  // 读取带值的参数，例如 --config <file>
+  const valueOf = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] && !args[index + 1].startsWith('--')
+      ? args[index + 1]
+      : null;
+  };
+
   return {
     full: args.includes('--full'),
     notify: args.includes('--notify'),
     dryRun: args.includes('--dry-run'),
-    verbose: args.includes('--verbose') || args.includes('-v')
+    verbose: args.includes('--verbose') || args.includes('-v'),
+    concurrency: parseInt(valueOf('--concurrency')) || null,
+    config: valueOf('--config'),
+    list: args.includes('--list'),
+    only: splitList(valueOf('--only')),
+    skip: splitList(valueOf('--skip')),
+    tags: splitList(valueOf('--tag')),
+    format: valueOf('--format'),
+    output: valueOf('--output'),
+    failOn: valueOf('--fail-on'),
+    fix: args.includes('--fix'),
+    yes: args.includes('--yes') || args.includes('-y'),
+    updateBaseline: args.includes('--update-baseline'),
+    deep: args.includes('--deep')
   };
 }
 
 /**
- * 执行单个检查
+ * 拆分逗号分隔的参数值
  */
-async function runCheck(checkName, checkFn, options = {}) {
+function splitList(value) {
+  return value ? value.split(',').map(s => s.trim()).filter(Boolean) : [];
+}
+
+/**
+ * 列出可用检查
+ */
+function printCheckList(checks, configured) {
+  const enabled = new Set(configured.map(check => check.id));
+
+  console.log('Available checks:');
+  console.log('');
+  for (const check of checks) {
+    const state = enabled.has(check.id) ? '' : ' (disabled)';
+    console.log(`  ${check.id} - ${check.title}${state}`);
+    if (check.description) {
+      console.log(`      ${check.description}`);
+    }
+    console.log(`      tier: ${check.tier} | timeout: ${check.timeout}ms | tags: ${check.tags.join(', ') || '-'} | source: ${check.source}`);
+  }
+}
+
+/**
+ * 执行单个检查（超时后中止并终止其子进程）
+ */
+async function runCheck(check, options = {}) {
   const startTime = Date.now();
   try {
-    const result = await checkFn(CONFIG.clawdRoot, options);
+    const result = await scheduler.withTimeout(
+      signal => check.run(CONFIG.clawdRoot, {
+        ...options,
+        baseline: CONFIG.baseline && CONFIG.baseline.forCheck(check.id),
+        signal
+      }),
+      check.timeout
+    );
     const duration = Date.now() - startTime;
 
     return {
-      name: checkName,
+      id: check.id,
+      name: check.title,
+      tags: check.tags,
       status: result.status || 'unknown',
       duration,
       ...result
@@ -69,15 +154,101 @@ async function runCheck(checkName, checkFn, options = {}) {
   } catch (error) {
     const duration = Date.now() - startTime;
     return {
-      name: checkName,
+      id: check.id,
+      name: check.title,
+      tags: check.tags,
       status: 'error',
       duration,
+      timedOut: error instanceof scheduler.TimeoutError || undefined,
       error: error.message,
       stack: error.stack
     };
   }
 }
 
+/**
+ * 询问用户确认（提示写到 stderr，不混入报告输出）
+ */
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+/**
+ * 执行低风险的修复动作，并重新运行受影响的检查确认结果
+ *
+ * 返回新的结果列表；修复过的检查带有 remediation（执行记录）和 previousStatus
+ */
+async function remediate(results, checksToRun, options, log) {
+  const planned = remediation.plan(results);
+  if (planned.length === 0) {
+    log('🔧 No automatic fixes available');
+    return results;
+  }
+
+  if (options.dryRun) {
+    log('🔧 Fixes that would be applied (dry run):');
+    for (const { result, actions } of planned) {
+      for (const action of actions) {
+        log(`   - [${result.id}] ${remediation.describe(action)}`);
+      }
+    }
+    return results;
+  }
+
+  if (!options.yes && !process.stdin.isTTY) {
+    log('🔧 Skipping fixes: confirmation requires a terminal (use --fix --yes to apply without asking)');
+    return results;
+  }
+
+  log('🔧 Applying fixes...');
+  const updated = [...results];
+  const executed = new Set();
+
+  for (const { result, actions } of planned) {
+    const applied = [];
+
+    for (const action of actions) {
+      // 多个检查可能建议同一条命令，只执行一次
+      const key = JSON.stringify([action.command, action.args, action.cwd]);
+      if (executed.has(key)) continue;
+      executed.add(key);
+
+      if (!options.yes && !(await confirm(`   Run: ${remediation.describe(action)}? [y/N] `))) {
+        applied.push({ ...action, status: 'skipped' });
+        continue;
+      }
+
+      const outcome = await remediation.apply(action, { cwd: CONFIG.clawdRoot });
+      log(`   ${outcome.status === 'applied' ? '✓' : '✗'} [${result.id}] ${action.title} [${outcome.duration}ms]`);
+      if (outcome.error) {
+        log(`     ${outcome.error}`);
+      }
+      applied.push(outcome);
+    }
+
+    if (applied.length === 0) continue;
+
+    const index = updated.indexOf(result);
+    if (applied.some(action => action.status === 'applied')) {
+      // 重新运行检查确认修复效果
+      const check = checksToRun.find(c => c.id === result.id);
+      const rerun = await runCheck(check, { full: options.full, deep: options.deep, dryRun: options.dryRun, config: check.config });
+      log(`   ↻ ${rerun.name}: ${result.status} → ${rerun.status}`);
+      updated[index] = { ...rerun, previousStatus: result.status, remediation: applied };
+    } else {
+      updated[index] = { ...result, remediation: applied };
+    }
+  }
+
+  return updated;
+}
+
 /**
  * 生成健康检查摘要
  */
@@ -87,6 +258,7 @@ function generateSummary(results) {
   const warnings = results.filter(r => r.status === 'warning').length;
   const failed = results.filter(r => r.status === 'fail').length;
   const errors = results.filter(r => r.status === 'error').length;
+  const silenced = results.filter(r => r.silenced).length;
 
   const overallStatus = errors > 0 || failed > 0 ? 'fail' : warnings > 0 ? 'warning' : 'pass';
 
@@ -96,6 +268,7 @@ function generateSummary(results) {
     warnings,
     failed,
     errors,
+    silenced,
     overallStatus,
     timestamp: new Date().toISOString()
   };
@@ -128,13 +301,20 @@ function formatResults(results, summary) {
   lines.push(`⚠️  Warnings: ${summary.warnings}`);
   lines.push(`❌ Failed: ${summary.failed}`);
   lines.push(`💥 Errors: ${summary.errors}`);
+  if (summary.silenced > 0) {
+    lines.push(`🔕 Silenced: ${summary.silenced}`);
+  }
   lines.push('');
 
   // 详细结果
   lines.push('## Details');
   for (const result of results) {
     const emoji = statusEmoji[result.status] || statusEmoji.unknown;
-    lines.push(`${emoji} ${result.name} [${result.duration}ms]`);
+    lines.push(`${emoji} ${result.name} [${result.duration}ms]${result.silenced ? ' 🔕 silenced' : ''}`);
+
+    if (result.silenced) {
+      lines.push(`   🔕 Silenced until ${result.silenced.expiresAt}: ${result.silenced.reason}`);
+    }
 
     if (result.message) {
       lines.push(`   ${result.message}`);
@@ -144,6 +324,9 @@ function formatResults(results, summary) {
       for (const detail of result.details) {
         const detailEmoji = detail.status === 'pass' ? '✓' : '✗';
         lines.push(`   ${detailEmoji} ${detail.message}`);
+        if (detail.frame) {
+          lines.push(...detail.frame.split('\n').map(line => `     ${line}`));
+        }
       }
     }
 
@@ -151,10 +334,19 @@ function formatResults(results, summary) {
       lines.push(`   Error: ${result.error}`);
     }
 
+    if (result.remediation && result.remediation.length > 0) {
+      const previous = result.previousStatus ? ` (was: ${result.previousStatus})` : '';
+      lines.push(`   🔧 Auto-fix${previous}:`);
+      for (const action of result.remediation) {
+        const error = action.error ? ` - ${action.error}` : '';
+        lines.push(`      - [${action.status}] ${action.title}${error}`);
+      }
+    }
+
     if (result.fix && result.fix.length > 0) {
       lines.push(`   💡 Suggested fix:`);
       for (const fix of result.fix) {
-        lines.push(`      - ${fix}`);
+        lines.push(`      - ${remediation.describe(fix)}`);
       }
     }
 
@@ -170,89 +362,273 @@ function formatResults(results, summary) {
 async function main() {
   const options = parseArgs();
 
-  console.log('🏥 Starting Clawdbot Health Check...');
-  console.log(`   Mode: ${options.full ? 'Full' : 'Quick'}`);
-  console.log(`   Notify: ${options.notify ? 'Yes' : 'No'}`);
-  console.log('');
+  if (options.output && !options.format) {
+    options.format = 'text';
+  }
+  if (options.format && !reporters.FORMATS.includes(options.format)) {
+    console.error(`💥 Unknown format: ${options.format} (expected one of: ${reporters.FORMATS.join(', ')})`);
+    process.exit(policy.EXIT_CODES.error);
+  }
+  if (options.failOn && !policy.FAIL_ON_LEVELS.includes(options.failOn)) {
+    console.error(`💥 Unknown --fail-on level: ${options.failOn} (expected one of: ${policy.FAIL_ON_LEVELS.join(', ')})`);
+    process.exit(policy.EXIT_CODES.error);
+  }
+
+  // 报告输出到 stdout 时，进度信息改写到 stderr，避免混入机器可读输出
+  const log = options.format && !options.output ? console.error : console.log;
+
+  // 加载配置文件（--config > HEALTH_CHECK_CONFIG > skill 目录 > clawd 根目录）
+  const fileConfig = await configLoader.load({
+    file: options.config,
+    searchDirs: [SKILL_ROOT, CONFIG.clawdRoot]
+  });
+  if (fileConfig.clawdRoot) {
+    CONFIG.clawdRoot = fileConfig.clawdRoot;
+  }
+  notifier.validateChannels(fileConfig.channels, fileConfig.source);
+  CONFIG.channels = fileConfig.channels || {};
+  CONFIG.routing = fileConfig.routing;
+  CONFIG.digest = fileConfig.digest;
+  notifier.validateRouting(CONFIG, fileConfig.source);
+
+  // 并发数优先级: 命令行 > 环境变量 > 配置文件 > 默认值
+  options.concurrency = options.concurrency || CONFIG.concurrency ||
+    fileConfig.concurrency || scheduler.DEFAULT_CONCURRENCY;
+
+  // 退出码阈值优先级: 命令行 > 配置文件 > 默认值
+  options.failOn = options.failOn || fileConfig.failOn || policy.DEFAULT_FAIL_ON;
+
+  // 发现检查模块（内置 + 自定义目录 + skills/*/health-checks/）
+  const { checks, warnings } = await registry.discover(CONFIG.clawdRoot, { checksDir: fileConfig.checksDir });
+  for (const warning of warnings) {
+    console.warn(`⚠️  ${warning}`);
+  }
 
-  const results = [];
+  // 加载基线（已接受的发现）
+  const baselinePath = baseline.getBaselinePath(CONFIG.clawdRoot, fileConfig);
+  CONFIG.baseline = baseline.createTracker(await baseline.load(baselinePath));
 
-  // 基础检查（始终执行）
-  const basicChecks = [
-    { name: 'Config Check', fn: checks.config.run },
-    { name: 'Syntax Check', fn: checks.syntax.run },
-    { name: 'Dependencies Check', fn: checks.dependencies.run }
-  ];
+  // 应用配置（合并默认值、校验、过滤禁用的检查）
+  const configured = configLoader.applyToChecks(checks, fileConfig);
 
-  // 完整检查
-  const fullChecks = [
-    ...basicChecks,
-    { name: 'Logs Analysis', fn: checks.logs.run },
-    { name: 'Git Status', fn: checks.git.run }
-  ];
+  if (options.list) {
+    printCheckList(checks, configured);
+    process.exit(0);
+  }
 
-  const checksToRun = options.full ? fullChecks : basicChecks;
+  const unknown = registry.findUnknownIds(checks, [...options.only, ...options.skip]);
+  if (unknown.length > 0) {
+    console.error(`💥 Unknown check id(s): ${unknown.join(', ')} (use --list to see available checks)`);
+    process.exit(policy.EXIT_CODES.error);
+  }
 
-  // 执行检查
-  for (const check of checksToRun) {
-    const result = await runCheck(check.name, check.fn, { full: options.full });
-    results.push(result);
+  // 显式选择（--only/--tag）时不再按级别筛选；否则快速模式只执行 quick 级别的检查
+  const explicit = options.only.length > 0 || options.tags.length > 0;
+  const checksToRun = registry.filterChecks(
+    explicit ? configured : registry.selectByTier(configured, options.full),
+    { only: options.only, skip: options.skip, tags: options.tags }
+  );
 
-    // 实时输出
-    const statusEmoji = result.status === 'pass' ? '✅' : result.status === 'warning' ? '⚠️' : '❌';
-    console.log(`${statusEmoji} ${result.name} [${result.duration}ms]`);
-    if (result.message) {
-      console.log(`   ${result.message}`);
+  if (checksToRun.length === 0) {
+    console.error('💥 No checks selected (disabled in config or filtered out)');
+    process.exit(policy.EXIT_CODES.error);
+  }
+
+  log('🏥 Starting Clawdbot Health Check...');
+  log(`   Mode: ${options.full ? 'Full' : 'Quick'}${options.deep ? ' (deep scan)' : ''}`);
+  log(`   Notify: ${options.notify ? 'Yes' : 'No'}`);
+  if (options.fix) {
+    log(`   Fix: ${options.yes ? 'Yes (no confirmation)' : 'Yes (confirm each)'}`);
+  }
+  log(`   Concurrency: ${options.concurrency}`);
+  log(`   Config: ${fileConfig.source || 'defaults'}`);
+  log(`   Fail on: ${options.failOn}`);
+  if (explicit || options.skip.length > 0) {
+    log(`   Selected: ${checksToRun.map(check => check.id).join(', ')}`);
+  }
+  log('');
+
+  // 并发执行检查，报告顺序与注册顺序一致
+  let results = await scheduler.runAll(
+    checksToRun,
+    check => runCheck(check, { full: options.full, deep: options.deep, dryRun: options.dryRun, config: check.config }),
+    {
+      concurrency: options.concurrency,
+      onResult: (result) => {
+        // 实时输出（按完成顺序）
+        const statusEmoji = result.status === 'pass' ? '✅' : result.status === 'warning' ? '⚠️' : '❌';
+        log(`${statusEmoji} ${result.name} [${result.duration}ms]`);
+        if (result.message) {
+          log(`   ${result.message}`);
+        }
+        if (result.timedOut) {
+          log(`   ⏱️  ${result.error}`);
+        }
+      }
+    }
+  );
+
+  // 重新生成基线（--update-baseline）
+  if (options.updateBaseline) {
+    const completed = results.filter(r => r.status !== 'error').map(r => r.id);
+    const { entries, added, removed, changes } = CONFIG.baseline.regenerate(completed);
+    log('');
+
+    // --dry-run 时只列出将要发生的变化
+    if (options.dryRun) {
+      log(`📌 Baseline changes that would be written to ${baselinePath} (dry run):`);
+      for (const entry of changes.added) {
+        log(`   + [${entry.check}] ${entry.message || entry.rule} (${entry.fingerprint})`);
+      }
+      for (const entry of changes.removed) {
+        log(`   - [${entry.check}] ${entry.message || entry.rule} (${entry.fingerprint})`);
+      }
+      log(`   ${entries.length} accepted finding(s), ${added} would be added, ${removed} removed`);
+      process.exit(policy.EXIT_CODES.pass);
     }
+
+    await baseline.save(baselinePath, entries);
+    log(`📌 Baseline updated: ${baselinePath}`);
+    log(`   ${entries.length} accepted finding(s), ${added} added, ${removed} removed`);
+    process.exit(policy.EXIT_CODES.pass);
+  }
+
+  // 自动修复（--fix）
+  if (options.fix) {
+    log('');
+    results = await remediate(results, checksToRun, options, log);
+  }
+
+  // 基线中不再出现的条目
+  results = baseline.reportStale(results, CONFIG.baseline);
+
+  // 标记被静默的问题（结果照常记录，只是不再告警）
+  let activeSilences = [];
+  try {
+    activeSilences = await silences.load(CONFIG.silencesFile);
+  } catch (error) {
+    console.warn(`⚠️  ${error.message} (silences ignored)`);
   }
+  results = silences.apply(results, activeSilences);
 
   const summary = generateSummary(results);
   const reportText = formatResults(results, summary);
 
-  console.log('');
-  console.log('## Summary');
-  console.log(`Overall: ${summary.overallStatus.toUpperCase()}`);
-  console.log(`Passed: ${summary.passed}/${summary.total}`);
+  log('');
+  log('## Summary');
+  log(`Overall: ${summary.overallStatus.toUpperCase()}`);
+  log(`Passed: ${summary.passed}/${summary.total}`);
+
+  const record = resultStore.buildRecord(results, summary, {
+    mode: options.full ? 'full' : 'quick',
+    selection: explicit || options.skip.length > 0
+      ? { only: options.only, skip: options.skip, tags: options.tags }
+      : undefined
+  });
 
   // 写入日志
   if (!options.dryRun) {
     await logger.append(CONFIG.healthLog, reportText);
-    console.log(`📝 Log saved to: ${CONFIG.healthLog}`);
+    log(`📝 Log saved to: ${CONFIG.healthLog}`);
+
+    await resultStore.append(CONFIG.resultsFile, record);
+    log(`🗃️  Results saved to: ${CONFIG.resultsFile}`);
+  }
+
+  // 输出机器可读报告
+  if (options.format) {
+    const formatted = reporters.format(options.format, {
+      results,
+      summary,
+      record,
+      reportText,
+      clawdRoot: CONFIG.clawdRoot
+    });
+
+    if (options.output) {
+      await fs.mkdir(path.dirname(path.resolve(options.output)), { recursive: true });
+      await fs.writeFile(options.output, formatted);
+      log(`🧾 ${options.format} report saved to: ${options.output}`);
+    } else {
+      const text = formatted.endsWith('\n') ? formatted : formatted + '\n';
+      await new Promise(resolve => process.stdout.write(text, resolve));
+    }
   }
 
   // 发送通知
   if (options.notify) {
-    // 检查是否仅在有问题时发送通知
-    const shouldNotify = !CONFIG.alertOnly || summary.overallStatus !== 'pass';
-
-    if (shouldNotify) {
-      console.log('📤 Sending notifications...');
-      await notifier.send(CONFIG, {
-        summary,
-        results,
-        reportText
-      });
+    // 对比上次通知时的状态，找出新问题、状态变化、恢复和到期的提醒
+    // 提醒间隔优先级: 环境变量 > 配置文件 > 默认值（分钟，0 表示不提醒）
+    const reminderInterval = CONFIG.reminderInterval !== null
+      ? CONFIG.reminderInterval
+      : fileConfig.alerts && fileConfig.alerts.reminderInterval !== undefined
+        ? fileConfig.alerts.reminderInterval
+        : alertState.DEFAULT_REMINDER_INTERVAL;
+    const previousState = await alertState.load(CONFIG.stateFile);
+    // 被静默的检查不参与告警，保持上次通知时的状态，静默到期后按实际状态告警
+    const { alerts, ongoing, state } = alertState.evaluate(previousState, results.filter(r => !r.silenced), {
+      reminderInterval: reminderInterval * 60000
+    });
+
+    // 按路由规则分发；仅告警模式下只有收到变化或到期提醒的渠道才发送
+    // 每个渠道的摘要和文本报告按其收到的检查重新生成
+    const deliveries = notifier.plan(CONFIG, {
+      summary,
+      results,
+      reportText,
+      record,
+      alerts,
+      ongoing
+    }, { summarize: generateSummary, format: formatResults });
+
+    let delivered = true;
+    if (deliveries.length > 0) {
+      log(`📤 Sending notifications (${deliveries.map(d => d.channel.name).join(', ')})...`);
+      for (const alert of alerts) {
+        log(`   ${alertState.describe(alert)}`);
+      }
+      const sent = await notifier.deliver(CONFIG, deliveries);
+      // 所有渠道都失败时不更新状态，下次运行重新告警
+      delivered = sent.some(r => r.success);
+    } else if (alerts.length > 0) {
+      log(`✓ ${alerts.length} change(s) routed to digest only, skipping notification`);
+    } else if (summary.silenced > 0 && ongoing.length === 0) {
+      log(`✓ ${summary.silenced} silenced issue(s), skipping notification`);
+    } else if (ongoing.length > 0) {
+      log(`✓ ${ongoing.length} known issue(s) unchanged, skipping notification (alert-only mode)`);
     } else {
-      console.log('✓ All checks passed, skipping notification (alert-only mode)');
+      log('✓ All checks passed, skipping notification (alert-only mode)');
+    }
+
+    if (delivered && !options.dryRun) {
+      await alertState.save(CONFIG.stateFile, state);
     }
   }
 
-  // 返回退出码
-  const exitCode = summary.overallStatus === 'pass' ? 0 : 1;
-  console.log('');
-  console.log(`Exit code: ${exitCode}`);
+  // 按退出码策略返回（检查级别的 failOn 优先于全局设置）
+  const overrides = {};
+  for (const check of checksToRun) {
+    if (check.failOn) overrides[check.id] = check.failOn;
+  }
+  const outcome = policy.evaluate(results, { failOn: options.failOn, checks: overrides });
+  log('');
+  log(`Exit code: ${outcome.exitCode} (${outcome.status}, fail-on: ${options.failOn})`);
 
-  process.exit(exitCode);
+  process.exit(outcome.exitCode);
 }
 
 // 错误处理
 process.on('unhandledRejection', (error) => {
   console.error('💥 Unhandled error:', error);
-  process.exit(1);
+  process.exit(policy.EXIT_CODES.error);
 });
 
 // 运行
 main().catch((error) => {
+  if (error instanceof configLoader.ConfigError) {
+    console.error(`💥 Configuration error: ${error.message}`);
+    process.exit(policy.EXIT_CODES.error);
+  }
   console.error('💥 Fatal error:', error);
-  process.exit(1);
+  process.exit(policy.EXIT_CODES.error);
 });
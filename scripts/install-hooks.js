@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * 🪝 安装 git hooks
+ * 在 clawd 仓库中安装 pre-commit / pre-push hook，提交或推送前检查新增内容中的 secret 和语法错误（见 hook.js）
+ *
+ * 用法:
+ *   node install-hooks.js                       # 安装 pre-commit 和 pre-push
+ *   node install-hooks.js --hooks pre-commit    # 只安装指定的 hook
+ *   node install-hooks.js --force               # 替换已有的 hook（原文件保存为 <hook>.backup）
+ *   node install-hooks.js --uninstall           # 移除本工具安装的 hook，并恢复备份
+ *   node install-hooks.js --repo <dir>          # 指定仓库（默认为 clawd 根目录）
+ */
+
+const { spawn } = require('child_process');
+const { existsSync } = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+
+// 加载 .env
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+
+const configLoader = require('./lib/config-loader');
+
+// Skill 根目录（用于查找配置文件）
+const SKILL_ROOT = path.join(__dirname, '..');
+
+const HOOKS = ['pre-commit', 'pre-push'];
+
+// 标记本工具安装的 hook
+const MARKER = '# self-health-check hook';
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+
+  const valueOf = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] && !args[index + 1].startsWith('--')
+      ? args[index + 1]
+      : null;
+  };
+
+  return {
+    hooks: valueOf('--hooks') ? valueOf('--hooks').split(',').map(s => s.trim()).filter(Boolean) : HOOKS,
+    repo: valueOf('--repo'),
+    force: args.includes('--force'),
+    uninstall: args.includes('--uninstall'),
+    config: valueOf('--config')
+  };
+}
+
+/**
+ * 获取仓库的 hooks 目录（支持 core.hooksPath 和 worktree）
+ */
+function hooksDir(repo) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('git', ['rev-parse', '--git-path', 'hooks'], { cwd: repo, stdio: ['ignore', 'pipe', 'pipe'] });
+
+    let stdout = '';
+    let stderr = '';
+
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+
+    proc.on('close', (code) => {
+      if (code === 0) {
+        resolve(path.resolve(repo, stdout.trim()));
+      } else {
+        reject(new Error(`${repo} is not a git repository: ${stderr.trim()}`));
+      }
+    });
+
+    proc.on('error', reject);
+  });
+}
+
+/**
+ * hook 脚本（skill 被删除后 hook 不再生效，不会阻止提交）
+ */
+function hookScript(hook) {
+  const script = path.join(__dirname, 'hook.js');
+  return [
+    '#!/bin/sh',
+    `${MARKER} (installed by scripts/install-hooks.js, remove with --uninstall)`,
+    `HOOK_SCRIPT="${script}"`,
+    '[ -f "$HOOK_SCRIPT" ] || exit 0',
+    `exec node "$HOOK_SCRIPT" ${hook} "$@"`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * 是否为本工具安装的 hook
+ */
+async function isManaged(hookPath) {
+  return (await fs.readFile(hookPath, 'utf-8')).includes(MARKER);
+}
+
+/**
+ * 安装 hook，返回是否成功
+ */
+async function install(dir, hook, force) {
+  const hookPath = path.join(dir, hook);
+
+  if (existsSync(hookPath) && !(await isManaged(hookPath))) {
+    if (!force) {
+      console.error(`✗ ${hook}: ${hookPath} already exists, use --force to replace it (it will be kept as ${hook}.backup)`);
+      return false;
+    }
+    await fs.rename(hookPath, `${hookPath}.backup`);
+    console.log(`  Existing ${hook} hook saved as ${hook}.backup`);
+  }
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(hookPath, hookScript(hook), { mode: 0o755 });
+  await fs.chmod(hookPath, 0o755);
+  console.log(`✓ ${hook} hook installed: ${hookPath}`);
+  return true;
+}
+
+/**
+ * 移除本工具安装的 hook，并恢复 --force 时保存的备份
+ */
+async function uninstall(dir, hook) {
+  const hookPath = path.join(dir, hook);
+
+  if (!existsSync(hookPath) || !(await isManaged(hookPath))) {
+    console.log(`- ${hook}: not installed by self-health-check, skipped`);
+    return;
+  }
+
+  await fs.unlink(hookPath);
+  if (existsSync(`${hookPath}.backup`)) {
+    await fs.rename(`${hookPath}.backup`, hookPath);
+    console.log(`✓ ${hook} hook removed, previous hook restored`);
+  } else {
+    console.log(`✓ ${hook} hook removed`);
+  }
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+  const options = parseArgs();
+
+  const unknown = options.hooks.filter(hook => !HOOKS.includes(hook));
+  if (unknown.length > 0) {
+    console.error(`💥 Unknown hook(s): ${unknown.join(', ')} (expected: ${HOOKS.join(', ')})`);
+    process.exit(1);
+  }
+
+  let repo = options.repo ? path.resolve(options.repo) : path.join(__dirname, '../../');
+  if (!options.repo) {
+    const fileConfig = await configLoader.load({ file: options.config, searchDirs: [SKILL_ROOT, repo] });
+    if (fileConfig.clawdRoot) repo = fileConfig.clawdRoot;
+  }
+
+  const dir = await hooksDir(repo);
+  if (existsSync(dir) && !(await fs.stat(dir)).isDirectory()) {
+    console.error(`💥 Hooks path ${dir} is not a directory, hooks are disabled for this repository (check core.hooksPath)`);
+    process.exit(1);
+  }
+
+  if (options.uninstall) {
+    for (const hook of options.hooks) {
+      await uninstall(dir, hook);
+    }
+    return;
+  }
+
+  let failed = 0;
+  for (const hook of options.hooks) {
+    if (!(await install(dir, hook, options.force))) failed++;
+  }
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  console.log('');
+  console.log('Staged changes are checked for secrets and syntax errors before each commit,');
+  console.log('and pushed commits before each push. To bypass (logged to the health check log):');
+  console.log('  HEALTH_CHECK_HOOK_BYPASS="<reason>" git commit ...');
+}
+
+main().catch((error) => {
+  if (error instanceof configLoader.ConfigError) {
+    console.error(`💥 ${error.message}`);
+    process.exit(1);
+  }
+  console.error('💥 Fatal error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,189 @@
+/**
+ * 🛡️ 安全公告数据库
+ * 联网时从 npm registry 的批量公告接口同步 lockfile 中各包的安全公告，保存为本地 JSON 文件，
+ * audit 检查只读取该文件，离线也能运行（测试时可以直接使用手写的数据库文件）
+ *
+ * 数据库格式:
+ *   {
+ *     version: 1,
+ *     syncedAt: '...',
+ *     source: 'https://registry.npmjs.org',
+ *     packages: {
+ *       axios: {
+ *         versions: ['0.21.0'],          // 同步时查询过的版本，其他版本不在覆盖范围内
+ *         advisories: [
+ *           { id: 1094, title: '...', severity: 'high', vulnerable_versions: '<0.21.2', url: '...', cwe: ['CWE-400'] }
+ *         ]
+ *       }
+ *     }
+ *   }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { existsSync } = require('fs');
+const semver = require('semver');
+
+const http = require('./http');
+const npmRegistry = require('./npm-registry');
+
+const DATABASE_VERSION = 1;
+
+// 严重程度（从低到高）
+const SEVERITIES = ['info', 'low', 'moderate', 'high', 'critical'];
+
+const DEFAULT_DATABASE_FILE = '/tmp/clawdbot/health-check-advisories.json';
+const DEFAULT_REGISTRY = npmRegistry.DEFAULT_REGISTRY;
+
+// 每次批量请求查询的包数
+const BATCH_SIZE = 100;
+
+/**
+ * 获取数据库路径（环境变量 > 配置文件 checks.audit.database > 默认值）
+ */
+function getDatabasePath(config = {}) {
+  return process.env.HEALTH_CHECK_ADVISORY_DB || config.database || DEFAULT_DATABASE_FILE;
+}
+
+/**
+ * 严重程度的排序值（未知的严重程度按 moderate 处理）
+ */
+function severityRank(severity) {
+  const rank = SEVERITIES.indexOf(severity);
+  return rank === -1 ? SEVERITIES.indexOf('moderate') : rank;
+}
+
+/**
+ * 读取数据库（文件不存在时返回 null，格式错误时抛出异常）
+ */
+async function load(file) {
+  if (!existsSync(file)) {
+    return null;
+  }
+
+  const db = JSON.parse(await fs.readFile(file, 'utf-8'));
+  if (!db || typeof db.packages !== 'object' || db.version > DATABASE_VERSION) {
+    throw new Error(`Invalid advisory database: ${file}`);
+  }
+  return db;
+}
+
+/**
+ * 保存数据库（先写临时文件再重命名）
+ */
+async function save(file, db) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmpPath = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(db, null, 2) + '\n');
+  await fs.rename(tmpPath, file);
+}
+
+/**
+ * 查找影响指定版本的公告
+ *
+ * 返回 { covered, advisories }；covered 为 false 表示同步时没有查询过该包或该版本
+ */
+function match(db, name, version) {
+  const entry = db.packages[name];
+  if (!entry) {
+    return { covered: false, advisories: [] };
+  }
+
+  const covered = !Array.isArray(entry.versions) || entry.versions.includes(version);
+  const advisories = (entry.advisories || []).filter(advisory => {
+    try {
+      return semver.satisfies(version, advisory.vulnerable_versions, { includePrerelease: true });
+    } catch {
+      return false;
+    }
+  });
+
+  return { covered, advisories };
+}
+
+/**
+ * 规范化接口返回的公告，只保留需要的字段
+ */
+function normalizeAdvisory(advisory) {
+  return {
+    id: advisory.id,
+    title: advisory.title,
+    severity: advisory.severity,
+    vulnerable_versions: advisory.vulnerable_versions,
+    url: advisory.url,
+    cwe: advisory.cwe
+  };
+}
+
+/**
+ * 从 registry 批量查询公告
+ *
+ * packages: Map<包名, Set<版本>>；返回 { [包名]: [advisory] }
+ * options: { registry, timeout, signal, onProgress(done, total) }
+ */
+async function fetchAdvisories(packages, options = {}) {
+  const registry = (options.registry || DEFAULT_REGISTRY).replace(/\/+$/, '');
+  const url = `${registry}/-/npm/v1/security/advisories/bulk`;
+  const names = [...packages.keys()].sort();
+  const result = {};
+
+  for (let i = 0; i < names.length; i += BATCH_SIZE) {
+    const batch = {};
+    for (const name of names.slice(i, i + BATCH_SIZE)) {
+      batch[name] = [...packages.get(name)].sort();
+    }
+
+    const response = await http.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(batch),
+      timeout: options.timeout,
+      signal: options.signal
+    });
+
+    const body = JSON.parse(response.body || '{}');
+    for (const [name, advisories] of Object.entries(body)) {
+      result[name] = (advisories || []).map(normalizeAdvisory);
+    }
+
+    if (options.onProgress) {
+      options.onProgress(Math.min(i + BATCH_SIZE, names.length), names.length);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 将查询结果合并到数据库（本次查询的包整体替换，其他包保留）
+ */
+function merge(db, packages, fetched, source, now = new Date()) {
+  const merged = { ...((db && db.packages) || {}) };
+
+  for (const [name, versions] of packages) {
+    merged[name] = {
+      versions: [...versions].sort(),
+      advisories: fetched[name] || []
+    };
+  }
+
+  return {
+    version: DATABASE_VERSION,
+    syncedAt: now.toISOString(),
+    source,
+    packages: merged
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  DEFAULT_DATABASE_FILE,
+  DEFAULT_REGISTRY,
+  getDatabasePath,
+  severityRank,
+  load,
+  save,
+  match,
+  fetchAdvisories,
+  merge
+};
@@ -0,0 +1,193 @@
+/**
+ * 🔔 告警状态
+ * 持久化每个检查上次通知时的状态，只在状态变化时告警（新问题、状态变化、恢复），
+ * 长时间未恢复的问题按提醒间隔重复告警
+ *
+ * 状态文件结构:
+ *   {
+ *     version: 1,
+ *     updatedAt: '2026-02-02T06:30:00.000Z',
+ *     checks: {
+ *       <checkId>: {
+ *         name: 'Git Check',
+ *         status: 'fail',
+ *         since: '...',          // 进入当前状态（pass 或有问题）的时间
+ *         lastNotified: '...'    // 上次为此检查发送告警的时间
+ *       }
+ *     }
+ *   }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { existsSync } = require('fs');
+
+const STATE_VERSION = 1;
+
+// 默认状态文件路径（与结果文件放在同一目录）
+const DEFAULT_STATE_PATH = '/tmp/clawdbot/health-check-state.json';
+
+// 默认提醒间隔（分钟），0 表示不提醒
+const DEFAULT_REMINDER_INTERVAL = 240;
+
+const ALERT_EMOJI = {
+  opened: '🆕',
+  changed: '🔀',
+  reminder: '🔁',
+  resolved: '✅'
+};
+
+/**
+ * 获取状态文件路径
+ */
+function getStatePath() {
+  return process.env.HEALTH_CHECK_STATE_FILE || DEFAULT_STATE_PATH;
+}
+
+/**
+ * 读取状态（文件不存在或无法解析时返回空状态）
+ */
+async function load(statePath) {
+  const empty = { version: STATE_VERSION, checks: {} };
+  if (!existsSync(statePath)) {
+    return empty;
+  }
+
+  try {
+    const state = JSON.parse(await fs.readFile(statePath, 'utf-8'));
+    if (!state || typeof state.checks !== 'object' || state.version > STATE_VERSION) {
+      return empty;
+    }
+    return state;
+  } catch {
+    return empty;
+  }
+}
+
+/**
+ * 保存状态（先写临时文件再重命名，避免中途退出留下半个文件）
+ */
+async function save(statePath, state) {
+  await fs.mkdir(path.dirname(statePath), { recursive: true });
+  const tmpPath = `${statePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(state, null, 2));
+  await fs.rename(tmpPath, statePath);
+}
+
+/**
+ * 将毫秒数格式化为 "2d 3h"、"3h 15m"、"5m"
+ */
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${mins}m`;
+  return `${mins}m`;
+}
+
+/**
+ * 对比本次结果与上次状态，找出需要告警的变化
+ *
+ * options.reminderInterval: 提醒间隔（毫秒），0 表示不提醒
+ * options.now: 当前时间（Date）
+ *
+ * 返回 { alerts, ongoing, state }
+ *   alerts: [{ type: opened|changed|reminder|resolved, id, name, status, previousStatus, since, duration }]
+ *   ongoing: 仍未恢复但本次不需要告警的问题
+ *   state: 发送告警后应保存的新状态（本次未运行的检查保持不变）
+ */
+function evaluate(previous, results, options = {}) {
+  const now = options.now || new Date();
+  const reminderInterval = options.reminderInterval || 0;
+  const checks = { ...previous.checks };
+  const alerts = [];
+  const ongoing = [];
+
+  for (const result of results) {
+    const prev = previous.checks[result.id];
+    const status = result.status;
+    const isProblem = status !== 'pass';
+    const wasProblem = Boolean(prev) && prev.status !== 'pass';
+
+    let type = null;
+    let since = now.toISOString();
+
+    if (isProblem && !wasProblem) {
+      type = 'opened';
+    } else if (!isProblem && wasProblem) {
+      type = 'resolved';
+    } else if (isProblem) {
+      since = prev.since;
+      const lastNotified = Date.parse(prev.lastNotified || prev.since);
+      if (status !== prev.status) {
+        type = 'changed';
+      } else if (reminderInterval > 0 && now - lastNotified >= reminderInterval) {
+        type = 'reminder';
+      }
+    } else if (prev) {
+      since = prev.since;
+    }
+
+    const entry = {
+      id: result.id,
+      name: result.name,
+      status,
+      previousStatus: prev ? prev.status : undefined,
+      since: type === 'resolved' ? prev.since : since,
+      duration: now - Date.parse(type === 'resolved' ? prev.since : since)
+    };
+
+    if (type) {
+      alerts.push({ type, ...entry });
+    } else if (isProblem) {
+      ongoing.push(entry);
+    }
+
+    checks[result.id] = {
+      name: result.name,
+      status,
+      since,
+      lastNotified: type ? now.toISOString() : prev && prev.lastNotified
+    };
+  }
+
+  return {
+    alerts,
+    ongoing,
+    state: { version: STATE_VERSION, updatedAt: now.toISOString(), checks }
+  };
+}
+
+/**
+ * 告警的单行描述
+ */
+function describe(alert) {
+  const emoji = ALERT_EMOJI[alert.type];
+  const duration = formatDuration(alert.duration);
+
+  switch (alert.type) {
+    case 'opened':
+      return `${emoji} New: ${alert.name} is ${alert.status}`;
+    case 'changed':
+      return `${emoji} Changed: ${alert.name} ${alert.previousStatus} → ${alert.status} (open for ${duration})`;
+    case 'reminder':
+      return `${emoji} Still ${alert.status}: ${alert.name} (open for ${duration})`;
+    case 'resolved':
+      return `${emoji} Resolved: ${alert.name} (was ${alert.previousStatus} for ${duration})`;
+    default:
+      return `${alert.name}: ${alert.status}`;
+  }
+}
+
+module.exports = {
+  DEFAULT_REMINDER_INTERVAL,
+  getStatePath,
+  load,
+  save,
+  evaluate,
+  describe,
+  formatDuration
+};
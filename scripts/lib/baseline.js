@@ -0,0 +1,197 @@
+/**
+ * 📌 基线（已接受的发现）
+ * 记录已知且已接受的发现（例如变量名包含 key 的 "potential secret in env" 警告），
+ * 检查只报告不在基线中的新发现；基线中不再出现的条目会被报告为过期（stale）
+ *
+ * 基线文件默认为 clawd 根目录下的 .health-check-baseline.json，应提交到仓库:
+ *   {
+ *     version: 1,
+ *     findings: [
+ *       {
+ *         fingerprint: '3f2a…',          // 由检查根据规则、文件和内容计算，不含行号，代码移动后仍然有效
+ *         check: 'git',
+ *         rule: 'API Key',
+ *         file: 'scripts/example.js',
+ *         message: '...',                // 不含 secret 本身
+        scope: 'deep',                 // 可选，产生该发现的扫描范围
+ *         acceptedAt: '...',
+ *         reason: '...'                  // 可选，手动填写接受原因，重新生成时保留
+ *       }
+ *     ]
+ *   }
+ *
+ * 检查模块通过 options.baseline.isAccepted(finding) 判断发现是否已接受，
+ * finding: { fingerprint, rule, file, message, scope? }
+ *
+ * 只有部分扫描范围会运行的检查（如 git 的 --deep）为发现标注 scope，
+ * 并通过 options.baseline.scanned(scope) 声明本次运行覆盖的范围；
+ * 带 scope 的条目只在对应范围运行时才判断过期，重新生成时未覆盖的条目原样保留
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { existsSync } = require('fs');
+
+const BASELINE_VERSION = 1;
+
+// 默认基线文件名（相对 clawd 根目录）
+const DEFAULT_BASELINE_FILE = '.health-check-baseline.json';
+
+/**
+ * 获取基线文件路径（环境变量 > 配置文件 baseline.file > 默认值，相对路径基于 clawd 根目录）
+ */
+function getBaselinePath(clawdRoot, config = {}) {
+  const file = process.env.HEALTH_CHECK_BASELINE_FILE ||
+    (config.baseline && config.baseline.file) ||
+    DEFAULT_BASELINE_FILE;
+  return path.resolve(clawdRoot, file);
+}
+
+/**
+ * 计算发现的指纹
+ */
+function fingerprint(...parts) {
+  return crypto.createHash('sha256').update(parts.join('\0')).digest('hex').slice(0, 24);
+}
+
+/**
+ * 读取基线（文件不存在时返回空列表，格式错误时抛出异常，避免误报所有已接受的发现）
+ */
+async function load(baselinePath) {
+  if (!existsSync(baselinePath)) {
+    return [];
+  }
+
+  const data = JSON.parse(await fs.readFile(baselinePath, 'utf-8'));
+  if (!data || !Array.isArray(data.findings) || data.version > BASELINE_VERSION) {
+    throw new Error(`Invalid baseline file: ${baselinePath}`);
+  }
+  return data.findings;
+}
+
+/**
+ * 保存基线（按检查、文件、规则排序，便于代码审查时对比差异）
+ */
+async function save(baselinePath, entries) {
+  const findings = [...entries].sort((a, b) =>
+    a.check.localeCompare(b.check) ||
+    String(a.file || '').localeCompare(String(b.file || '')) ||
+    String(a.rule || '').localeCompare(String(b.rule || '')) ||
+    a.fingerprint.localeCompare(b.fingerprint)
+  );
+
+  await fs.mkdir(path.dirname(baselinePath), { recursive: true });
+  await fs.writeFile(baselinePath, JSON.stringify({ version: BASELINE_VERSION, findings }, null, 2) + '\n');
+}
+
+/**
+ * 创建跟踪器，记录本次运行中每个检查报告的发现
+ */
+function createTracker(entries) {
+  const accepted = new Map(entries.map(entry => [`${entry.check}:${entry.fingerprint}`, entry]));
+  const seen = new Map();
+  const scopes = new Map();
+
+  // 条目所属的检查已完成且其扫描范围已运行
+  const covers = (checkIds, entry) =>
+    checkIds.includes(entry.check) &&
+    (!entry.scope || (scopes.has(entry.check) && scopes.get(entry.check).has(entry.scope)));
+
+  return {
+    // 传给检查模块的 options.baseline
+    forCheck(checkId) {
+      return {
+        isAccepted(finding) {
+          const key = `${checkId}:${finding.fingerprint}`;
+          // 同一发现出现在多个范围时保留最先报告的范围
+          if (!seen.has(key)) {
+            seen.set(key, { check: checkId, ...finding });
+          }
+          return accepted.has(key);
+        },
+        scanned(scope) {
+          if (!scopes.has(checkId)) scopes.set(checkId, new Set());
+          scopes.get(checkId).add(scope);
+        }
+      };
+    },
+
+    // 指定检查中不再出现的基线条目（只包含本次运行覆盖范围内的条目）
+    stale(checkIds) {
+      return entries.filter(entry =>
+        covers(checkIds, entry) && !seen.has(`${entry.check}:${entry.fingerprint}`)
+      );
+    },
+
+    // 用本次发现重新生成基线（未运行的检查或范围保留原条目，已有条目保留接受时间和原因）
+    // 返回 { entries, added, removed, changes: { added: [条目], removed: [条目] } }
+    regenerate(checkIds, now = new Date()) {
+      const kept = entries.filter(entry =>
+        !covers(checkIds, entry) && !(checkIds.includes(entry.check) && seen.has(`${entry.check}:${entry.fingerprint}`))
+      );
+      const current = [...seen.entries()]
+        .filter(([, finding]) => checkIds.includes(finding.check))
+        .map(([key, finding]) => {
+          const previous = accepted.get(key);
+          return {
+            fingerprint: finding.fingerprint,
+            check: finding.check,
+            rule: finding.rule,
+            file: finding.file,
+            message: finding.message,
+            // 已接受条目的范围本次未运行时沿用原范围
+            scope: previous && previous.scope && !covers(checkIds, previous) ? previous.scope : finding.scope,
+            acceptedAt: previous ? previous.acceptedAt : now.toISOString(),
+            reason: previous ? previous.reason : undefined
+          };
+        });
+
+      const added = current.filter(entry => !accepted.has(`${entry.check}:${entry.fingerprint}`));
+      const removed = this.stale(checkIds);
+
+      return {
+        entries: [...kept, ...current],
+        added: added.length,
+        removed: removed.length,
+        changes: { added, removed }
+      };
+    }
+  };
+}
+
+/**
+ * 为结果附加过期基线条目的提示（不改变检查状态）
+ */
+function reportStale(results, tracker) {
+  // 出错或超时的检查没有完整执行，不判断过期
+  const completed = results.filter(result => result.status !== 'error').map(result => result.id);
+  const stale = tracker.stale(completed);
+
+  return results.map(result => {
+    const entries = stale.filter(entry => entry.check === result.id);
+    if (entries.length === 0) return result;
+
+    return {
+      ...result,
+      details: [
+        ...(result.details || []),
+        ...entries.map(entry => ({
+          status: 'warning',
+          message: `Stale baseline entry ${entry.fingerprint}: ${entry.message || entry.rule} no longer occurs (regenerate with --update-baseline)`,
+          file: entry.file
+        }))
+      ]
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_BASELINE_FILE,
+  getBaselinePath,
+  fingerprint,
+  load,
+  save,
+  createTracker,
+  reportStale
+};
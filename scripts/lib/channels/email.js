@@ -0,0 +1,254 @@
+/**
+ * 📧 Email 通知渠道
+ * 通过 SMTP 发送 formatResults() 生成的完整报告（纯文本 + HTML），按严重程度抄送不同收件人
+ *
+ * 渠道配置（health-check.config 中 channels.<name>）:
+ *   {
+ *     type: 'email',
+ *     host: 'smtp.example.com',       // 默认使用 HEALTH_CHECK_SMTP_HOST
+ *     port: 587,                      // 默认使用 HEALTH_CHECK_SMTP_PORT，secure 时为 465，否则为 587
+ *     secure: false,                  // 连接时直接使用 TLS（465 端口）
+ *     starttls: true,                 // 服务器支持时升级为 TLS
+ *     requireTls: false,              // 无法建立 TLS 时不发送
+ *     allowInsecureAuth: false,       // 允许在未加密的连接上认证（默认不允许，此时不发送）
+ *     rejectUnauthorized: true,       // 校验服务器证书
+ *     user: '...', pass: '...',       // 默认使用 HEALTH_CHECK_SMTP_USER / HEALTH_CHECK_SMTP_PASS，未设置时不认证
+ *     from: 'Health Check <health@example.com>',  // 默认使用 HEALTH_CHECK_EMAIL_FROM
+ *     to: ['team@example.com'],       // 总是收到的收件人
+ *     recipients: {                   // 报告达到该级别时额外发送（warning < fail < error）
+ *       fail: ['oncall@example.com']
+ *     },
+ *     subjectPrefix: '[Health Check]',
+ *     timeout: 30000
+ *   }
+ *
+ * 本地测试可以指向不需要 TLS 和认证的 SMTP sink（例如 MailHog 的 localhost:1025）
+ */
+
+const os = require('os');
+
+const smtp = require('../smtp');
+const alertState = require('../alert-state');
+
+const DEFAULT_SUBJECT_PREFIX = '[Health Check]';
+
+// 严重程度（用于按级别选择收件人）
+const SEVERITY = {
+  pass: 0,
+  warning: 1,
+  fail: 2,
+  error: 3,
+  unknown: 3
+};
+
+const STATUS_COLOR = {
+  pass: '#2e7d32',
+  warning: '#ef6c00',
+  fail: '#c62828',
+  error: '#6a1b9a',
+  unknown: '#616161'
+};
+
+const addressList = { type: 'array', items: { type: 'string' } };
+
+const CONFIG_SCHEMA = {
+  host: { type: 'string' },
+  port: { type: 'integer', minimum: 1 },
+  secure: { type: 'boolean' },
+  starttls: { type: 'boolean' },
+  requireTls: { type: 'boolean' },
+  allowInsecureAuth: { type: 'boolean' },
+  rejectUnauthorized: { type: 'boolean' },
+  user: { type: 'string' },
+  pass: { type: 'string' },
+  from: { type: 'string' },
+  to: addressList,
+  recipients: {
+    type: 'object',
+    additionalProperties: false,
+    properties: { warning: addressList, fail: addressList, error: addressList }
+  },
+  subjectPrefix: { type: 'string' },
+  timeout: { type: 'integer', minimum: 1 }
+};
+
+/**
+ * 转义 HTML 特殊字符
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 报告的严重程度（已恢复的问题按恢复前的状态计算，恢复通知发给原来的收件人）
+ */
+function severityOf(report) {
+  const statuses = [
+    report.summary.overallStatus,
+    ...(report.alerts || []).filter(alert => alert.type === 'resolved').map(alert => alert.previousStatus)
+  ];
+  return Math.max(...statuses.map(status => SEVERITY[status] !== undefined ? SEVERITY[status] : SEVERITY.unknown));
+}
+
+/**
+ * 按严重程度确定收件人（去重）
+ */
+function resolveRecipients(channel, severity) {
+  const recipients = [...(channel.to || [])];
+  for (const [level, addresses] of Object.entries(channel.recipients || {})) {
+    if (severity >= SEVERITY[level]) recipients.push(...addresses);
+  }
+  return [...new Set(recipients)];
+}
+
+/**
+ * 纯文本正文：状态变化 + formatResults() 的报告
+ */
+function buildText(report) {
+  const alerts = report.alerts || [];
+  if (alerts.length === 0) return report.reportText;
+
+  return ['## Changes', ...alerts.map(alertState.describe), '', report.reportText].join('\n');
+}
+
+/**
+ * HTML 正文：摘要表格、状态变化和完整报告
+ */
+function buildHtml(report) {
+  const { summary } = report;
+  const color = STATUS_COLOR[summary.overallStatus] || STATUS_COLOR.unknown;
+  const alerts = report.alerts || [];
+
+  let html = '<!DOCTYPE html><html><body style="font-family: -apple-system, Segoe UI, sans-serif; color: #212121;">';
+  html += `<h2 style="color: ${color};">Health Check: ${escapeHtml(summary.overallStatus.toUpperCase())}</h2>`;
+  html += `<p>${escapeHtml(os.hostname())} · ${escapeHtml(summary.timestamp)}</p>`;
+
+  html += '<table cellpadding="6" style="border-collapse: collapse;">';
+  for (const [label, value] of [
+    ['Passed', `${summary.passed}/${summary.total}`],
+    ['Warnings', summary.warnings],
+    ['Failed', summary.failed],
+    ['Errors', summary.errors]
+  ]) {
+    html += `<tr><td style="border: 1px solid #ddd;">${label}</td><td style="border: 1px solid #ddd;">${escapeHtml(value)}</td></tr>`;
+  }
+  html += '</table>';
+
+  if (alerts.length > 0) {
+    html += '<h3>Changes</h3><ul>';
+    for (const alert of alerts) {
+      html += `<li>${escapeHtml(alertState.describe(alert))}</li>`;
+    }
+    html += '</ul>';
+  }
+
+  html += '<h3>Full Report</h3>';
+  html += `<pre style="background: #f5f5f5; padding: 12px; white-space: pre-wrap;">${escapeHtml(report.reportText)}</pre>`;
+  html += '</body></html>';
+
+  return html;
+}
+
+/**
+ * 补全 SMTP 连接参数（未配置时从环境变量读取）
+ */
+function resolve(channel) {
+  const port = channel.port || parseInt(process.env.HEALTH_CHECK_SMTP_PORT) || undefined;
+  return {
+    host: channel.host || process.env.HEALTH_CHECK_SMTP_HOST,
+    port,
+    secure: channel.secure,
+    starttls: channel.starttls,
+    requireTls: channel.requireTls,
+    allowInsecureAuth: channel.allowInsecureAuth,
+    rejectUnauthorized: channel.rejectUnauthorized,
+    user: channel.user || process.env.HEALTH_CHECK_SMTP_USER || undefined,
+    pass: channel.pass || process.env.HEALTH_CHECK_SMTP_PASS || undefined,
+    timeout: channel.timeout
+  };
+}
+
+/**
+ * 发送邮件，缺少主机或收件人时跳过
+ */
+async function deliver(channel, recipients, subject, text, html, label) {
+  const options = resolve(channel);
+
+  if (!options.host) {
+    console.log(`⚠ HEALTH_CHECK_SMTP_HOST not set, skipping email (${channel.name})`);
+    return { success: false, error: 'HEALTH_CHECK_SMTP_HOST not set' };
+  }
+  if (recipients.length === 0) {
+    console.log(`⚠ No recipients configured, skipping email (${channel.name})`);
+    return { success: false, error: 'No recipients' };
+  }
+
+  try {
+    const sent = await smtp.sendMail(options, {
+      from: channel.from || process.env.HEALTH_CHECK_EMAIL_FROM || `health-check@${os.hostname()}`,
+      to: recipients,
+      subject,
+      text,
+      html
+    });
+
+    if (sent.rejected.length > 0) {
+      console.error(`  ⚠ Email ${channel.name}: rejected recipient(s) ${sent.rejected.join(', ')}`);
+    }
+    console.log(`✓ Email ${label} sent (${channel.name}, ${sent.accepted.length} recipient(s))`);
+    return { success: true, accepted: sent.accepted, rejected: sent.rejected };
+  } catch (error) {
+    console.error(`✗ Email ${label} failed (${channel.name}):`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 发送邮件通知
+ */
+async function send(channel, report) {
+  const { summary } = report;
+  const issues = summary.total - summary.passed;
+  const subject = `${channel.subjectPrefix || DEFAULT_SUBJECT_PREFIX} ${os.hostname()}: ` +
+    `${summary.overallStatus.toUpperCase()}${issues > 0 ? ` (${issues} issue(s))` : ''}`;
+
+  return deliver(
+    channel,
+    resolveRecipients(channel, severityOf(report)),
+    subject,
+    buildText(report),
+    buildHtml(report),
+    'notification'
+  );
+}
+
+/**
+ * 发送日报（digest.js），只发给 to 中的收件人
+ */
+async function sendDigest(channel, digest) {
+  const html = '<!DOCTYPE html><html><body style="font-family: -apple-system, Segoe UI, sans-serif;">' +
+    `<h2>${escapeHtml(digest.title)}</h2>` +
+    `<pre style="white-space: pre-wrap;">${escapeHtml(digest.text)}</pre></body></html>`;
+
+  return deliver(
+    channel,
+    channel.to || [],
+    `${channel.subjectPrefix || DEFAULT_SUBJECT_PREFIX} ${digest.title}`,
+    digest.text,
+    html,
+    'digest'
+  );
+}
+
+module.exports = {
+  type: 'email',
+  configSchema: CONFIG_SCHEMA,
+  resolveRecipients,
+  buildHtml,
+  send,
+  sendDigest
+};
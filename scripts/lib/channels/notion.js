@@ -0,0 +1,102 @@
+/**
+ * 📓 Notion 通知渠道
+ * 通过 notion-persistence-universal skill 将报告保存为 Notion 页面
+ *
+ * 渠道配置（health-check.config 中 channels.<name>）:
+ *   {
+ *     type: 'notion',
+ *     databaseId: '...'    // 默认使用 HEALTH_CHECK_NOTION_DB_ID
+ *   }
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+
+const CONFIG_SCHEMA = {
+  databaseId: { type: 'string' }
+};
+
+/**
+ * 调用 notion-persistence-universal skill 保存内容
+ */
+function saveContent(clawdRoot, content) {
+  const saveScript = path.join(clawdRoot, 'skills/notion-persistence-universal/scripts/save-content.js');
+
+  return new Promise((resolve) => {
+    const args = [
+      '--type', 'health_check',
+      '--content', content
+    ];
+
+    const proc = spawn('node', [saveScript, ...args], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let stdout = '';
+    let stderr = '';
+
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+
+    proc.on('close', (code) => {
+      if (code === 0) {
+        console.log('✓ Notion page created');
+        resolve({ success: true, output: stdout });
+      } else {
+        console.error('✗ Notion save failed:', stderr);
+        resolve({ success: false, error: stderr });
+      }
+    });
+
+    proc.on('error', (err) => {
+      console.error('✗ Failed to save to Notion:', err.message);
+      resolve({ success: false, error: err.message });
+    });
+  });
+}
+
+/**
+ * 发送到 Notion
+ */
+async function send(channel, report, context = {}) {
+  const { summary, reportText } = report;
+  const databaseId = channel.databaseId || process.env.HEALTH_CHECK_NOTION_DB_ID;
+
+  if (!databaseId) {
+    console.log('⚠ No Notion DB configured, skipping');
+    return { success: false, error: 'No Notion DB ID' };
+  }
+
+  // 构建内容
+  const content = `## Summary\n\n` +
+    `- Status: ${summary.overallStatus}\n` +
+    `- Passed: ${summary.passed}\n` +
+    `- Warnings: ${summary.warnings}\n` +
+    `- Failed: ${summary.failed}\n` +
+    `- Errors: ${summary.errors}\n\n` +
+    `## Full Report\n\n` +
+    reportText;
+
+  return saveContent(context.clawdRoot, content);
+}
+
+/**
+ * 发送日报（digest.js）
+ */
+async function sendDigest(channel, digest, context = {}) {
+  const databaseId = channel.databaseId || process.env.HEALTH_CHECK_NOTION_DB_ID;
+
+  if (!databaseId) {
+    console.log('⚠ No Notion DB configured, skipping');
+    return { success: false, error: 'No Notion DB ID' };
+  }
+
+  return saveContent(context.clawdRoot, `# ${digest.title}\n\n${digest.markdown}`);
+}
+
+module.exports = {
+  type: 'notion',
+  configSchema: CONFIG_SCHEMA,
+  send,
+  sendDigest
+};
@@ -0,0 +1,320 @@
+/**
+ * ✈️ Telegram 通知渠道
+ * 直接调用 Telegram Bot API 发送完整报告（MarkdownV2），超长时分多条发送，并附上完整文本报告
+ *
+ * 渠道配置（health-check.config 中 channels.<name>）:
+ *   {
+ *     type: 'telegram',
+ *     group: 'discussion',          // discussion | general | daily_report，对应 TELEGRAM_<GROUP>_GROUP_ID
+ *     chatId: '-1001234567890',     // 或直接指定 chat id（优先于 group）
+ *     token: '...',                 // 默认使用 TELEGRAM_BOT_TOKEN
+ *     attachReport: true,           // 是否以文件形式附上完整报告
+ *     apiBase: 'https://api.telegram.org',
+ *     timeout: 10000, retries: 3
+ *   }
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+
+const http = require('../http');
+const alertState = require('../alert-state');
+
+const DEFAULT_API_BASE = 'https://api.telegram.org';
+
+// Telegram 单条消息上限为 4096 字符
+const MAX_MESSAGE_LENGTH = 4096;
+
+const GROUPS = ['discussion', 'general', 'daily_report'];
+
+const CONFIG_SCHEMA = {
+  group: { type: 'string', enum: GROUPS },
+  chatId: { type: ['string', 'integer'] },
+  token: { type: 'string' },
+  attachReport: { type: 'boolean' },
+  apiBase: { type: 'string' },
+  timeout: { type: 'integer', minimum: 1 },
+  retries: { type: 'integer', minimum: 0 }
+};
+
+const STATUS_EMOJI = {
+  pass: '✅',
+  warning: '⚠️',
+  fail: '❌',
+  error: '💥',
+  unknown: '❓'
+};
+
+/**
+ * 转义 MarkdownV2 特殊字符
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+/**
+ * 构建 MarkdownV2 格式的完整消息
+ */
+function buildMessage(report) {
+  const { summary, results } = report;
+  const alerts = report.alerts || [];
+  const lines = [];
+
+  // 每个未恢复问题已持续的时间
+  const openFor = {};
+  for (const issue of [...alerts, ...(report.ongoing || [])]) {
+    if (issue.type !== 'resolved') openFor[issue.id] = issue.duration;
+  }
+
+  lines.push(`*${escapeMarkdown(`${STATUS_EMOJI[summary.overallStatus]} Health Check: ${summary.overallStatus.toUpperCase()}`)}*`);
+  lines.push(escapeMarkdown(`🖥 ${os.hostname()} | ${summary.timestamp}`));
+  lines.push('');
+  lines.push(escapeMarkdown(
+    `Passed: ${summary.passed}/${summary.total} | Warnings: ${summary.warnings} | Failed: ${summary.failed} | Errors: ${summary.errors}`
+  ));
+
+  if (alerts.length > 0) {
+    lines.push('');
+    lines.push(`*${escapeMarkdown('Changes:')}*`);
+    for (const alert of alerts) {
+      lines.push(escapeMarkdown(alertState.describe(alert)));
+    }
+  }
+
+  const active = results.filter(r => !r.silenced);
+  const sections = [
+    { title: 'Issues Found', items: active.filter(r => r.status !== 'pass' && r.status !== 'warning') },
+    { title: 'Warnings', items: active.filter(r => r.status === 'warning') }
+  ];
+
+  for (const section of sections) {
+    if (section.items.length === 0) continue;
+
+    lines.push('');
+    lines.push(`*${escapeMarkdown(section.title)}:*`);
+
+    for (const result of section.items) {
+      const emoji = STATUS_EMOJI[result.status] || STATUS_EMOJI.unknown;
+      const duration = openFor[result.id] !== undefined
+        ? escapeMarkdown(` (open for ${alertState.formatDuration(openFor[result.id])})`)
+        : '';
+      lines.push(`${emoji} *${escapeMarkdown(result.name)}*${duration}`);
+      if (result.message) {
+        lines.push(`  ${escapeMarkdown(result.message)}`);
+      }
+      for (const detail of (result.details || []).filter(d => d.status !== 'pass')) {
+        lines.push(`  • ${escapeMarkdown(detail.message.trim())}`);
+      }
+      if (result.error) {
+        lines.push(`  ${escapeMarkdown(`Error: ${result.error}`)}`);
+      }
+    }
+  }
+
+  const silenced = results.filter(r => r.silenced);
+  if (silenced.length > 0) {
+    lines.push('');
+    lines.push(`*${escapeMarkdown('Silenced:')}*`);
+    for (const result of silenced) {
+      const emoji = STATUS_EMOJI[result.status] || STATUS_EMOJI.unknown;
+      lines.push(`🔕 ${emoji} ${escapeMarkdown(`${result.name} until ${result.silenced.expiresAt}: ${result.silenced.reason}`)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 按行把消息拆分为不超过 limit 的多段
+ *
+ * 单行超长时在 limit 处硬拆分，但不会拆开转义序列
+ */
+function splitMessage(text, limit = MAX_MESSAGE_LENGTH) {
+  const chunks = [];
+  let current = '';
+
+  const pushLine = (line) => {
+    const candidate = current ? `${current}\n${line}` : line;
+    if (candidate.length <= limit) {
+      current = candidate;
+      return;
+    }
+
+    if (current) {
+      chunks.push(current);
+      current = '';
+    }
+
+    while (line.length > limit) {
+      let cut = limit;
+      // 避免把 "\x" 转义拆到两条消息里
+      let backslashes = 0;
+      while (cut - backslashes - 1 >= 0 && line[cut - backslashes - 1] === '\\') backslashes++;
+      if (backslashes % 2 === 1) cut--;
+
+      chunks.push(line.slice(0, cut));
+      line = line.slice(cut);
+    }
+    current = line;
+  };
+
+  for (const line of text.split('\n')) {
+    pushLine(line);
+  }
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+/**
+ * 调用 Bot API 方法
+ */
+async function callApi(channel, method, body, headers) {
+  const url = `${channel.apiBase || DEFAULT_API_BASE}/bot${channel.token}/${method}`;
+  const response = await http.request(url, {
+    method: 'POST',
+    headers,
+    body,
+    timeout: channel.timeout,
+    retries: channel.retries,
+    onRetry: (error, attempt, delay) => {
+      console.error(`  ↻ Telegram ${method} failed (${error.message}), retry ${attempt} in ${delay}ms`);
+    }
+  });
+
+  const data = JSON.parse(response.body);
+  if (!data.ok) {
+    throw new Error(`Telegram ${method} failed: ${data.description}`);
+  }
+  return data.result;
+}
+
+/**
+ * 发送文本消息
+ */
+function sendMessage(channel, text) {
+  return callApi(channel, 'sendMessage', JSON.stringify({
+    chat_id: channel.chatId,
+    text,
+    parse_mode: 'MarkdownV2',
+    disable_web_page_preview: true
+  }), { 'Content-Type': 'application/json' });
+}
+
+/**
+ * 以文件形式发送完整报告（multipart/form-data）
+ */
+function sendDocument(channel, filename, content, caption) {
+  const boundary = `----health-check-${crypto.randomBytes(12).toString('hex')}`;
+  const field = (name, value) =>
+    `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`;
+
+  const body = Buffer.concat([
+    Buffer.from(field('chat_id', channel.chatId) + field('caption', caption)),
+    Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="document"; filename="${filename}"\r\n` +
+      'Content-Type: text/plain; charset=utf-8\r\n\r\n'
+    ),
+    Buffer.from(content),
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ]);
+
+  return callApi(channel, 'sendDocument', body, {
+    'Content-Type': `multipart/form-data; boundary=${boundary}`
+  });
+}
+
+/**
+ * 补全 token 和 chat id（未配置时从环境变量读取）
+ */
+function resolve(channel) {
+  const group = channel.group || 'discussion';
+  return {
+    ...channel,
+    token: channel.token || process.env.TELEGRAM_BOT_TOKEN,
+    chatId: channel.chatId || process.env[`TELEGRAM_${group.toUpperCase()}_GROUP_ID`],
+    chatSource: channel.chatId ? 'chatId' : `TELEGRAM_${group.toUpperCase()}_GROUP_ID`
+  };
+}
+
+/**
+ * 检查 token 和 chat id，缺少时返回跳过原因
+ */
+function missingTarget(channel, target) {
+  if (!target.token) {
+    console.log(`⚠ TELEGRAM_BOT_TOKEN not set, skipping Telegram (${channel.name})`);
+    return { success: false, error: 'TELEGRAM_BOT_TOKEN not set' };
+  }
+  if (!target.chatId) {
+    console.log(`⚠ ${target.chatSource} not set, skipping Telegram (${channel.name})`);
+    return { success: false, error: `${target.chatSource} not set` };
+  }
+  return null;
+}
+
+/**
+ * 分段发送消息，返回消息条数
+ */
+async function sendChunks(target, text) {
+  // 预留分页标记 "(n/m)" 的长度
+  const chunks = splitMessage(text, MAX_MESSAGE_LENGTH - 16);
+  for (let i = 0; i < chunks.length; i++) {
+    const part = chunks.length > 1 ? `\n${escapeMarkdown(`(${i + 1}/${chunks.length})`)}` : '';
+    await sendMessage(target, chunks[i] + part);
+  }
+  return chunks.length;
+}
+
+/**
+ * 发送 Telegram 通知
+ */
+async function send(channel, report) {
+  const target = resolve(channel);
+  const skipped = missingTarget(channel, target);
+  if (skipped) return skipped;
+
+  try {
+    const messages = await sendChunks(target, buildMessage(report));
+
+    if (channel.attachReport !== false && report.reportText) {
+      const date = report.summary.timestamp.replace(/[:.]/g, '-');
+      await sendDocument(target, `health-check-${date}.txt`, report.reportText, 'Full health check report');
+    }
+
+    console.log(`✓ Telegram notification sent (${channel.name}, ${messages} message(s))`);
+    return { success: true, messages };
+  } catch (error) {
+    console.error(`✗ Telegram notification failed (${channel.name}):`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 发送日报（digest.js）
+ */
+async function sendDigest(channel, digest) {
+  const target = resolve(channel);
+  const skipped = missingTarget(channel, target);
+  if (skipped) return skipped;
+
+  try {
+    const messages = await sendChunks(target, `*${escapeMarkdown(digest.title)}*\n\n${escapeMarkdown(digest.text)}`);
+    console.log(`✓ Telegram digest sent (${channel.name}, ${messages} message(s))`);
+    return { success: true, messages };
+  } catch (error) {
+    console.error(`✗ Telegram digest failed (${channel.name}):`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  type: 'telegram',
+  configSchema: CONFIG_SCHEMA,
+  escapeMarkdown,
+  buildMessage,
+  splitMessage,
+  send,
+  sendDigest
+};
@@ -0,0 +1,195 @@
+/**
+ * 🪝 Webhook 通知渠道
+ * 将健康检查结果以 JSON 发送到任意 HTTP 接口
+ *
+ * 渠道配置（health-check.config 中 channels.<name>）:
+ *   {
+ *     type: 'webhook',
+ *     url: 'https://example.com/hooks/health',
+ *     method: 'POST',                          // POST | PUT | PATCH
+ *     headers: { Authorization: 'Bearer ...' },
+ *     body: { text: '{{summary.overallStatus}}', checks: '{{issues}}' },  // 可选，默认发送完整结果记录和 alerts
+ *     digestBody: { text: '{{title}}\n{{text}}' },  // 可选，日报的请求体模板，默认发送完整日报数据
+ *     secret: '...',                           // 可选，对请求体做 HMAC-SHA256 签名
+ *     signatureHeader: 'X-Health-Check-Signature',
+ *     timeout: 10000, retries: 3, backoff: 1000
+ *   }
+ *
+ * 模板: 字符串中的 {{path}} 会替换为上下文中对应的值；
+ * 整个字符串只有一个占位符时保留原始类型（对象、数组、数字）
+ *   上下文: summary, results, issues（非 pass 的检查）, alerts（本次告警的状态变化）,
+ *   host, timestamp, report（文本报告）, record
+ *   日报上下文: title, text（文本日报）, digest（统计数据）, host, timestamp
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+
+const http = require('../http');
+const alertState = require('../alert-state');
+
+const DEFAULT_SIGNATURE_HEADER = 'X-Health-Check-Signature';
+
+const CONFIG_SCHEMA = {
+  url: { type: 'string' },
+  method: { type: 'string', enum: ['POST', 'PUT', 'PATCH'] },
+  headers: { type: 'object', additionalProperties: { type: 'string' } },
+  body: {},
+  digestBody: {},
+  secret: { type: 'string' },
+  signatureHeader: { type: 'string' },
+  timeout: { type: 'integer', minimum: 1 },
+  retries: { type: 'integer', minimum: 0 },
+  backoff: { type: 'integer', minimum: 0 }
+};
+
+/**
+ * 按点分隔路径取值
+ */
+function lookup(context, keyPath) {
+  return keyPath.split('.').reduce(
+    (value, key) => (value === undefined || value === null ? undefined : value[key]),
+    context
+  );
+}
+
+/**
+ * 渲染模板（递归处理对象和数组）
+ */
+function render(template, context) {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) {
+      return lookup(context, whole[1]);
+    }
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, keyPath) => {
+      const value = lookup(context, keyPath);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  if (Array.isArray(template)) {
+    return template.map(item => render(item, context));
+  }
+
+  if (template && typeof template === 'object') {
+    const rendered = {};
+    for (const [key, value] of Object.entries(template)) {
+      rendered[key] = render(value, context);
+    }
+    return rendered;
+  }
+
+  return template;
+}
+
+/**
+ * 构建模板上下文
+ */
+function buildContext(report) {
+  const results = report.results.map(result => ({
+    id: result.id,
+    name: result.name,
+    status: result.status,
+    message: result.message,
+    error: result.error,
+    tags: result.tags || [],
+    duration: result.duration,
+    silenced: result.silenced
+  }));
+
+  return {
+    summary: report.summary,
+    results,
+    issues: results.filter(result => result.status !== 'pass'),
+    alerts: (report.alerts || []).map(alert => ({ ...alert, text: alertState.describe(alert) })),
+    host: os.hostname(),
+    timestamp: report.summary.timestamp,
+    report: report.reportText,
+    record: report.record
+  };
+}
+
+/**
+ * 计算请求体签名
+ */
+function sign(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * 发送 JSON 请求体
+ */
+async function post(channel, payload, context, label) {
+  const body = JSON.stringify(payload);
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'self-health-check',
+    ...render(channel.headers || {}, context)
+  };
+  if (channel.secret) {
+    headers[channel.signatureHeader || DEFAULT_SIGNATURE_HEADER] = sign(channel.secret, body);
+  }
+
+  try {
+    const response = await http.request(channel.url, {
+      method: channel.method || 'POST',
+      headers,
+      body,
+      timeout: channel.timeout,
+      retries: channel.retries,
+      backoff: channel.backoff,
+      onRetry: (error, attempt, delay) => {
+        console.error(`  ↻ Webhook ${channel.name} failed (${error.message}), retry ${attempt} in ${delay}ms`);
+      }
+    });
+
+    console.log(`✓ Webhook ${channel.name} ${label} delivered (HTTP ${response.status})`);
+    return { success: true, status: response.status };
+  } catch (error) {
+    console.error(`✗ Webhook ${channel.name} ${label} failed after ${error.attempts || 1} attempt(s):`, error.message);
+    return { success: false, status: error.status, error: error.message };
+  }
+}
+
+/**
+ * 发送 webhook
+ */
+async function send(channel, report) {
+  const context = buildContext(report);
+  const payload = channel.body !== undefined
+    ? render(channel.body, context)
+    : { ...(report.record || { summary: context.summary, results: context.results }), alerts: context.alerts };
+
+  return post(channel, payload, context, 'report');
+}
+
+/**
+ * 发送日报（digest.js）
+ */
+async function sendDigest(channel, digest) {
+  const context = {
+    title: digest.title,
+    text: digest.text,
+    digest: digest.data,
+    host: os.hostname(),
+    timestamp: digest.data.until
+  };
+  const payload = channel.digestBody !== undefined
+    ? render(channel.digestBody, context)
+    : { type: 'digest', title: digest.title, text: digest.text, ...digest.data };
+
+  return post(channel, payload, context, 'digest');
+}
+
+module.exports = {
+  type: 'webhook',
+  configSchema: CONFIG_SCHEMA,
+  required: ['url'],
+  render,
+  sign,
+  send,
+  sendDigest
+};
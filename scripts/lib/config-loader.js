@@ -0,0 +1,363 @@
+/**
+ * ⚙️ 配置文件加载
+ * 读取 health-check.config.{json,yaml,yml,js}，校验结构，合并默认值和环境变量覆盖
+ *
+ * 配置结构:
+ *   {
+ *     clawdRoot: '/path/to/clawd',        // 可选，覆盖默认的 clawd 根目录
+ *     concurrency: 4,                     // 可选，最大并发检查数
+ *     failOn: 'warning',                  // 可选，达到该级别时退出码非 0（见 policy.js）
+ *     checksDir: 'health-checks',         // 可选，自定义检查模块目录（相对 clawd 根目录，见 registry.js）
+ *     alerts: {                           // 可选，告警去重（见 alert-state.js）
+ *       reminderInterval: 240             // 问题未恢复时重复提醒的间隔（分钟），0 表示不提醒
+ *     },
+ *     channels: {                         // 可选，额外的通知渠道（见 notifier.js）
+ *       <name>: { type: 'webhook', ... }
+ *     },
+ *     routing: { default, routes },       // 可选，按检查/状态/标签选择渠道（见 router.js）
+ *     baseline: {                         // 可选，已接受的发现（见 baseline.js）
+ *       file: '.health-check-baseline.json'  // 相对 clawd 根目录
+ *     },
+ *     digest: {                           // 可选，日报/周报（见 digest.js）
+ *       channels: ['telegram']            // 发送日报的渠道，默认同 routing.default
+ *     },
+ *     checks: {
+ *       <checkId>: {
+ *         enabled: true,                  // 是否执行此检查
+ *         timeout: 60000,                 // 覆盖检查模块的超时时间
+ *         failOn: 'fail',                 // 覆盖此检查的退出码阈值
+ *         ...                             // 检查模块自己的配置项（见各模块的 configSchema）
+ *       }
+ *     }
+ *   }
+ *
+ * 环境变量覆盖: HEALTH_CHECK__<路径>，路径各段以 "__" 分隔，值按 JSON 解析（失败则作为字符串）
+ *   HEALTH_CHECK__concurrency=2
+ *   HEALTH_CHECK__checks__logs__logDir=/var/log/clawdbot
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { existsSync } = require('fs');
+const { FAIL_ON_LEVELS } = require('./policy');
+
+// 配置文件名（按优先级）
+const CONFIG_FILENAMES = [
+  'health-check.config.json',
+  'health-check.config.yaml',
+  'health-check.config.yml',
+  'health-check.config.js'
+];
+
+// 环境变量覆盖前缀
+const ENV_PREFIX = 'HEALTH_CHECK__';
+
+// 每个检查通用的配置项
+const COMMON_CHECK_SCHEMA = {
+  enabled: { type: 'boolean' },
+  timeout: { type: 'integer', minimum: 1 },
+  failOn: { type: 'string', enum: FAIL_ON_LEVELS }
+};
+
+// 顶层配置结构
+const SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    clawdRoot: { type: 'string' },
+    concurrency: { type: 'integer', minimum: 1 },
+    failOn: { type: 'string', enum: FAIL_ON_LEVELS },
+    checksDir: { type: 'string' },
+    alerts: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        reminderInterval: { type: 'integer', minimum: 0 }
+      }
+    },
+    channels: {
+      type: 'object',
+      additionalProperties: { type: 'object' }
+    },
+    routing: { type: 'object' },
+    baseline: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        file: { type: 'string' }
+      }
+    },
+    digest: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        channels: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    checks: {
+      type: 'object',
+      additionalProperties: { type: 'object' }
+    }
+  }
+};
+
+/**
+ * 配置错误
+ */
+class ConfigError extends Error {
+  constructor(message, source) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * 按 schema 校验值，返回错误信息列表
+ *
+ * 支持 JSON Schema 的一个子集: type, properties, required, additionalProperties, items, enum, minimum
+ */
+function validate(value, schema, at = 'config') {
+  const errors = [];
+  const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+
+  const typeOf = (v) => {
+    if (Array.isArray(v)) return 'array';
+    if (v === null) return 'null';
+    if (Number.isInteger(v)) return 'integer';
+    return typeof v;
+  };
+
+  const actual = typeOf(value);
+  const matches = types.length === 0 || types.some(t =>
+    t === actual || (t === 'number' && actual === 'integer')
+  );
+
+  if (!matches) {
+    errors.push(`${at} must be ${types.join(' or ')}, got ${actual}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${at} must be >= ${schema.minimum}`);
+  }
+
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(item, schema.items, `${at}[${i}]`)));
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${at}.${key} is required`);
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validate(child, properties[key], `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key} is not a known option`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(child, schema.additionalProperties, `${at}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 深度合并（数组整体替换）
+ */
+function merge(base, override) {
+  if (override === undefined) return base;
+  if (!base || typeof base !== 'object' || Array.isArray(base) ||
+      !override || typeof override !== 'object' || Array.isArray(override)) {
+    return override;
+  }
+
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = merge(base[key], value);
+  }
+  return result;
+}
+
+/**
+ * 查找配置文件
+ */
+function findConfigFile(searchDirs) {
+  for (const dir of searchDirs) {
+    for (const name of CONFIG_FILENAMES) {
+      const file = path.join(dir, name);
+      if (existsSync(file)) {
+        return file;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 读取并解析配置文件
+ */
+async function readConfigFile(file) {
+  const ext = path.extname(file);
+
+  try {
+    if (ext === '.js') {
+      const exported = require(path.resolve(file));
+      return typeof exported === 'function' ? await exported() : exported;
+    }
+
+    const content = await fs.readFile(file, 'utf-8');
+
+    if (ext === '.yaml' || ext === '.yml') {
+      const YAML = require('yaml');
+      return YAML.parse(content) || {};
+    }
+
+    return JSON.parse(content);
+  } catch (error) {
+    throw new ConfigError(`failed to parse: ${error.message}`, file);
+  }
+}
+
+/**
+ * 从环境变量读取覆盖项
+ */
+function readEnvOverrides(env = process.env) {
+  let overrides = {};
+
+  for (const [name, raw] of Object.entries(env)) {
+    if (!name.startsWith(ENV_PREFIX)) continue;
+
+    const keys = name.slice(ENV_PREFIX.length).split('__').filter(Boolean);
+    if (keys.length === 0) continue;
+
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch {
+      value = raw;
+    }
+
+    const override = {};
+    let node = override;
+    keys.forEach((key, i) => {
+      node[key] = i === keys.length - 1 ? value : {};
+      node = node[key];
+    });
+
+    overrides = merge(overrides, override);
+  }
+
+  return overrides;
+}
+
+/**
+ * 加载配置
+ *
+ * options.file: 显式指定的配置文件（--config 或 HEALTH_CHECK_CONFIG）
+ * options.searchDirs: 未指定文件时依次查找的目录
+ *
+ * 返回 { ...config, source }，source 为配置文件路径（未找到时为 null）
+ */
+async function load(options = {}) {
+  const explicit = options.file || process.env.HEALTH_CHECK_CONFIG;
+  let file = null;
+
+  if (explicit) {
+    file = path.resolve(explicit);
+    if (!existsSync(file)) {
+      throw new ConfigError(`config file not found: ${file}`);
+    }
+  } else {
+    file = findConfigFile(options.searchDirs || []);
+  }
+
+  const fromFile = file ? await readConfigFile(file) : {};
+  if (!fromFile || typeof fromFile !== 'object' || Array.isArray(fromFile)) {
+    throw new ConfigError('config must be an object', file);
+  }
+
+  const config = merge(fromFile, readEnvOverrides());
+
+  const errors = validate(config, SCHEMA);
+  if (errors.length > 0) {
+    throw new ConfigError(`invalid config:\n  - ${errors.join('\n  - ')}`, file);
+  }
+
+  if (config.clawdRoot && file) {
+    config.clawdRoot = path.resolve(path.dirname(file), config.clawdRoot);
+  }
+
+  return { checks: {}, ...config, source: file };
+}
+
+/**
+ * 将配置应用到检查模块
+ *
+ * 合并模块的 defaults 和配置文件中对应的 checks.<id> 部分，
+ * 按模块的 configSchema 校验，并过滤掉 enabled: false 的检查
+ */
+function applyToChecks(checks, config) {
+  const errors = [];
+  const configured = [];
+
+  for (const check of checks) {
+    const section = config.checks[check.id] || {};
+    const schema = {
+      type: 'object',
+      additionalProperties: check.configSchema ? false : true,
+      properties: { ...COMMON_CHECK_SCHEMA, ...(check.configSchema || {}) }
+    };
+
+    const sectionErrors = validate(section, schema, `checks.${check.id}`);
+    if (sectionErrors.length > 0) {
+      errors.push(...sectionErrors);
+      continue;
+    }
+
+    if (section.enabled === false) continue;
+
+    const { enabled, timeout, failOn, ...settings } = section;
+    configured.push({
+      ...check,
+      timeout: timeout || check.timeout,
+      failOn,
+      config: merge(check.defaults || {}, settings)
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(`invalid config:\n  - ${errors.join('\n  - ')}`, config.source);
+  }
+
+  return configured;
+}
+
+/**
+ * 将配置中的模式转换为 RegExp
+ *
+ * 支持 RegExp、字符串，或 { pattern, flags } 对象
+ */
+function toRegExp(value) {
+  if (value instanceof RegExp) return value;
+  if (typeof value === 'string') return new RegExp(value);
+  return value.flags !== undefined ? new RegExp(value.pattern, value.flags) : new RegExp(value.pattern);
+}
+
+module.exports = {
+  CONFIG_FILENAMES,
+  ConfigError,
+  validate,
+  load,
+  applyToChecks,
+  toRegExp
+};
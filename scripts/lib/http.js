@@ -0,0 +1,155 @@
+/**
+ * 🌐 HTTP 请求工具
+ * 基于 Node 内置 http/https 模块，支持超时和带退避的重试，无需第三方依赖
+ */
+
+const http = require('http');
+const https = require('https');
+
+// 默认值
+const DEFAULTS = {
+  method: 'POST',
+  timeout: 10000,
+  retries: 3,
+  backoff: 1000,
+  maxBackoff: 30000
+};
+
+/**
+ * HTTP 错误（非 2xx 响应或网络错误）
+ */
+class HttpError extends Error {
+  constructor(message, response) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = response ? response.status : undefined;
+    this.body = response ? response.body : undefined;
+  }
+}
+
+/**
+ * 是否值得重试：网络错误、429 和 5xx
+ */
+function isRetryable(error) {
+  return error.status === undefined || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * 计算第 attempt 次重试前的等待时间（指数退避，优先使用 Retry-After）
+ */
+function retryDelay(attempt, options, retryAfter) {
+  const seconds = parseInt(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return Math.min(seconds * 1000, options.maxBackoff);
+  }
+  return Math.min(options.backoff * Math.pow(2, attempt), options.maxBackoff);
+}
+
+/**
+ * 解析请求地址（无效地址或不支持的协议抛出 status 为 0 的 HttpError，不会重试）
+ */
+function parseUrl(url) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch {
+    // 地址中可能包含 token，不写入错误信息
+    throw new HttpError('Invalid URL', { status: 0 });
+  }
+
+  if (target.protocol !== 'https:' && target.protocol !== 'http:') {
+    throw new HttpError(`Unsupported protocol: ${target.protocol}`, { status: 0 });
+  }
+  return target;
+}
+
+/**
+ * 发送单次请求
+ *
+ * 返回 { status, headers, body }，非 2xx 时抛出 HttpError
+ */
+function send(target, options) {
+  return new Promise((resolve, reject) => {
+    const transport = target.protocol === 'https:' ? https : http;
+    const req = transport.request(target, {
+      method: options.method,
+      headers: options.headers,
+      timeout: options.timeout,
+      signal: options.signal
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        const response = {
+          status: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString('utf-8')
+        };
+
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(response);
+        } else {
+          const error = new HttpError(`HTTP ${res.statusCode}: ${response.body.substring(0, 200)}`, response);
+          error.retryAfter = res.headers['retry-after'];
+          reject(error);
+        }
+      });
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new HttpError(`Request timed out after ${options.timeout}ms`));
+    });
+
+    req.on('error', (error) => {
+      reject(error instanceof HttpError ? error : new HttpError(error.message));
+    });
+
+    if (options.body !== undefined) {
+      req.write(options.body);
+    }
+    req.end();
+  });
+}
+
+/**
+ * 发送请求，失败时按指数退避重试
+ *
+ * options: { method, headers, body, timeout, retries, backoff, maxBackoff, signal, onRetry }
+ *   body: 字符串或 Buffer
+ *   onRetry(error, attempt, delay): 每次重试前调用
+ */
+async function request(url, options = {}) {
+  const settings = { ...DEFAULTS };
+  for (const [key, value] of Object.entries(options)) {
+    // 未设置的选项使用默认值
+    if (value !== undefined) settings[key] = value;
+  }
+  const target = parseUrl(url);
+  const headers = { ...(settings.headers || {}) };
+
+  if (settings.body !== undefined && headers['Content-Length'] === undefined) {
+    headers['Content-Length'] = Buffer.byteLength(settings.body);
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send(target, { ...settings, headers });
+    } catch (error) {
+      if (attempt >= settings.retries || !isRetryable(error) || (settings.signal && settings.signal.aborted)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+
+      const delay = retryDelay(attempt, settings, error.retryAfter);
+      if (settings.onRetry) {
+        settings.onRetry(error, attempt + 1, delay);
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  HttpError,
+  request
+};
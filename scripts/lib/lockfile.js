@@ -0,0 +1,181 @@
+/**
+ * 🔒 npm lockfile 读取
+ * 读取 npm-shrinkwrap.json / package-lock.json（lockfileVersion 1–3），
+ * 统一为按安装位置索引的包列表，并计算引入某个包的依赖路径
+ *
+ * 安装位置与 lockfileVersion 2/3 的 packages 键相同，例如 node_modules/a/node_modules/b，根目录为 ''
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { existsSync } = require('fs');
+
+// 按优先级查找的 lockfile（npm-shrinkwrap.json 优先于 package-lock.json）
+const LOCKFILES = ['npm-shrinkwrap.json', 'package-lock.json'];
+
+/**
+ * 目录中的 lockfile 文件名（没有时返回 null）
+ */
+function find(dir) {
+  return LOCKFILES.find(file => existsSync(path.join(dir, file))) || null;
+}
+
+/**
+ * 将 lockfileVersion 1 的嵌套 dependencies 展开为安装位置
+ */
+function flattenV1(dependencies, prefix, packages) {
+  for (const [name, entry] of Object.entries(dependencies || {})) {
+    const location = `${prefix}node_modules/${name}`;
+    packages.set(location, {
+      name,
+      version: entry.version,
+      dev: !!entry.dev,
+      optional: !!entry.optional,
+      dependencies: { ...(entry.requires || {}) }
+    });
+    flattenV1(entry.dependencies, `${location}/`, packages);
+  }
+}
+
+/**
+ * 安装位置对应的包名（node_modules/a/node_modules/@s/b → @s/b）
+ */
+function nameOf(location) {
+  const index = location.lastIndexOf('node_modules/');
+  return location.slice(index + 'node_modules/'.length);
+}
+
+/**
+ * 读取目录中的 lockfile
+ *
+ * 返回 { name, file, lockfileVersion, packages: Map<安装位置, { name, version, dev, optional, dependencies, engines }> }，
+ * 没有 lockfile 时返回 null，格式错误时抛出异常；engines 只有 lockfileVersion 2/3 才记录
+ */
+async function read(dir) {
+  const name = find(dir);
+  if (!name) return null;
+
+  const file = path.join(dir, name);
+  let lock;
+  try {
+    lock = JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+
+  const packages = new Map();
+  if (lock.packages) {
+    for (const [location, entry] of Object.entries(lock.packages)) {
+      // 根目录和 workspace 链接不是安装的包
+      if (!location.includes('node_modules/') || entry.link) continue;
+      packages.set(location, {
+        name: entry.name || nameOf(location),
+        version: entry.version,
+        dev: !!entry.dev,
+        optional: !!entry.optional,
+        dependencies: { ...(entry.dependencies || {}), ...(entry.optionalDependencies || {}) },
+        engines: entry.engines
+      });
+    }
+  } else {
+    flattenV1(lock.dependencies, '', packages);
+  }
+
+  return { name, file, lockfileVersion: lock.lockfileVersion || 1, packages };
+}
+
+/**
+ * 顶层安装的包（node_modules/<name>），返回 Map<包名, entry>
+ */
+function topLevel(lock) {
+  const entries = new Map();
+  for (const [location, entry] of lock.packages) {
+    const match = location.match(/^node_modules\/((?:@[^/]+\/)?[^/]+)$/);
+    if (match) entries.set(match[1], entry);
+  }
+  return entries;
+}
+
+/**
+ * 按 Node 的查找规则，从安装位置 from 出发找到依赖 name 的安装位置（找不到时返回 null）
+ */
+function resolve(lock, from, name) {
+  let base = from;
+
+  while (true) {
+    const location = base ? `${base}/node_modules/${name}` : `node_modules/${name}`;
+    if (lock.packages.has(location)) return location;
+    if (!base) return null;
+
+    // 去掉最后一段 node_modules/<name>，回到上一层
+    const index = base.lastIndexOf('node_modules/');
+    base = index > 0 ? base.slice(0, index - 1) : '';
+  }
+}
+
+/**
+ * 计算每个安装位置的最短依赖路径（从 rootDependencies 出发）
+ *
+ * 返回 Map<安装位置, 包名列表>，例如 ['axios', 'follow-redirects']；不可达的包（多余的包）不在其中
+ */
+function dependencyPaths(lock, rootDependencies) {
+  const paths = new Map();
+  const queue = [];
+
+  for (const name of rootDependencies) {
+    const location = resolve(lock, '', name);
+    if (location && !paths.has(location)) {
+      paths.set(location, [name]);
+      queue.push(location);
+    }
+  }
+
+  while (queue.length > 0) {
+    const location = queue.shift();
+    const entry = lock.packages.get(location);
+
+    for (const name of Object.keys(entry.dependencies)) {
+      const target = resolve(lock, location, name);
+      if (target && !paths.has(target)) {
+        paths.set(target, [...paths.get(location), name]);
+        queue.push(target);
+      }
+    }
+  }
+
+  return paths;
+}
+
+/**
+ * 列出 clawd 根目录和各 skill 中带 package.json 的目录
+ *
+ * 返回 [{ label, dir }]，label 为 'root' 或 skill 名
+ */
+async function listProjects(clawdRoot) {
+  const projects = [];
+
+  if (existsSync(path.join(clawdRoot, 'package.json'))) {
+    projects.push({ label: 'root', dir: path.resolve(clawdRoot) });
+  }
+
+  const skillsDir = path.join(clawdRoot, 'skills');
+  const skills = await fs.readdir(skillsDir).catch(() => []);
+  for (const skill of skills.sort()) {
+    const dir = path.join(skillsDir, skill);
+    if (existsSync(path.join(dir, 'package.json'))) {
+      projects.push({ label: skill, dir });
+    }
+  }
+
+  return projects;
+}
+
+module.exports = {
+  LOCKFILES,
+  find,
+  read,
+  topLevel,
+  resolve,
+  dependencyPaths,
+  listProjects
+};
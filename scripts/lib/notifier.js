@@ -1,179 +1,190 @@
 /**
  * 📤 通知发送工具
- * 将健康检查结果发送到 Telegram 或 Notion
+ * 将健康检查结果发送到 Telegram、Notion、邮件，以及配置文件中定义的其他渠道（channels/），
+ * 配置了 routing 时按规则把不同检查的结果分发到不同渠道（见 router.js），
+ * 日报（digest.js）发送到 digest.channels 指定的渠道
  */
 
-const { spawn } = require('child_process');
-const path = require('path');
+const { ConfigError, validate } = require('./config-loader');
+const router = require('./router');
+
+// 可在配置文件 channels 中使用的渠道类型
+const CHANNEL_TYPES = {
+  email: require('./channels/email'),
+  notion: require('./channels/notion'),
+  telegram: require('./channels/telegram'),
+  webhook: require('./channels/webhook')
+};
+
+// 每个渠道通用的配置项
+const COMMON_CHANNEL_SCHEMA = {
+  type: { type: 'string', enum: Object.keys(CHANNEL_TYPES) },
+  enabled: { type: 'boolean' }
+};
 
 /**
- * 发送 Telegram 通知
+ * 校验配置文件中的渠道定义，出错时抛出 ConfigError
  */
-async function sendTelegram(config, report) {
-  const { summary, results, reportText } = report;
-
-  // 构建消息
-  const statusEmoji = {
-    pass: '✅',
-    warning: '⚠️',
-    fail: '❌'
-  };
-
-  const title = `${statusEmoji[summary.overallStatus]} Health Check: ${summary.overallStatus.toUpperCase()}`;
-  const summaryText = `Passed: ${summary.passed}/${summary.total} | Warnings: ${summary.warnings} | Failed: ${summary.failed}`;
-
-  let message = `*${title}*\n\n`;
-  message += `${summaryText}\n\n`;
-
-  // 添加失败的检查详情
-  const failedChecks = results.filter(r => r.status === 'fail' || r.status === 'error');
-  if (failedChecks.length > 0) {
-    message += '*Issues Found:*\n';
-    for (const check of failedChecks) {
-      message += `• ${check.name}\n`;
-      if (check.message) {
-        message += `  ${check.message.substring(0, 100)}...\n`;
-      }
-    }
-    message += '\n';
+function validateChannels(channels = {}, source) {
+  const errors = [];
+
+  for (const [name, channel] of Object.entries(channels)) {
+    const errorsBefore = errors.length;
+    errors.push(...validate(channel, {
+      type: 'object',
+      required: ['type'],
+      properties: { type: COMMON_CHANNEL_SCHEMA.type }
+    }, `channels.${name}`));
+    if (errors.length > errorsBefore) continue;
+
+    const channelType = CHANNEL_TYPES[channel.type];
+    errors.push(...validate(channel, {
+      type: 'object',
+      additionalProperties: false,
+      required: channelType.required || [],
+      properties: { ...COMMON_CHANNEL_SCHEMA, ...channelType.configSchema }
+    }, `channels.${name}`));
   }
 
-  // 添加警告
-  const warnings = results.filter(r => r.status === 'warning');
-  if (warnings.length > 0) {
-    message += '*Warnings:*\n';
-    for (const check of warnings) {
-      message += `• ${check.name}: ${check.message || ''}\n`;
-    }
+  if (errors.length > 0) {
+    throw new ConfigError(`invalid config:\n  - ${errors.join('\n  - ')}`, source);
+  }
+}
+
+/**
+ * 获取启用的渠道列表
+ *
+ * 除配置文件中的 channels 外，始终包含名为 telegram 的默认渠道（HEALTH_CHECK_TELEGRAM_GROUP），
+ * 设置了 HEALTH_CHECK_NOTION_DB_ID / HEALTH_CHECK_WEBHOOK_URL / HEALTH_CHECK_EMAIL_TO 时
+ * 自动添加名为 notion / webhook / email 的渠道；
+ * 同名的配置优先；options.includeDisabled 为 true 时包含 enabled: false 的渠道
+ */
+function getChannels(config, options = {}) {
+  const channels = { ...(config.channels || {}) };
+
+  if (!channels.telegram) {
+    channels.telegram = { type: 'telegram', group: config.telegramGroup };
   }
 
-  // 截断消息（Telegram 限制 4096 字符）
-  if (message.length > 3000) {
-    message = message.substring(0, 3000) + '...\n\n(Full report in logs)';
+  if (config.notionDbId && !channels.notion) {
+    channels.notion = { type: 'notion', databaseId: config.notionDbId };
   }
 
-  // 调用 telegram-notification skill
-  const notifyScript = path.join(config.clawdRoot, 'skills/telegram-notification/scripts/notify-group.js');
-
-  return new Promise((resolve) => {
-    const args = [
-      '--target', config.telegramGroup,
-      '--title', title,
-      '--summary', summaryText
-    ];
-
-    const proc = spawn('node', [notifyScript, ...args], {
-      stdio: ['ignore', 'pipe', 'pipe']
-    });
-
-    let stdout = '';
-    let stderr = '';
-
-    proc.stdout.on('data', (data) => { stdout += data.toString(); });
-    proc.stderr.on('data', (data) => { stderr += data.toString(); });
-
-    proc.on('close', (code) => {
-      if (code === 0) {
-        console.log('✓ Telegram notification sent');
-        resolve({ success: true, output: stdout });
-      } else {
-        console.error('✗ Telegram notification failed:', stderr);
-        resolve({ success: false, error: stderr });
-      }
-    });
-
-    proc.on('error', (err) => {
-      console.error('✗ Failed to send notification:', err.message);
-      resolve({ success: false, error: err.message });
-    });
-  });
+  if (config.webhookUrl && !channels.webhook) {
+    channels.webhook = {
+      type: 'webhook',
+      url: config.webhookUrl,
+      secret: config.webhookSecret || undefined
+    };
+  }
+
+  if (config.emailTo && config.emailTo.length > 0 && !channels.email) {
+    channels.email = { type: 'email', to: config.emailTo };
+  }
+
+  return Object.entries(channels)
+    .filter(([, channel]) => options.includeDisabled || channel.enabled !== false)
+    .map(([name, channel]) => ({ name, ...channel }));
 }
 
 /**
- * 发送到 Notion
+ * 校验路由配置和日报渠道（需在 config.channels 设置之后调用）
  */
-async function sendNotion(config, report) {
-  const { summary, reportText } = report;
-
-  if (!config.notionDbId) {
-    console.log('⚠ No Notion DB configured, skipping');
-    return { success: false, error: 'No Notion DB ID' };
+function validateRouting(config, source) {
+  const names = getChannels(config, { includeDisabled: true }).map(channel => channel.name);
+  router.validateRouting(config.routing, names, source);
+
+  const unknown = ((config.digest && config.digest.channels) || []).filter(name => !names.includes(name));
+  if (unknown.length > 0) {
+    throw new ConfigError(
+      `invalid config:\n  - digest.channels refers to unknown channel(s) ${unknown.map(name => `"${name}"`).join(', ')} ` +
+      `(known: ${names.join(', ') || 'none'})`,
+      source
+    );
   }
-
-  // 构建页面数据
-  const title = `Health Check ${new Date().toISOString().split('T')[0]}`;
-
-  // 构建内容
-  const content = `## Summary\n\n` +
-    `- Status: ${summary.overallStatus}\n` +
-    `- Passed: ${summary.passed}\n` +
-    `- Warnings: ${summary.warnings}\n` +
-    `- Failed: ${summary.failed}\n` +
-    `- Errors: ${summary.errors}\n\n` +
-    `## Full Report\n\n` +
-    reportText;
-
-  // 调用 notion-persistence-universal skill
-  const saveScript = path.join(config.clawdRoot, 'skills/notion-persistence-universal/scripts/save-content.js');
-
-  return new Promise((resolve) => {
-    const args = [
-      '--type', 'health_check',
-      '--content', content
-    ];
-
-    const proc = spawn('node', [saveScript, ...args], {
-      stdio: ['ignore', 'pipe', 'pipe']
-    });
-
-    let stdout = '';
-    let stderr = '';
-
-    proc.stdout.on('data', (data) => { stdout += data.toString(); });
-    proc.stderr.on('data', (data) => { stderr += data.toString(); });
-
-    proc.on('close', (code) => {
-      if (code === 0) {
-        console.log('✓ Notion page created');
-        resolve({ success: true, output: stdout });
-      } else {
-        console.error('✗ Notion save failed:', stderr);
-        resolve({ success: false, error: stderr });
-      }
-    });
-
-    proc.on('error', (err) => {
-      console.error('✗ Failed to save to Notion:', err.message);
-      resolve({ success: false, error: err.message });
-    });
-  });
 }
 
 /**
- * 发送通知（根据配置选择渠道）
+ * 计算需要发送的渠道及各自的内容
+ *
+ * config.alertOnly 为 true 时，只有收到状态变化（report.alerts）的渠道才发送
+ * formatters: { summarize, format }，按各渠道的结果重新生成 summary 和 reportText（见 router.plan）
+ * 返回 [{ channel, report }]，为空表示无需发送
  */
-async function send(config, report) {
-  const results = [];
+function plan(config, report, formatters = {}) {
+  const channels = getChannels(config);
+  const byName = new Map(channels.map(channel => [channel.name, channel]));
+
+  return router.plan(channels.map(channel => channel.name), config.routing, report, {
+    alertOnly: config.alertOnly,
+    summarize: formatters.summarize,
+    format: formatters.format
+  }).map(({ name, report: channelReport }) => ({ channel: byName.get(name), report: channelReport }));
+}
 
-  // 发送到 Telegram
+/**
+ * 发送到单个渠道
+ */
+async function sendToChannel(config, channel, report) {
   try {
-    const telegramResult = await sendTelegram(config, report);
-    results.push({ channel: 'telegram', ...telegramResult });
+    const result = await CHANNEL_TYPES[channel.type].send(channel, report, { clawdRoot: config.clawdRoot });
+    return { channel: channel.name, ...result };
   } catch (error) {
-    results.push({ channel: 'telegram', success: false, error: error.message });
+    console.error(`✗ Channel ${channel.name} failed:`, error.message);
+    return { channel: channel.name, success: false, error: error.message };
   }
+}
+
+/**
+ * 发送 plan() 计算出的通知
+ */
+async function deliver(config, deliveries) {
+  const results = [];
+  for (const { channel, report } of deliveries) {
+    results.push(await sendToChannel(config, channel, report));
+  }
+  return results;
+}
 
-  // 发送到 Notion
-  if (config.notionDbId) {
+/**
+ * 发送通知（根据配置和路由选择渠道）
+ */
+async function send(config, report, formatters) {
+  return deliver(config, plan(config, report, formatters));
+}
+
+/**
+ * 发送日报（digest.js）
+ *
+ * 渠道优先级: config.digest.channels > routing.default > 所有启用的渠道
+ * digest: { title, text, markdown, data }
+ */
+async function sendDigest(config, digest) {
+  const channels = getChannels(config);
+  const names = (config.digest && config.digest.channels) ||
+    (config.routing && config.routing.default) ||
+    channels.map(channel => channel.name);
+
+  const results = [];
+  for (const channel of channels.filter(c => names.includes(c.name))) {
     try {
-      const notionResult = await sendNotion(config, report);
-      results.push({ channel: 'notion', ...notionResult });
+      const result = await CHANNEL_TYPES[channel.type].sendDigest(channel, digest, { clawdRoot: config.clawdRoot });
+      results.push({ channel: channel.name, ...result });
     } catch (error) {
-      results.push({ channel: 'notion', success: false, error: error.message });
+      console.error(`✗ Channel ${channel.name} failed:`, error.message);
+      results.push({ channel: channel.name, success: false, error: error.message });
     }
   }
-
   return results;
 }
 
-module.exports = { send };
+module.exports = {
+  CHANNEL_TYPES,
+  validateChannels,
+  validateRouting,
+  getChannels,
+  plan,
+  deliver,
+  send,
+  sendDigest
+};
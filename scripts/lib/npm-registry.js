@@ -0,0 +1,64 @@
+/**
+ * 📦 npm registry 元数据
+ * 查询包的元数据（dist-tags、各版本及其 deprecated 信息）
+ *
+ * registry 可以是 HTTP 地址（registry.npmjs.org 或内网镜像），
+ * 也可以是本地目录（file:///path 或绝对路径），目录中每个包一个 <包名>.json（@scope/name → @scope/name.json），用于离线测试
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+const http = require('./http');
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org';
+
+// 精简元数据（只包含安装需要的字段，含 deprecated）
+const ACCEPT = 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8';
+
+/**
+ * registry 是否为本地目录，返回目录路径或 null
+ */
+function localDir(registry) {
+  if (registry.startsWith('file:')) return fileURLToPath(registry);
+  if (path.isAbsolute(registry)) return registry;
+  return null;
+}
+
+/**
+ * 获取包的元数据（包不存在时返回 null，网络错误时抛出异常）
+ *
+ * options: { timeout, retries, signal }
+ */
+async function fetchPackument(registry, name, options = {}) {
+  const dir = localDir(registry);
+  if (dir) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(dir, `${name}.json`), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  const url = `${registry.replace(/\/+$/, '')}/${name.replace('/', '%2f')}`;
+  try {
+    const response = await http.request(url, {
+      method: 'GET',
+      headers: { Accept: ACCEPT },
+      timeout: options.timeout,
+      retries: options.retries,
+      signal: options.signal
+    });
+    return JSON.parse(response.body);
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+module.exports = {
+  DEFAULT_REGISTRY,
+  fetchPackument
+};
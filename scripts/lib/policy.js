@@ -0,0 +1,79 @@
+/**
+ * 🚦 退出码策略
+ * 根据 --fail-on 阈值和每个检查的覆盖设置，将检查结果映射为退出码
+ *
+ * 退出码:
+ *   0  通过（或所有问题都低于阈值）
+ *   1  有检查失败（fail）
+ *   2  有警告（warning）
+ *   3  有检查出错（error），或健康检查本身出错
+ */
+
+const EXIT_CODES = {
+  pass: 0,
+  fail: 1,
+  warning: 2,
+  error: 3
+};
+
+// 阈值从低到高；never 表示从不影响退出码
+const FAIL_ON_LEVELS = ['warning', 'fail', 'error', 'never'];
+
+// 各状态的严重程度（unknown 视为 error）
+const SEVERITY = {
+  pass: -1,
+  info: -1,
+  warning: 0,
+  fail: 1,
+  error: 2,
+  unknown: 2
+};
+
+const DEFAULT_FAIL_ON = 'warning';
+
+/**
+ * 判断某个状态是否达到阈值
+ */
+function trips(status, failOn) {
+  const severity = SEVERITY[status] !== undefined ? SEVERITY[status] : SEVERITY.unknown;
+  return severity >= 0 && severity >= FAIL_ON_LEVELS.indexOf(failOn);
+}
+
+/**
+ * 评估结果
+ *
+ * policy: { failOn: 'warning'|'fail'|'error'|'never', checks: { <id>: 'fail' } }
+ *   checks 中为单个检查设置的阈值优先于全局 failOn
+ *
+ * 返回 { exitCode, status, tripped }，tripped 为达到阈值的结果
+ */
+function evaluate(results, policy = {}) {
+  const failOn = policy.failOn || DEFAULT_FAIL_ON;
+  const overrides = policy.checks || {};
+
+  const tripped = results.filter(result =>
+    trips(result.status, overrides[result.id] || failOn)
+  );
+
+  // 多种状态同时存在时，取最严重的
+  let status = 'pass';
+  for (const result of tripped) {
+    const current = SEVERITY[result.status] !== undefined ? result.status : 'error';
+    if (SEVERITY[current] > SEVERITY[status]) {
+      status = current === 'unknown' ? 'error' : current;
+    }
+  }
+
+  return {
+    exitCode: EXIT_CODES[status],
+    status,
+    tripped
+  };
+}
+
+module.exports = {
+  EXIT_CODES,
+  FAIL_ON_LEVELS,
+  DEFAULT_FAIL_ON,
+  evaluate
+};
@@ -0,0 +1,205 @@
+/**
+ * 🧩 检查模块注册表
+ * 从内置目录、自定义目录以及各 skill 的 health-checks/ 目录发现检查模块
+ *
+ * 检查模块导出格式:
+ *   module.exports = {
+ *     id: 'my-check',            // 唯一标识（必需）
+ *     title: 'My Check',         // 报告中显示的名称
+ *     description: '...',        // 说明
+ *     tier: 'quick' | 'full',    // quick: 每次都执行; full: 仅 --full 时执行
+ *     order: 100,                // 排序（越小越靠前）
+ *     timeout: 60000,            // 超时时间（毫秒）
+ *     tags: ['security'],        // 标签
+ *     defaults: { ... },         // 配置默认值（可在配置文件 checks.<id> 中覆盖）
+ *     configSchema: { ... },     // 配置项校验规则（可选）
+ *     run: async (clawdRoot, options) => ({ status, message, details, fix })
+ *   };
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { existsSync } = require('fs');
+
+// 内置检查目录
+const BUILTIN_DIR = path.join(__dirname, '../checks');
+
+// 元数据默认值
+const DEFAULTS = {
+  tier: 'full',
+  order: 100,
+  timeout: 60000,
+  tags: []
+};
+
+const TIERS = ['quick', 'full'];
+
+/**
+ * 列出目录中的检查模块文件
+ */
+async function listModules(dir) {
+  try {
+    const files = await fs.readdir(dir);
+    return files
+      .filter(f => /\.(js|cjs)$/.test(f))
+      .sort()
+      .map(f => path.join(dir, f));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * 校验并补全检查模块的元数据
+ */
+function normalizeCheck(mod, file, source) {
+  if (!mod || typeof mod.run !== 'function') {
+    throw new Error('module must export a run(clawdRoot, options) function');
+  }
+
+  const id = mod.id || path.basename(file, path.extname(file));
+  const tier = mod.tier || DEFAULTS.tier;
+  if (!TIERS.includes(tier)) {
+    throw new Error(`invalid tier "${tier}" (expected ${TIERS.join(' or ')})`);
+  }
+
+  return {
+    id,
+    title: mod.title || id,
+    description: mod.description || '',
+    tier,
+    order: Number.isFinite(mod.order) ? mod.order : DEFAULTS.order,
+    timeout: Number.isFinite(mod.timeout) ? mod.timeout : DEFAULTS.timeout,
+    tags: Array.isArray(mod.tags) ? mod.tags : DEFAULTS.tags,
+    defaults: mod.defaults || {},
+    configSchema: mod.configSchema,
+    source,
+    file,
+    run: mod.run
+  };
+}
+
+/**
+ * 加载失败的模块：仍然注册，运行时报告加载错误
+ */
+function brokenCheck(file, source, error) {
+  const id = path.basename(file, path.extname(file));
+  return {
+    id,
+    title: id,
+    description: `Failed to load ${file}`,
+    tier: 'quick',
+    order: DEFAULTS.order,
+    timeout: DEFAULTS.timeout,
+    tags: [],
+    defaults: {},
+    source,
+    file,
+    run: async () => {
+      throw new Error(`Failed to load check module ${file}: ${error.message}`);
+    }
+  };
+}
+
+/**
+ * 获取需要扫描的目录列表
+ *
+ * 自定义目录: 环境变量 HEALTH_CHECK_CHECKS_DIR > options.checksDir（配置文件 checksDir），相对 clawd 根目录
+ */
+async function getSearchDirs(clawdRoot, options = {}) {
+  const dirs = [{ dir: BUILTIN_DIR, source: 'builtin' }];
+
+  const customDir = process.env.HEALTH_CHECK_CHECKS_DIR || options.checksDir;
+  if (customDir) {
+    dirs.push({ dir: path.resolve(clawdRoot, customDir), source: 'custom' });
+  }
+
+  const skillsDir = path.join(clawdRoot, 'skills');
+  try {
+    const skills = (await fs.readdir(skillsDir)).sort();
+    for (const skill of skills) {
+      const dir = path.join(skillsDir, skill, 'health-checks');
+      if (existsSync(dir)) {
+        dirs.push({ dir, source: `skill:${skill}` });
+      }
+    }
+  } catch {
+    // skills 目录不存在，跳过
+  }
+
+  return dirs;
+}
+
+/**
+ * 发现所有检查模块
+ *
+ * 返回 { checks, warnings }，checks 已按 order 排序
+ */
+async function discover(clawdRoot, options = {}) {
+  const checks = [];
+  const warnings = [];
+  const seen = new Map();
+
+  for (const { dir, source } of await getSearchDirs(clawdRoot, options)) {
+    for (const file of await listModules(dir)) {
+      let check;
+      try {
+        check = normalizeCheck(require(file), file, source);
+      } catch (error) {
+        warnings.push(`Could not load ${file}: ${error.message}`);
+        check = brokenCheck(file, source, error);
+      }
+
+      if (seen.has(check.id)) {
+        warnings.push(`Duplicate check id "${check.id}" in ${file} (already defined by ${seen.get(check.id)}), skipped`);
+        continue;
+      }
+
+      seen.set(check.id, file);
+      checks.push(check);
+    }
+  }
+
+  checks.sort((a, b) => a.order - b.order || a.id.localeCompare(b.id));
+
+  return { checks, warnings };
+}
+
+/**
+ * 按运行模式筛选检查
+ */
+function selectByTier(checks, full) {
+  return full ? checks : checks.filter(check => check.tier === 'quick');
+}
+
+/**
+ * 按命令行选择筛选检查
+ *
+ * selection: { only: [id], skip: [id], tags: [tag] }
+ */
+function filterChecks(checks, selection = {}) {
+  const only = selection.only || [];
+  const skip = selection.skip || [];
+  const tags = selection.tags || [];
+
+  return checks.filter(check =>
+    (only.length === 0 || only.includes(check.id)) &&
+    !skip.includes(check.id) &&
+    (tags.length === 0 || check.tags.some(tag => tags.includes(tag)))
+  );
+}
+
+/**
+ * 找出不存在的检查 id
+ */
+function findUnknownIds(checks, ids) {
+  const known = new Set(checks.map(check => check.id));
+  return ids.filter(id => !known.has(id));
+}
+
+module.exports = {
+  discover,
+  selectByTier,
+  filterChecks,
+  findUnknownIds
+};
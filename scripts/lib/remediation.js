@@ -0,0 +1,148 @@
+/**
+ * 🔧 自动修复
+ * 规范化检查返回的修复建议，并执行低风险的修复命令
+ *
+ * 修复建议可以是字符串（仅供人工参考），也可以是结构化的修复动作:
+ *   {
+ *     title: 'Install dependencies',   // 说明
+ *     command: 'npm',                  // 可执行文件（不经过 shell）
+ *     args: ['install'],               // 参数
+ *     cwd: '/path/to/skill',           // 工作目录（默认 clawd 根目录）
+ *     risk: 'low'                      // low: --fix 可自动执行; medium/high: 只提示
+ *   }
+ */
+
+const { spawn } = require('child_process');
+
+const scheduler = require('./scheduler');
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+// 单个修复命令的超时时间
+const DEFAULT_TIMEOUT = 5 * 60 * 1000;
+
+// 记录在报告中的命令输出长度上限
+const MAX_OUTPUT = 2000;
+
+/**
+ * 规范化修复建议
+ *
+ * 字符串 → { title }；结构化动作缺少 risk 时按 high 处理
+ */
+function normalize(fix) {
+  if (typeof fix === 'string') {
+    return { title: fix };
+  }
+
+  if (!fix.command) {
+    return { title: fix.title };
+  }
+
+  return {
+    title: fix.title || [fix.command, ...(fix.args || [])].join(' '),
+    command: fix.command,
+    args: fix.args || [],
+    cwd: fix.cwd,
+    risk: RISK_LEVELS.includes(fix.risk) ? fix.risk : 'high'
+  };
+}
+
+/**
+ * 修复建议的单行描述
+ */
+function describe(fix) {
+  const action = normalize(fix);
+  if (!action.command) {
+    return action.title;
+  }
+
+  const commandLine = [action.command, ...action.args].join(' ');
+  const location = action.cwd ? ` in ${action.cwd}` : '';
+  return `${action.title} (run: ${commandLine}${location}) [${action.risk} risk]`;
+}
+
+/**
+ * 是否可由 --fix 自动执行
+ */
+function isAutomatic(fix) {
+  const action = normalize(fix);
+  return Boolean(action.command) && action.risk === 'low';
+}
+
+/**
+ * 找出需要修复的检查及其可自动执行的修复动作
+ *
+ * 返回 [{ result, actions }]，只包含非 pass 且有低风险动作的检查
+ */
+function plan(results) {
+  const planned = [];
+
+  for (const result of results) {
+    if (result.status === 'pass') continue;
+
+    const actions = (result.fix || []).filter(isAutomatic).map(normalize);
+    if (actions.length > 0) {
+      planned.push({ result, actions });
+    }
+  }
+
+  return planned;
+}
+
+/**
+ * 执行一个修复动作
+ *
+ * 返回 { ...action, status: 'applied'|'failed', exitCode, output, error, duration }
+ */
+async function apply(action, options = {}) {
+  const startTime = Date.now();
+  const cwd = action.cwd || options.cwd;
+
+  const execute = signal => new Promise((resolve) => {
+    const proc = spawn(action.command, action.args, {
+      cwd,
+      signal,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    proc.stdout.on('data', (data) => { output += data.toString(); });
+    proc.stderr.on('data', (data) => { output += data.toString(); });
+
+    proc.on('error', (error) => {
+      resolve({ exitCode: null, output, error: error.message });
+    });
+
+    proc.on('close', (code) => {
+      resolve({ exitCode: code, output });
+    });
+  });
+
+  let outcome;
+  try {
+    outcome = await scheduler.withTimeout(execute, options.timeout || DEFAULT_TIMEOUT);
+  } catch (error) {
+    outcome = { exitCode: null, output: '', error: error.message };
+  }
+
+  const success = outcome.exitCode === 0 && !outcome.error;
+
+  return {
+    ...action,
+    cwd,
+    status: success ? 'applied' : 'failed',
+    exitCode: outcome.exitCode,
+    output: outcome.output.trim().slice(-MAX_OUTPUT),
+    error: success ? undefined : outcome.error || `exited with code ${outcome.exitCode}`,
+    duration: Date.now() - startTime
+  };
+}
+
+module.exports = {
+  RISK_LEVELS,
+  normalize,
+  describe,
+  isAutomatic,
+  plan,
+  apply
+};
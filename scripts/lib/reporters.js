@@ -0,0 +1,253 @@
+/**
+ * 🧾 机器可读的报告格式
+ * 将健康检查结果转换为 JSON、JUnit XML、SARIF 或 Markdown
+ *
+ * 每个格式函数接收 report: { results, summary, record, reportText, clawdRoot }
+ *   record: result-store.buildRecord() 生成的结构化记录（JSON 格式直接输出它）
+ *   clawdRoot: 用于把绝对路径转换为相对路径（SARIF）
+ */
+
+const path = require('path');
+
+const remediation = require('./remediation');
+
+const pkg = require('../../package.json');
+
+const FORMATS = ['text', 'json', 'junit', 'sarif', 'markdown'];
+
+// SARIF 结果级别
+const SARIF_LEVELS = {
+  fail: 'error',
+  error: 'error',
+  warning: 'warning',
+  info: 'note'
+};
+
+/**
+ * 转义 XML 特殊字符
+ */
+function escapeXml(text) {
+  return String(text)
+    // 移除 XML 不允许的控制字符
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * 检查详情转为纯文本
+ */
+function detailLines(result) {
+  const lines = [];
+  if (result.message) lines.push(result.message);
+  for (const detail of result.details || []) {
+    const location = detail.file ? ` (${detail.file}${detail.line ? `:${detail.line}` : ''})` : '';
+    lines.push(`[${detail.status}] ${detail.message}${location}`);
+  }
+  if (result.error) lines.push(`Error: ${result.error}`);
+  for (const action of result.remediation || []) {
+    lines.push(`Auto-fix [${action.status}]: ${action.title}${action.error ? ` - ${action.error}` : ''}`);
+  }
+  for (const fix of result.fix || []) {
+    lines.push(`Fix: ${remediation.describe(fix)}`);
+  }
+  return lines;
+}
+
+/**
+ * JSON：与结果存储相同的版本化结构
+ */
+function formatJson(report) {
+  return JSON.stringify(report.record, null, 2);
+}
+
+/**
+ * JUnit XML：每个检查一个 testcase
+ *
+ * fail → <failure>，error → <error>，warning 视为通过但写入 <system-out>
+ */
+function formatJunit(report) {
+  const { results, summary } = report;
+  const totalTime = results.reduce((sum, r) => sum + (r.duration || 0), 0) / 1000;
+
+  const cases = results.map(result => {
+    const body = escapeXml(detailLines(result).join('\n'));
+    const attrs = `classname="health-check.${escapeXml(result.id || result.name)}" name="${escapeXml(result.name)}" time="${(result.duration || 0) / 1000}"`;
+
+    let inner = '';
+    if (result.status === 'fail') {
+      inner = `\n      <failure message="${escapeXml(result.message || 'Check failed')}" type="fail">${body}</failure>\n    `;
+    } else if (result.status === 'error' || result.status === 'unknown') {
+      inner = `\n      <error message="${escapeXml(result.error || result.message || 'Check error')}" type="error">${body}</error>\n    `;
+    } else if (result.status === 'warning') {
+      inner = `\n      <system-out>WARNING\n${body}</system-out>\n    `;
+    }
+
+    return `    <testcase ${attrs}>${inner}</testcase>`;
+  });
+
+  const failures = summary.failed;
+  const errors = results.length - summary.passed - summary.warnings - summary.failed;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="self-health-check" tests="${results.length}" failures="${failures}" errors="${errors}" time="${totalTime}">`,
+    `  <testsuite name="health-check" tests="${results.length}" failures="${failures}" errors="${errors}" time="${totalTime}" timestamp="${summary.timestamp}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * SARIF 2.1.0：带文件位置的发现（secret、语法错误等）
+ *
+ * 只有包含 file 字段的详情会成为 SARIF 结果，路径相对 clawd 根目录
+ */
+function formatSarif(report) {
+  const { results, clawdRoot } = report;
+  const rules = [];
+  const sarifResults = [];
+
+  for (const result of results) {
+    const ruleId = result.id || result.name;
+    let hasFindings = false;
+
+    for (const detail of result.details || []) {
+      if (!detail.file || !SARIF_LEVELS[detail.status]) continue;
+
+      hasFindings = true;
+      const uri = path.isAbsolute(detail.file) && clawdRoot
+        ? path.relative(clawdRoot, detail.file)
+        : detail.file;
+
+      const region = {};
+      if (detail.line) region.startLine = detail.line;
+      if (detail.column) region.startColumn = detail.column;
+
+      sarifResults.push({
+        ruleId,
+        level: SARIF_LEVELS[detail.status],
+        message: { text: detail.message.trim() },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: uri.split(path.sep).join('/'), uriBaseId: '%SRCROOT%' },
+            ...(Object.keys(region).length > 0 ? { region } : {})
+          }
+        }],
+        ...(detail.commit ? { properties: { commit: detail.commit } } : {})
+      });
+    }
+
+    if (hasFindings) {
+      rules.push({
+        id: ruleId,
+        name: result.name,
+        shortDescription: { text: result.name },
+        properties: { tags: result.tags || [] }
+      });
+    }
+  }
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: pkg.name,
+          version: pkg.version,
+          informationUri: pkg.repository && pkg.repository.url.replace(/\.git$/, ''),
+          rules
+        }
+      },
+      results: sarifResults
+    }]
+  }, null, 2);
+}
+
+/**
+ * Markdown：适合 PR 评论或 CI 摘要
+ */
+function formatMarkdown(report) {
+  const { results, summary } = report;
+  const statusEmoji = { pass: '✅', warning: '⚠️', fail: '❌', error: '💥', unknown: '❓' };
+
+  let md = '# 🏥 Clawdbot Health Check Report\n\n';
+  md += `**Overall Status:** ${statusEmoji[summary.overallStatus]} ${summary.overallStatus.toUpperCase()}  \n`;
+  md += `**Time:** ${summary.timestamp}\n\n`;
+
+  md += '| Check | Status | Duration | Message |\n';
+  md += '|-------|--------|----------|---------|\n';
+  for (const result of results) {
+    const message = (result.message || result.error || '').replace(/\|/g, '\\|');
+    const silenced = result.silenced ? ' 🔕 silenced' : '';
+    md += `| ${result.name} | ${statusEmoji[result.status] || statusEmoji.unknown} ${result.status}${silenced} | ${result.duration}ms | ${message} |\n`;
+  }
+  md += '\n';
+
+  const remediated = results.filter(r => r.remediation && r.remediation.length > 0);
+  if (remediated.length > 0) {
+    md += '## 🔧 Auto-fix\n\n';
+    for (const result of remediated) {
+      const previous = result.previousStatus ? ` (${result.previousStatus} → ${result.status})` : '';
+      md += `**${result.name}**${previous}\n\n`;
+      for (const action of result.remediation) {
+        md += `- **${action.status}** ${action.title}${action.error ? ` — ${action.error}` : ''}\n`;
+      }
+      md += '\n';
+    }
+  }
+
+  for (const result of results.filter(r => r.status !== 'pass')) {
+    md += `## ${statusEmoji[result.status] || statusEmoji.unknown} ${result.name}\n\n`;
+    if (result.silenced) {
+      md += `> 🔕 Silenced until ${result.silenced.expiresAt}: ${result.silenced.reason}\n\n`;
+    }
+    for (const detail of (result.details || []).filter(d => d.status !== 'pass')) {
+      const location = detail.file ? ` \`${detail.file}${detail.line ? `:${detail.line}` : ''}\`` : '';
+      md += `- **${detail.status}** ${detail.message.trim()}${location}\n`;
+    }
+    if (result.error) {
+      md += `- **error** ${result.error}\n`;
+    }
+    if (result.fix && result.fix.length > 0) {
+      md += '\n💡 Suggested fix:\n';
+      for (const fix of result.fix) {
+        md += `- ${remediation.describe(fix)}\n`;
+      }
+    }
+    md += '\n';
+  }
+
+  return md;
+}
+
+/**
+ * 按名称格式化
+ */
+function format(name, report) {
+  switch (name) {
+    case 'text':
+      return report.reportText;
+    case 'json':
+      return formatJson(report);
+    case 'junit':
+      return formatJunit(report);
+    case 'sarif':
+      return formatSarif(report);
+    case 'markdown':
+      return formatMarkdown(report);
+    default:
+      throw new Error(`Unknown format "${name}" (expected one of: ${FORMATS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  format
+};
@@ -0,0 +1,142 @@
+/**
+ * 🗃️ 结构化结果存储
+ * 以 JSON Lines 格式追加保存每次健康检查的完整结果，
+ * 供 dashboard 和趋势分析读取，无需再解析文本日志
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { existsSync } = require('fs');
+
+const remediation = require('./remediation');
+
+// 记录格式版本，结构变化时递增
+// 2: fix 改为结构化的修复动作，新增 remediation/previousStatus
+const SCHEMA_VERSION = 2;
+
+// 默认存储路径（与文本日志放在同一目录）
+const DEFAULT_STORE_PATH = '/tmp/clawdbot/health-check.jsonl';
+
+/**
+ * 获取存储文件路径
+ */
+function getStorePath() {
+  return process.env.HEALTH_CHECK_RESULTS_FILE || DEFAULT_STORE_PATH;
+}
+
+/**
+ * 构建一条结果记录
+ */
+function buildRecord(results, summary, meta = {}) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    id: `${Date.parse(summary.timestamp)}-${process.pid}`,
+    timestamp: summary.timestamp,
+    host: os.hostname(),
+    mode: meta.mode || 'quick',
+    selection: meta.selection,
+    summary: {
+      total: summary.total,
+      passed: summary.passed,
+      warnings: summary.warnings,
+      failed: summary.failed,
+      errors: summary.errors,
+      silenced: summary.silenced,
+      overallStatus: summary.overallStatus
+    },
+    checks: results.map(result => ({
+      id: result.id,
+      name: result.name,
+      tags: result.tags || [],
+      status: result.status,
+      duration: result.duration,
+      timedOut: result.timedOut,
+      message: result.message,
+      details: result.details || [],
+      error: result.error,
+      fix: (result.fix || []).map(remediation.normalize),
+      remediation: result.remediation,
+      previousStatus: result.previousStatus,
+      silenced: result.silenced
+    }))
+  };
+}
+
+/**
+ * 将旧版本记录升级为当前结构
+ */
+function normalizeRecord(record) {
+  if (!record || typeof record !== 'object' || !record.timestamp || !record.summary) {
+    return null;
+  }
+
+  if (record.schemaVersion > SCHEMA_VERSION) {
+    // 由更新版本写入的记录，无法保证能正确解析
+    return null;
+  }
+
+  return {
+    ...record,
+    checks: (record.checks || []).map(check => ({
+      id: check.name,
+      tags: [],
+      details: [],
+      ...check,
+      // v1 的 fix 为字符串数组
+      fix: (check.fix || []).map(remediation.normalize)
+    }))
+  };
+}
+
+/**
+ * 追加一条记录
+ */
+async function append(storePath, record) {
+  await fs.mkdir(path.dirname(storePath), { recursive: true });
+  await fs.appendFile(storePath, JSON.stringify(record) + '\n');
+}
+
+/**
+ * 读取记录（按时间升序）
+ *
+ * options.since: Date，只返回该时间之后的记录
+ * options.limit: 只返回最近 N 条
+ */
+async function read(storePath, options = {}) {
+  if (!existsSync(storePath)) {
+    return [];
+  }
+
+  const content = await fs.readFile(storePath, 'utf-8');
+  const records = [];
+
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = normalizeRecord(JSON.parse(line));
+    } catch {
+      // 跳过损坏的行（例如写入中断）
+      continue;
+    }
+
+    if (!record) continue;
+    if (options.since && new Date(record.timestamp) < options.since) continue;
+
+    records.push(record);
+  }
+
+  records.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  return options.limit ? records.slice(-options.limit) : records;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  getStorePath,
+  buildRecord,
+  append,
+  read
+};
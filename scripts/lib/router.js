@@ -0,0 +1,212 @@
+/**
+ * 🧭 通知路由
+ * 按检查 id、状态和标签把结果分发到不同的通知渠道
+ *
+ * 配置（health-check.config 中 routing）:
+ *   routing:
+ *     default: [telegram]              # 未匹配任何规则的结果发送到这些渠道（默认: 所有渠道）
+ *     routes:
+ *       - match: { checks: [git], tags: [security] }
+ *         channels: [security]         # 匹配后发送到这些渠道
+ *       - match: { checks: [logs], statuses: [warning] }
+ *         digest: true                 # 只进入日报，不即时通知
+ *       - match: { statuses: [error] }
+ *         channels: [oncall]
+ *         continue: true               # 匹配后继续匹配后面的规则
+ *
+ * 规则按顺序匹配，第一条匹配的规则生效（除非设置 continue）。
+ * match 中各条件同时满足才算匹配，每个条件内任意一项满足即可；省略 match 匹配所有结果。
+ * 已恢复的检查按恢复前的状态匹配，恢复通知会发到原来接收告警的渠道。
+ * 被静默的检查（见 silences.js）不路由，但会附在每个渠道的报告中。
+ */
+
+const { ConfigError, validate } = require('./config-loader');
+
+const STATUSES = ['warning', 'fail', 'error', 'unknown'];
+
+const ROUTING_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    default: { type: 'array', items: { type: 'string' } },
+    routes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          match: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              checks: { type: 'array', items: { type: 'string' } },
+              statuses: { type: 'array', items: { type: 'string', enum: STATUSES } },
+              tags: { type: 'array', items: { type: 'string' } }
+            }
+          },
+          channels: { type: 'array', items: { type: 'string' } },
+          digest: { type: 'boolean' },
+          continue: { type: 'boolean' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * 校验路由配置，引用不存在的渠道时报错
+ */
+function validateRouting(routing, channelNames, source) {
+  if (!routing) return;
+
+  const errors = validate(routing, ROUTING_SCHEMA, 'routing');
+  if (errors.length === 0) {
+    const known = new Set(channelNames);
+    const checkNames = (names, at) => {
+      for (const name of names || []) {
+        if (!known.has(name)) {
+          errors.push(`${at} refers to unknown channel "${name}" (known: ${channelNames.join(', ') || 'none'})`);
+        }
+      }
+    };
+
+    checkNames(routing.default, 'routing.default');
+    (routing.routes || []).forEach((route, i) => {
+      checkNames(route.channels, `routing.routes[${i}].channels`);
+      if (route.digest && route.channels && route.channels.length > 0) {
+        errors.push(`routing.routes[${i}] cannot set both digest and channels`);
+      }
+      if (!route.digest && !(route.channels && route.channels.length > 0)) {
+        errors.push(`routing.routes[${i}] must set channels or digest: true`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(`invalid config:\n  - ${errors.join('\n  - ')}`, source);
+  }
+}
+
+/**
+ * 判断规则是否匹配
+ */
+function matches(route, item) {
+  const match = route.match || {};
+  return (!match.checks || match.checks.includes(item.id)) &&
+    (!match.statuses || match.statuses.includes(item.status)) &&
+    (!match.tags || (item.tags || []).some(tag => match.tags.includes(tag)));
+}
+
+/**
+ * 为单个结果找出目标渠道（digest 规则不添加渠道）
+ */
+function resolveTargets(routing, item, allChannels) {
+  const channels = new Set();
+  let matched = false;
+
+  for (const route of routing.routes || []) {
+    if (!matches(route, item)) continue;
+
+    matched = true;
+    if (!route.digest) {
+      route.channels.forEach(name => channels.add(name));
+    }
+    if (!route.continue) break;
+  }
+
+  if (!matched) {
+    (routing.default || allChannels).forEach(name => channels.add(name));
+  }
+
+  return [...channels];
+}
+
+/**
+ * 计算每个渠道应收到的内容
+ *
+ * channelNames: 启用的渠道
+ *
+ * report: { summary, results, reportText, record, alerts, ongoing }
+ * options.alertOnly: 为 true 时只有收到状态变化的渠道才发送
+ * options.summarize(results) / options.format(results, summary): 用于按渠道的结果重新生成 summary 和 reportText
+ *
+ * 返回 [{ name, report }]，report 只包含路由到该渠道的检查（以及其余通过的检查），
+ * summary、reportText 和 record.summary 也只统计这些检查
+ */
+function plan(channelNames, routing, report, options = {}) {
+  const alerts = report.alerts || [];
+  const alertById = new Map(alerts.map(alert => [alert.id, alert]));
+  const routedIds = new Map(channelNames.map(name => [name, new Set()]));
+
+  for (const result of report.results) {
+    const alert = alertById.get(result.id);
+    if ((result.status === 'pass' || result.silenced) && !alert) continue;
+
+    // 已恢复的检查按恢复前的状态路由
+    const status = result.status === 'pass' ? alert.previousStatus : result.status;
+    const targets = routing
+      ? resolveTargets(routing, { ...result, status }, channelNames)
+      : channelNames;
+
+    // 路由到已停用渠道的结果不发送
+    for (const name of targets.filter(target => routedIds.has(target))) {
+      routedIds.get(name).add(result.id);
+    }
+  }
+
+  const defaults = routing && routing.default ? routing.default : channelNames;
+  const deliveries = [];
+
+  for (const name of channelNames) {
+    const ids = routedIds.get(name);
+    const channelAlerts = alerts.filter(alert => ids.has(alert.id));
+
+    const shouldSend = options.alertOnly
+      ? channelAlerts.length > 0
+      : ids.size > 0 || defaults.includes(name);
+    if (!shouldSend) continue;
+
+    // 被静默的检查在每个渠道中都显示（标记为 silenced），但不会触发发送
+    const included = r => ids.has(r.id) || r.silenced || (r.status === 'pass' && !alertById.has(r.id));
+    const results = report.results.filter(included);
+
+    // 附件、邮件正文、标题中的状态等都来自 summary 和 reportText，不能包含路由到其他渠道的检查
+    const summary = options.summarize
+      ? { ...options.summarize(results), timestamp: report.summary.timestamp }
+      : report.summary;
+    const reportText = options.format ? options.format(results, summary) : report.reportText;
+
+    deliveries.push({
+      name,
+      report: {
+        ...report,
+        summary,
+        results,
+        reportText,
+        record: report.record && {
+          ...report.record,
+          summary: {
+            ...report.record.summary,
+            total: summary.total,
+            passed: summary.passed,
+            warnings: summary.warnings,
+            failed: summary.failed,
+            errors: summary.errors,
+            silenced: summary.silenced,
+            overallStatus: summary.overallStatus
+          },
+          checks: report.record.checks.filter(included)
+        },
+        alerts: channelAlerts,
+        ongoing: (report.ongoing || []).filter(issue => ids.has(issue.id))
+      }
+    });
+  }
+
+  return deliveries;
+}
+
+module.exports = {
+  validateRouting,
+  plan
+};
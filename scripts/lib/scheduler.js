@@ -0,0 +1,84 @@
+/**
+ * ⏱️ 检查调度器
+ * 并发执行检查，限制最大并发数，并对每个检查强制超时
+ */
+
+// 默认最大并发数
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * 超时错误
+ */
+class TimeoutError extends Error {
+  constructor(timeout) {
+    super(`Timed out after ${timeout}ms`);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * 在限定时间内执行任务
+ *
+ * task 接收一个 AbortSignal，超时后 signal 会被中止，
+ * 通过 spawn(..., { signal }) 启动的子进程会被自动终止
+ */
+async function withTimeout(task, timeout) {
+  const controller = new AbortController();
+
+  if (!timeout || timeout <= 0) {
+    return task(controller.signal);
+  }
+
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new TimeoutError(timeout);
+      // 先结束等待，再中止任务，确保结果是超时而不是任务自身的中止错误
+      reject(error);
+      controller.abort(error);
+    }, timeout);
+  });
+
+  try {
+    return await Promise.race([task(controller.signal), timeoutPromise]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 并发执行任务，结果顺序与输入顺序一致
+ *
+ * worker(item, index) 返回 Promise；onResult(result, index) 在每个任务完成时调用
+ */
+async function runAll(items, worker, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function lane() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+      if (options.onResult) {
+        options.onResult(results[index], index);
+      }
+    }
+  }
+
+  const lanes = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    lanes.push(lane());
+  }
+  await Promise.all(lanes);
+
+  return results;
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  TimeoutError,
+  withTimeout,
+  runAll
+};
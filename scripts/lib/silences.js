@@ -0,0 +1,231 @@
+/**
+ * 🔕 静默（维护窗口）
+ * 在到期前不再为匹配的检查发送告警；结果仍然照常记录，并在报告和 dashboard 中标记为 silenced
+ *
+ * 静默文件结构:
+ *   {
+ *     version: 1,
+ *     silences: [
+ *       {
+ *         id: 'a1b2c3d4',
+ *         check: 'notion',             // 检查 id 或名称（不区分大小写），省略表示所有检查
+ *         detail: 'save-content\\.js', // 可选，详情匹配的正则（不区分大小写）
+ *         all: false,                  // true 时静默所有检查
+ *         reason: 'Notion skill is being rebuilt',
+ *         createdBy: 'alice',
+ *         createdAt: '...',
+ *         expiresAt: '...'
+ *       }
+ *     ]
+ *   }
+ *
+ * 只设置 check 时静默整个检查；设置 detail 时，只有检查的所有问题（未通过的详情，没有详情时为 message）
+ * 都匹配该正则才算静默，这样同一检查中出现的新问题仍会告警
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { existsSync } = require('fs');
+
+const SILENCES_VERSION = 1;
+
+// 默认静默文件路径（与结果文件放在同一目录）
+const DEFAULT_SILENCES_PATH = '/tmp/clawdbot/health-check-silences.json';
+
+// 详情静默需要匹配的详情状态
+const PROBLEM_STATUSES = ['warning', 'fail', 'error'];
+
+// 时长单位（毫秒）
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * 静默定义错误（参数缺失、时间无法解析、正则无效）
+ */
+class SilenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SilenceError';
+  }
+}
+
+/**
+ * 获取静默文件路径
+ */
+function getSilencesPath() {
+  return process.env.HEALTH_CHECK_SILENCES_FILE || DEFAULT_SILENCES_PATH;
+}
+
+/**
+ * 读取静默列表（文件不存在时返回空列表；无法解析或版本更新时抛出 SilenceError，避免覆盖文件）
+ */
+async function load(silencesPath) {
+  if (!existsSync(silencesPath)) {
+    return [];
+  }
+
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(silencesPath, 'utf-8'));
+  } catch (error) {
+    throw new SilenceError(`Cannot parse silences file ${silencesPath}: ${error.message}`);
+  }
+
+  if (!data || !Array.isArray(data.silences)) {
+    throw new SilenceError(`Invalid silences file: ${silencesPath}`);
+  }
+  if (data.version > SILENCES_VERSION) {
+    throw new SilenceError(
+      `Silences file ${silencesPath} has version ${data.version}, newer than supported version ${SILENCES_VERSION}`
+    );
+  }
+  return data.silences;
+}
+
+/**
+ * 保存静默列表（先写临时文件再重命名）
+ */
+async function save(silencesPath, silences) {
+  await fs.mkdir(path.dirname(silencesPath), { recursive: true });
+  const tmpPath = `${silencesPath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify({ version: SILENCES_VERSION, silences }, null, 2));
+  await fs.rename(tmpPath, silencesPath);
+}
+
+/**
+ * 解析到期时间：时长（30m、4h、2d、1w）或日期（2026-02-06、2026-02-06T18:00）
+ */
+function parseExpiry(value, now = new Date()) {
+  const duration = /^(\d+)([mhdw])$/.exec(String(value).trim());
+  if (duration) {
+    return new Date(now.getTime() + parseInt(duration[1]) * DURATION_UNITS[duration[2]]);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new SilenceError(`Cannot parse expiry "${value}" (use a duration like 4h, 2d, 1w or a date like 2026-02-06)`);
+  }
+  if (date <= now) {
+    throw new SilenceError(`Expiry ${date.toISOString()} is in the past`);
+  }
+  return date;
+}
+
+/**
+ * 创建静默（校验参数）
+ *
+ * options: { check, detail, all, reason, until, createdBy, now }
+ */
+function create(options) {
+  const now = options.now || new Date();
+
+  if (!options.all && !options.check && !options.detail) {
+    throw new SilenceError('A silence needs a check, a detail pattern, or all');
+  }
+  if (options.all && (options.check || options.detail)) {
+    throw new SilenceError('"all" cannot be combined with a check or detail pattern');
+  }
+  if (!options.reason || !String(options.reason).trim()) {
+    throw new SilenceError('A reason is required');
+  }
+  if (!options.until) {
+    throw new SilenceError('An expiry is required');
+  }
+  if (options.detail) {
+    try {
+      new RegExp(options.detail, 'i');
+    } catch (error) {
+      throw new SilenceError(`Invalid detail pattern: ${error.message}`);
+    }
+  }
+
+  return {
+    id: crypto.randomBytes(4).toString('hex'),
+    check: options.check || undefined,
+    detail: options.detail || undefined,
+    all: options.all ? true : undefined,
+    reason: String(options.reason).trim(),
+    createdBy: options.createdBy || os.userInfo().username,
+    createdAt: now.toISOString(),
+    expiresAt: parseExpiry(options.until, now).toISOString()
+  };
+}
+
+/**
+ * 是否未到期
+ */
+function isActive(silence, now = new Date()) {
+  return Date.parse(silence.expiresAt) > now.getTime();
+}
+
+/**
+ * 静默是否覆盖该结果
+ *
+ * 详情静默要求所有问题详情（warning、fail、error）都匹配；pass 和 info 详情不是问题，不参与匹配
+ */
+function matches(silence, result) {
+  if (silence.all) return true;
+
+  if (silence.check) {
+    const name = silence.check.toLowerCase();
+    if (result.id.toLowerCase() !== name && String(result.name).toLowerCase() !== name) {
+      return false;
+    }
+  }
+
+  if (silence.detail) {
+    const pattern = new RegExp(silence.detail, 'i');
+    const problems = (result.details || []).filter(detail => PROBLEM_STATUSES.includes(detail.status)).map(detail => detail.message);
+    const texts = problems.length > 0 ? problems : [result.message || result.error || ''];
+    return texts.every(text => pattern.test(text));
+  }
+
+  return true;
+}
+
+/**
+ * 为有问题且被静默的结果加上 silenced 标记（{ id, reason, expiresAt }），不改变状态
+ */
+function apply(results, silences, now = new Date()) {
+  const active = silences.filter(silence => isActive(silence, now));
+
+  return results.map(result => {
+    if (result.status === 'pass') return result;
+
+    const silence = active.find(s => matches(s, result));
+    return silence
+      ? { ...result, silenced: { id: silence.id, reason: silence.reason, expiresAt: silence.expiresAt } }
+      : result;
+  });
+}
+
+/**
+ * 静默的单行描述
+ */
+function describe(silence) {
+  const scope = silence.all
+    ? 'all checks'
+    : [silence.check ? `check ${silence.check}` : 'any check', silence.detail ? `detail /${silence.detail}/` : null]
+      .filter(Boolean)
+      .join(', ');
+  return `${scope} until ${silence.expiresAt} - ${silence.reason} (by ${silence.createdBy})`;
+}
+
+module.exports = {
+  SilenceError,
+  getSilencesPath,
+  load,
+  save,
+  parseExpiry,
+  create,
+  isActive,
+  matches,
+  apply,
+  describe
+};
@@ -0,0 +1,305 @@
+/**
+ * ✉️ SMTP 客户端
+ * 基于 Node 内置 net/tls 模块发送邮件，支持 STARTTLS、隐式 TLS 和 AUTH PLAIN/LOGIN，无需第三方依赖
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+// 默认值
+const DEFAULTS = {
+  port: 587,
+  secure: false,
+  starttls: true,
+  requireTls: false,
+  allowInsecureAuth: false,
+  rejectUnauthorized: true,
+  timeout: 30000
+};
+
+/**
+ * SMTP 错误（连接失败、超时或服务器返回错误码）
+ */
+class SmtpError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code;
+  }
+}
+
+/**
+ * 编码邮件头（含非 ASCII 字符时使用 RFC 2047 encoded-word）
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+/**
+ * base64 编码并按 76 字符换行
+ */
+function base64Lines(text) {
+  return Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+/**
+ * 构建 multipart/alternative 邮件（纯文本 + HTML）
+ *
+ * message: { from, to, subject, text, html }
+ */
+function buildMessage(message) {
+  const boundary = `----health-check-${crypto.randomBytes(12).toString('hex')}`;
+  const domain = message.from.split('@').pop().replace(/>$/, '') || os.hostname();
+
+  const headers = [
+    `From: ${message.from}`,
+    `To: ${message.to.join(', ')}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(16).toString('hex')}@${domain}>`,
+    'MIME-Version: 1.0'
+  ];
+
+  let body;
+  if (message.html) {
+    headers.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+    body = [
+      `--${boundary}`,
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Lines(message.text),
+      `--${boundary}`,
+      'Content-Type: text/html; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Lines(message.html),
+      `--${boundary}--`
+    ].join('\r\n');
+  } else {
+    headers.push('Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: base64');
+    body = base64Lines(message.text);
+  }
+
+  return `${headers.join('\r\n')}\r\n\r\n${body}`;
+}
+
+/**
+ * 提取地址中的邮箱部分（"Name <a@b.c>" → a@b.c）
+ */
+function addressOf(value) {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+}
+
+/**
+ * 包装 socket，按 SMTP 响应（可能多行）读取
+ */
+function createReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const queue = [];
+  let waiting = null;
+  let failure = null;
+
+  const flush = () => {
+    while (waiting && (queue.length > 0 || failure)) {
+      const { resolve, reject } = waiting;
+      waiting = null;
+      if (queue.length > 0) resolve(queue.shift());
+      else reject(failure);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf-8');
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      lines.push(line);
+      // "250-..." 表示还有后续行，"250 ..." 为最后一行
+      if (/^\d{3}(?: |$)/.test(line)) {
+        queue.push({ code: parseInt(line.slice(0, 3)), lines: lines.map(l => l.slice(4)) });
+        lines = [];
+      }
+    }
+    flush();
+  };
+
+  const onError = (error) => {
+    failure = failure || (error instanceof SmtpError ? error : new SmtpError(error.message));
+    flush();
+  };
+
+  const attach = (target) => {
+    target.on('data', onData);
+    target.on('error', onError);
+    target.on('close', () => onError(new SmtpError('Connection closed by server')));
+  };
+  attach(socket);
+
+  return {
+    // STARTTLS 后切换到加密连接
+    switchTo(target) {
+      socket.removeListener('data', onData);
+      attach(target);
+      socket = target;
+    },
+    read() {
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        flush();
+      });
+    }
+  };
+}
+
+/**
+ * 建立连接（secure 时直接使用 TLS）
+ */
+function connect(options) {
+  return new Promise((resolve, reject) => {
+    const socket = options.secure
+      ? tls.connect({
+        host: options.host,
+        port: options.port,
+        servername: net.isIP(options.host) ? undefined : options.host,
+        rejectUnauthorized: options.rejectUnauthorized
+      })
+      : net.connect({ host: options.host, port: options.port });
+
+    socket.setTimeout(options.timeout, () => {
+      socket.destroy(new SmtpError(`SMTP timed out after ${options.timeout}ms`));
+    });
+    socket.once(options.secure ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', (error) => reject(new SmtpError(`Cannot connect to ${options.host}:${options.port}: ${error.message}`)));
+  });
+}
+
+/**
+ * 在已有连接上升级为 TLS
+ */
+function upgrade(socket, options) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({
+      socket,
+      servername: net.isIP(options.host) ? undefined : options.host,
+      rejectUnauthorized: options.rejectUnauthorized
+    }, () => resolve(secured));
+    secured.setTimeout(options.timeout, () => {
+      secured.destroy(new SmtpError(`SMTP timed out after ${options.timeout}ms`));
+    });
+    secured.once('error', (error) => reject(new SmtpError(`STARTTLS failed: ${error.message}`)));
+  });
+}
+
+/**
+ * 发送邮件
+ *
+ * options: { host, port, secure, starttls, requireTls, allowInsecureAuth, rejectUnauthorized, user, pass, name, timeout }
+ *   secure: 连接时直接使用 TLS（通常为 465 端口）
+ *   starttls: 服务器支持时升级为 TLS（默认 true）
+ *   requireTls: 无法建立 TLS 时放弃发送
+ *   allowInsecureAuth: 允许在未加密的连接上发送用户名和密码（默认 false，此时放弃发送）
+ * message: { from, to: [...], subject, text, html }
+ *
+ * 返回 { accepted, rejected, response }，所有收件人都被拒绝或服务器返回错误时抛出 SmtpError
+ */
+async function sendMail(options, message) {
+  const settings = { ...DEFAULTS };
+  for (const [key, value] of Object.entries(options)) {
+    // 未设置的选项使用默认值
+    if (value !== undefined) settings[key] = value;
+  }
+  if (options.port === undefined && settings.secure) {
+    settings.port = 465;
+  }
+
+  let socket = await connect(settings);
+  const reader = createReader(socket);
+
+  const command = async (line, expected, label = line.split(' ')[0]) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const response = await reader.read();
+    if (!expected.includes(response.code)) {
+      throw new SmtpError(`SMTP ${label} failed: ${response.code} ${response.lines.join(' ')}`, response.code);
+    }
+    return response;
+  };
+
+  try {
+    await command(null, [220], 'greeting');
+
+    const name = settings.name || os.hostname();
+    let ehlo = await command(`EHLO ${name}`, [250]);
+    let secure = settings.secure;
+
+    const supports = (keyword) => ehlo.lines.some(line => line.toUpperCase().startsWith(keyword));
+
+    if (!secure && settings.starttls && supports('STARTTLS')) {
+      await command('STARTTLS', [220]);
+      socket = await upgrade(socket, settings);
+      reader.switchTo(socket);
+      secure = true;
+      ehlo = await command(`EHLO ${name}`, [250]);
+    }
+    if (!secure && settings.requireTls) {
+      throw new SmtpError('Server does not support STARTTLS and requireTls is set');
+    }
+
+    if (settings.user) {
+      if (!secure && !settings.allowInsecureAuth) {
+        throw new SmtpError('Refusing to send SMTP credentials over an unencrypted connection (set allowInsecureAuth to allow)');
+      }
+      const auth = (ehlo.lines.find(line => line.toUpperCase().startsWith('AUTH')) || '').toUpperCase();
+      if (auth.includes('PLAIN') || !auth.includes('LOGIN')) {
+        const token = Buffer.from(`\0${settings.user}\0${settings.pass || ''}`).toString('base64');
+        await command(`AUTH PLAIN ${token}`, [235], 'AUTH');
+      } else {
+        await command('AUTH LOGIN', [334], 'AUTH');
+        await command(Buffer.from(settings.user).toString('base64'), [334], 'AUTH');
+        await command(Buffer.from(settings.pass || '').toString('base64'), [235], 'AUTH');
+      }
+    }
+
+    await command(`MAIL FROM:<${addressOf(message.from)}>`, [250], 'MAIL FROM');
+
+    const accepted = [];
+    const rejected = [];
+    for (const recipient of message.to) {
+      try {
+        await command(`RCPT TO:<${addressOf(recipient)}>`, [250, 251], 'RCPT TO');
+        accepted.push(recipient);
+      } catch (error) {
+        if (!(error instanceof SmtpError) || !error.code) throw error;
+        rejected.push(recipient);
+      }
+    }
+    if (accepted.length === 0) {
+      throw new SmtpError(`All recipients were rejected: ${rejected.join(', ')}`);
+    }
+
+    await command('DATA', [354]);
+    // 以 "." 开头的行需要再加一个 "."
+    const data = buildMessage({ ...message, to: accepted }).replace(/^\./gm, '..');
+    const response = await command(`${data}\r\n.`, [250], 'DATA');
+
+    socket.write('QUIT\r\n');
+    socket.end();
+    return { accepted, rejected, response: response.lines.join(' ') };
+  } catch (error) {
+    socket.destroy();
+    throw error;
+  }
+}
+
+module.exports = {
+  SmtpError,
+  buildMessage,
+  sendMail
+};
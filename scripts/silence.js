@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * 🔕 管理告警静默（维护窗口）
+ *
+ * 用法:
+ *   node silence.js list                      # 列出未到期的静默
+ *   node silence.js list --expired            # 同时列出已到期的静默
+ *   node silence.js add --check notion --until 2026-02-06 --reason "Rebuilding Notion skill"
+ *   node silence.js add --check logs --detail "ECONNRESET" --until 4h --reason "Upstream outage"
+ *   node silence.js add --all --until 30m --reason "Server maintenance"
+ *   node silence.js remove <id>               # 提前结束静默
+ *   node silence.js prune                     # 删除已到期的静默
+ *
+ * --until 可以是时长（30m、4h、2d、1w）或日期（2026-02-06、2026-02-06T18:00）
+ */
+
+const path = require('path');
+
+// 加载 .env
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+
+const silences = require('./lib/silences');
+
+const USAGE = `Usage:
+  node scripts/silence.js list [--expired]
+  node scripts/silence.js add (--check <id|name> [--detail <regex>] | --detail <regex> | --all) --until <duration|date> --reason <text>
+  node scripts/silence.js remove <id>
+  node scripts/silence.js prune`;
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+
+  const valueOf = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] && !args[index + 1].startsWith('--')
+      ? args[index + 1]
+      : null;
+  };
+
+  return {
+    command: args[0],
+    target: args[1] && !args[1].startsWith('--') ? args[1] : null,
+    check: valueOf('--check'),
+    detail: valueOf('--detail'),
+    all: args.includes('--all'),
+    until: valueOf('--until'),
+    reason: valueOf('--reason'),
+    expired: args.includes('--expired')
+  };
+}
+
+/**
+ * 打印静默列表
+ */
+function printList(list, now) {
+  if (list.length === 0) {
+    console.log('No silences.');
+    return;
+  }
+
+  for (const silence of list) {
+    const state = silences.isActive(silence, now) ? '🔕' : '⌛ expired';
+    console.log(`${state} ${silence.id}  ${silences.describe(silence)}`);
+  }
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+  const options = parseArgs();
+  const silencesPath = silences.getSilencesPath();
+  const now = new Date();
+  const list = await silences.load(silencesPath);
+
+  switch (options.command) {
+    case 'list':
+    case undefined: {
+      printList(options.expired ? list : list.filter(s => silences.isActive(s, now)), now);
+      break;
+    }
+
+    case 'add': {
+      const silence = silences.create({ ...options, now });
+      await silences.save(silencesPath, [...list, silence]);
+      console.log(`✓ Silence ${silence.id} added: ${silences.describe(silence)}`);
+      break;
+    }
+
+    case 'remove': {
+      if (!options.target) {
+        throw new silences.SilenceError('Missing silence id');
+      }
+      const remaining = list.filter(s => s.id !== options.target);
+      if (remaining.length === list.length) {
+        throw new silences.SilenceError(`No silence with id ${options.target}`);
+      }
+      await silences.save(silencesPath, remaining);
+      console.log(`✓ Silence ${options.target} removed`);
+      break;
+    }
+
+    case 'prune': {
+      const active = list.filter(s => silences.isActive(s, now));
+      await silences.save(silencesPath, active);
+      console.log(`✓ Removed ${list.length - active.length} expired silence(s)`);
+      break;
+    }
+
+    default:
+      throw new silences.SilenceError(`Unknown command: ${options.command}\n\n${USAGE}`);
+  }
+}
+
+main().catch((error) => {
+  if (error instanceof silences.SilenceError) {
+    console.error(`💥 ${error.message}`);
+    process.exit(1);
+  }
+  console.error('💥 Fatal error:', error);
+  process.exit(1);
+});
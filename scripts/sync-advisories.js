@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * 🛡️ 同步安全公告数据库
+ * 收集根目录和各 skill 的 lockfile 中安装的包版本，从 registry 的批量公告接口查询安全公告，
+ * 写入本地数据库供 audit 检查离线使用（见 lib/advisories.js）
+ *
+ * 用法:
+ *   node sync-advisories.js                          # 使用配置 checks.audit.registry / database
+ *   node sync-advisories.js --registry <url>         # 指定 registry（例如内网镜像）
+ *   node sync-advisories.js --db <file>              # 指定数据库文件
+ *   node sync-advisories.js --config <file>          # 指定配置文件
+ *
+ * 依赖变化后需要重新同步；离线机器可以直接复制其他机器同步好的数据库文件
+ */
+
+const path = require('path');
+
+// 加载 .env
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+
+const configLoader = require('./lib/config-loader');
+const advisories = require('./lib/advisories');
+const lockfile = require('./lib/lockfile');
+const auditCheck = require('./checks/audit');
+
+// Skill 根目录（用于查找配置文件）
+const SKILL_ROOT = path.join(__dirname, '..');
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+
+  const valueOf = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] && !args[index + 1].startsWith('--')
+      ? args[index + 1]
+      : null;
+  };
+
+  return {
+    registry: valueOf('--registry'),
+    db: valueOf('--db'),
+    config: valueOf('--config')
+  };
+}
+
+/**
+ * 收集所有 lockfile 中安装的包版本，返回 Map<包名, Set<版本>>
+ */
+async function collectPackages(clawdRoot) {
+  const packages = new Map();
+  let lockfiles = 0;
+
+  for (const project of await lockfile.listProjects(clawdRoot)) {
+    const lock = await lockfile.read(project.dir);
+    if (!lock) continue;
+
+    lockfiles++;
+    for (const entry of lock.packages.values()) {
+      if (!entry.version) continue;
+      if (!packages.has(entry.name)) packages.set(entry.name, new Set());
+      packages.get(entry.name).add(entry.version);
+    }
+  }
+
+  return { packages, lockfiles };
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+  const options = parseArgs();
+
+  let clawdRoot = path.join(__dirname, '../../');
+  const fileConfig = await configLoader.load({ file: options.config, searchDirs: [SKILL_ROOT, clawdRoot] });
+  if (fileConfig.clawdRoot) clawdRoot = fileConfig.clawdRoot;
+
+  // 审计检查被禁用时仍然使用其默认配置
+  const [configured] = configLoader.applyToChecks([auditCheck], fileConfig);
+  const settings = { ...auditCheck.defaults, ...((configured && configured.config) || {}) };
+
+  const registry = options.registry || settings.registry;
+  const databasePath = options.db || advisories.getDatabasePath(settings);
+
+  const { packages, lockfiles } = await collectPackages(clawdRoot);
+  if (lockfiles === 0) {
+    console.log(`No lockfiles found under ${clawdRoot}, nothing to sync.`);
+    return;
+  }
+
+  console.log(`🛡️  Querying ${registry} for ${packages.size} package(s) from ${lockfiles} lockfile(s)...`);
+  const fetched = await advisories.fetchAdvisories(packages, {
+    registry,
+    timeout: 30000,
+    onProgress: (done, total) => {
+      if (total > done) console.log(`   ${done}/${total}`);
+    }
+  });
+
+  const db = advisories.merge(await advisories.load(databasePath), packages, fetched, registry);
+  await advisories.save(databasePath, db);
+
+  const found = Object.values(fetched).reduce((sum, list) => sum + list.length, 0);
+  console.log(`✓ Advisory database updated: ${databasePath}`);
+  console.log(`  ${found} advisor${found === 1 ? 'y' : 'ies'} for installed versions of ${packages.size} package(s)`);
+}
+
+main().catch((error) => {
+  if (error instanceof configLoader.ConfigError) {
+    console.error(`💥 ${error.message}`);
+    process.exit(1);
+  }
+  console.error('💥 Sync failed:', error.message);
+  process.exit(1);
+});
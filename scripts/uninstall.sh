@@ -130,10 +130,25 @@ remove_env_config() {
     fi
 }
 
+# 移除 git hooks
+remove_git_hooks() {
+    if command -v node &> /dev/null && [[ -f "$INSTALL_DIR/scripts/install-hooks.js" ]]; then
+        print_info "Removing git hooks..."
+        node "$INSTALL_DIR/scripts/install-hooks.js" --uninstall || print_warning "Could not remove git hooks"
+    fi
+}
+
 # 询问是否保留日志
 ask_keep_logs() {
     print_info "Log files location:"
     echo "  - /tmp/clawdbot/health-check.log"
+    echo "  - /tmp/clawdbot/health-check.jsonl"
+    echo "  - /tmp/clawdbot/health-check-state.json"
+    echo "  - /tmp/clawdbot/health-check-silences.json"
+    echo "  - /tmp/clawdbot/health-check-git-scan.json"
+    echo "  - /tmp/clawdbot/health-check-syntax-cache.json"
+    echo "  - /tmp/clawdbot/health-check-advisories.json"
+    echo "  - /tmp/clawdbot/health-check-logs-cursor.json"
     echo "  - /tmp/clawdbot/health-cron.log"
     echo ""
 
@@ -143,6 +158,13 @@ ask_keep_logs() {
     else
         print_info "Removing log files..."
         rm -f /tmp/clawdbot/health-check.log
+        rm -f /tmp/clawdbot/health-check.jsonl
+        rm -f /tmp/clawdbot/health-check-state.json
+        rm -f /tmp/clawdbot/health-check-silences.json
+        rm -f /tmp/clawdbot/health-check-git-scan.json
+        rm -f /tmp/clawdbot/health-check-syntax-cache.json
+        rm -f /tmp/clawdbot/health-check-advisories.json
+        rm -f /tmp/clawdbot/health-check-logs-cursor.json
         rm -f /tmp/clawdbot/health-cron.log
         print_success "Log files removed"
         return 1
@@ -202,6 +224,7 @@ main() {
     remove_cron
     remove_systemd
     remove_env_config
+    remove_git_hooks
 
     echo ""
 
@@ -92,6 +92,15 @@ backup_config() {
     if [[ -f "/tmp/clawdbot/health-check.log" ]]; then
         cp /tmp/clawdbot/health-check.log "$backup_dir/" 2>/dev/null || true
     fi
+    if [[ -f "/tmp/clawdbot/health-check.jsonl" ]]; then
+        cp /tmp/clawdbot/health-check.jsonl "$backup_dir/" 2>/dev/null || true
+    fi
+    if [[ -f "/tmp/clawdbot/health-check-state.json" ]]; then
+        cp /tmp/clawdbot/health-check-state.json "$backup_dir/" 2>/dev/null || true
+    fi
+    if [[ -f "/tmp/clawdbot/health-check-silences.json" ]]; then
+        cp /tmp/clawdbot/health-check-silences.json "$backup_dir/" 2>/dev/null || true
+    fi
 
     print_success "Backup saved to: $backup_dir"
     BACKUP_DIR="$backup_dir"